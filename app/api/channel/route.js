@@ -0,0 +1,254 @@
+// 📁 app/api/channel/route.js
+// Lists a channel's uploads, Shorts and live streams. YouTube keeps these on
+// separate tabs (/videos, /shorts, /streams), and yt-dlp treats each tab as
+// its own flat playlist — so this is three /api/playlist-style fetches run
+// in parallel, one per tab, returned as separate lists.
+//
+// Tabs are paged like /api/playlist (?page=&pageSize=, see parsePaging), but
+// always — a channel's uploads run to thousands of entries, and three full
+// tab fetches wouldn't fit in maxDuration. Without page params this is page
+// 1 at the default size. ?tab=videos|shorts|live fetches just that tab, for
+// loading its next page; the response then carries only that tab.
+//
+// A tab the channel doesn't have (plenty of channels never streamed or never
+// posted a Short) makes yt-dlp fail with "This channel does not have a ...
+// tab". That's an empty list, not an error. Any other failure on one tab
+// (rate limit, timeout) comes back as that tab's `error`, next to the tabs
+// that did load — only a failure on EVERY tab is reported back as one.
+
+import { NextResponse } from "next/server";
+import {
+  getYtDlp,
+  withRetry,
+  baseOpts,
+  friendlyError,
+  resolveCookies,
+  cleanupCookies,
+  parsePaging,
+  pageInfo,
+} from "@/lib/ytdlp";
+
+export const runtime = "nodejs";
+export const maxDuration = 60;
+
+const CHANNEL_TABS = [
+  { key: "videos", path: "videos", label: "Videos" },
+  { key: "shorts", path: "shorts", label: "Shorts" },
+  { key: "live", path: "streams", label: "Live" },
+];
+
+/**
+ * Returns the channel's path on youtube.com ("@handle", "channel/UC…",
+ * "c/name" or "user/name"), with any tab suffix stripped, or null if the URL
+ * isn't a channel URL.
+ */
+function extractChannelPath(url) {
+  try {
+    const parsed = new URL(url);
+    const parts = parsed.pathname.split("/").filter(Boolean);
+    if (parts[0]?.startsWith("@") && parts[0].length > 1) return parts[0];
+    if (["channel", "c", "user"].includes(parts[0]) && parts[1])
+      return `${parts[0]}/${parts[1]}`;
+    return null;
+  } catch {
+    return null;
+  }
+}
+
+function formatDuration(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  if (h > 0)
+    return `${h}:${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}`;
+  return `${m}:${String(s).padStart(2, "0")}`;
+}
+
+const UNAVAILABLE_TITLES = new Set([
+  "[private video]",
+  "[deleted video]",
+  "[unavailable]",
+]);
+
+function isAvailable(entry) {
+  if (!entry || !entry.id) return false;
+  const title = (entry.title || "").toLowerCase().trim();
+  if (UNAVAILABLE_TITLES.has(title)) return false;
+  if (entry.availability === "private" || entry.availability === "needs_auth")
+    return false;
+  return true;
+}
+
+function channelName(data) {
+  return data?.channel || data?.uploader || null;
+}
+
+/**
+ * Same shape as /api/playlist's response, so Home can render it as one.
+ * `error` is set when the tab failed to load; its list is then empty.
+ */
+function buildTab(data, tab, channelUrl, fallbackName, paging, error = null) {
+  const allEntries = data?.entries || [];
+  const offset = paging.start - 1;
+  // Numbered by position on the tab, as in /api/playlist.
+  const entries = allEntries
+    .map((entry, i) => ({ entry, index: offset + i + 1 }))
+    .filter(({ entry }) => isAvailable(entry));
+  const unavailableCount = allEntries.length - entries.length;
+  const name = channelName(data) || fallbackName;
+
+  const videos = entries.map(({ entry, index }) => {
+    const secs = entry.duration || 0;
+    const raw = entry.upload_date || "";
+    const uploadDateDisplay =
+      raw.length === 8
+        ? `${raw.slice(0, 4)}-${raw.slice(4, 6)}-${raw.slice(6, 8)}`
+        : "";
+    return {
+      videoId: entry.id,
+      title: entry.title || "Unknown",
+      duration: formatDuration(secs),
+      durationSeconds: secs,
+      thumbnail: `https://i.ytimg.com/vi/${entry.id}/mqdefault.jpg`,
+      author: entry.uploader || entry.channel || name,
+      index,
+      viewCount: entry.view_count || 0,
+      uploadDate: raw,
+      uploadDateDisplay,
+    };
+  });
+
+  const totalSeconds = videos.reduce((sum, v) => sum + v.durationSeconds, 0);
+  const avgSeconds =
+    videos.length > 0 ? Math.round(totalSeconds / videos.length) : 0;
+
+  return {
+    ...pageInfo(paging, allEntries.length, data?.playlist_count),
+    playlistId: null,
+    url: `${channelUrl}/${tab.path}`,
+    tab: tab.key,
+    tabLabel: tab.label,
+    title: name,
+    author: tab.label,
+    videoCount: videos.length,
+    unavailableCount,
+    videos,
+    totalDuration: formatDuration(totalSeconds),
+    totalSeconds,
+    averageDuration: formatDuration(avgSeconds),
+    averageSeconds: avgSeconds,
+    error,
+  };
+}
+
+function isMissingTab(err) {
+  return /does not have an? .* tab/i.test(err?.stderr || err?.message || "");
+}
+
+export async function GET(req) {
+  const url = req.nextUrl.searchParams.get("url");
+  if (!url) {
+    return NextResponse.json(
+      { error: "Missing url parameter" },
+      { status: 400 },
+    );
+  }
+
+  const channelPath = extractChannelPath(url);
+  if (!channelPath) {
+    return NextResponse.json(
+      {
+        error:
+          "Invalid channel URL — must look like youtube.com/@handle, /channel/…, /c/… or /user/…",
+      },
+      { status: 400 },
+    );
+  }
+  const channelUrl = `https://www.youtube.com/${channelPath}`;
+
+  const tabKey = req.nextUrl.searchParams.get("tab");
+  const tabs = tabKey
+    ? CHANNEL_TABS.filter((t) => t.key === tabKey)
+    : CHANNEL_TABS;
+  if (tabs.length === 0) {
+    return NextResponse.json(
+      { error: "Invalid tab — must be videos, shorts or live" },
+      { status: 400 },
+    );
+  }
+  const paging = parsePaging(req.nextUrl.searchParams, { always: true });
+
+  const cookies = await resolveCookies(req);
+  try {
+    const youtubeDl = await getYtDlp();
+
+    const fetchTab = async (tab) => {
+      try {
+        return await withRetry(() =>
+          youtubeDl(
+            `${channelUrl}/${tab.path}`,
+            baseOpts(
+              {
+                dumpSingleJson: true,
+                flatPlaylist: true,
+                ignoreErrors: true,
+                playlistStart: paging.start,
+                playlistEnd: paging.end,
+              },
+              cookies.filePath,
+            ),
+          ),
+        );
+      } catch (err) {
+        if (isMissingTab(err)) return null;
+        // Same partial-output salvage as /api/playlist: with ignoreErrors,
+        // yt-dlp can still exit non-zero after printing a usable dump.
+        if (err.stdout) {
+          try {
+            return JSON.parse(err.stdout);
+          } catch (_) {}
+        }
+        throw err;
+      }
+    };
+
+    const results = await Promise.allSettled(tabs.map(fetchTab));
+    if (results.every((r) => r.status === "rejected")) throw results[0].reason;
+
+    const datas = results.map((r) =>
+      r.status === "fulfilled" ? r.value : null,
+    );
+    const first = datas.find(Boolean);
+    const name = channelName(first) || channelPath;
+
+    const byKey = {};
+    tabs.forEach((tab, i) => {
+      const { reason } = results[i];
+      if (reason)
+        console.error(
+          `Channel ${tab.key} tab error:`,
+          reason?.stderr || reason,
+        );
+      byKey[tab.key] = buildTab(
+        datas[i],
+        tab,
+        channelUrl,
+        name,
+        paging,
+        reason ? friendlyError(reason) : null,
+      );
+    });
+
+    return NextResponse.json({
+      channelId: first?.channel_id || null,
+      channelUrl,
+      title: name,
+      tabs: byKey,
+    });
+  } catch (err) {
+    console.error("Channel fetch error:", err?.stderr || err);
+    return NextResponse.json({ error: friendlyError(err) }, { status: 500 });
+  } finally {
+    await cleanupCookies(cookies);
+  }
+}
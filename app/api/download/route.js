@@ -0,0 +1,323 @@
+// 📁 app/api/download/route.js
+// Server-side downloads, for devices that can't run ffmpeg.wasm — phones
+// and low-RAM laptops, where holding the streams and the muxed output in
+// tab memory fails on anything large. yt-dlp downloads, merges and converts
+// with a real ffmpeg here, and the finished file is streamed back as an
+// attachment.
+//
+// Off unless SERVER_DOWNLOADS=1: every download then costs the server its
+// full size twice in bandwidth (in from YouTube, out to the browser), disk
+// for the temp file and CPU for any conversion — and Vercel's functions
+// have no ffmpeg at all. FFMPEG_PATH points at the binary (or its
+// directory); without it bin/ffmpeg is used if present, else whatever is
+// on PATH.
+//
+//   GET                → { enabled }
+//   GET ?videoId=…&format=mp4&quality=720p&container=mp4
+//   GET ?videoId=…&format=mp3&quality=highest&output=opus
+//     → the file (Content-Disposition: attachment)
+//   POST (form fields) → the same, for a native browser download: the
+//     client submits a form so the file streams straight to disk rather
+//     than through tab memory. A form can't set headers, so visitor
+//     cookies come as a `cookies` field (base64, like x-ytdlp-cookies).
+//
+// Optional on all: videoFormat/audioFormat (exact format ids, as for
+// /api/stream-url), start/end (a clip, in seconds), sponsorBlock
+// ("cut:sponsor,intro" or "mark:…") and tags (JSON, VideoCard's tag
+// editor shape — cover: true embeds the thumbnail). Options with no yt-dlp
+// equivalent (re-encode presets, loudness, subtitles, chapter splits) stay
+// device-only; the client doesn't send those downloads here.
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { randomUUID } from "crypto";
+import { Readable } from "stream";
+import { NextResponse } from "next/server";
+import {
+  getYtDlp,
+  baseOpts,
+  friendlyError,
+  resolveCookies,
+  cleanupCookies,
+} from "@/lib/ytdlp";
+
+export const runtime = "nodejs";
+export const maxDuration = 300;
+
+const VIDEO_ID_RE = /^[\w-]{11}$/;
+const FORMAT_ID_RE = /^[\w-]{1,32}$/;
+const SPONSOR_CATEGORIES = ["sponsor", "intro", "outro", "selfpromo"];
+
+// No 1080p cap here — that limit is about tab memory, and nothing is
+// buffered in a tab in this mode. "highest" is simply the best there is.
+const TIER_HEIGHTS = {
+  "4320p": 4320,
+  "2160p": 2160,
+  "1440p": 1440,
+  "1080p": 1080,
+  "720p": 720,
+  "480p": 480,
+  "360p": 360,
+};
+
+// Audio targets: `source` picks the stream, `extract` the --audio-format
+// to convert to (none = YouTube's stream as-is), `quality` the bitrate
+// for each of the client's quality tiers.
+const AUDIO_OUTPUTS = {
+  mp3: {
+    source: "ba[ext=m4a]/ba/b",
+    extract: "mp3",
+    quality: { highest: "320K", medium: "192K", low: "128K" },
+  },
+  m4a: { source: "ba[ext=m4a]/ba/b" },
+  webm: { source: "ba[ext=webm]/ba/b" },
+  opus: {
+    source: "ba[ext=webm]/ba/b",
+    extract: "opus",
+    quality: { highest: "160K", medium: "128K", low: "96K" },
+  },
+  ogg: {
+    source: "ba/b",
+    extract: "vorbis",
+    quality: { highest: "256K", medium: "160K", low: "112K" },
+  },
+  flac: { source: "ba/b", extract: "flac" },
+  wav: { source: "ba/b", extract: "wav" },
+};
+
+const MERGE_FORMATS = { mp4: "mp4", webm: "webm/mkv", mkv: "mkv" };
+
+// What yt-dlp can embed a cover into; asking for it on anything else fails
+// the whole download.
+const COVER_EXTS = new Set(["mp4", "mkv", "mp3", "m4a", "opus", "ogg", "flac"]);
+
+const TAG_FIELDS = {
+  title: "title",
+  artist: "artist",
+  album: "album",
+  track: "track",
+  year: "date",
+};
+
+function isServerDownloadEnabled() {
+  return process.env.SERVER_DOWNLOADS === "1";
+}
+
+function ffmpegLocation() {
+  if (process.env.FFMPEG_PATH) return process.env.FFMPEG_PATH;
+  const bundled = path.join(
+    process.cwd(),
+    "bin",
+    process.platform === "win32" ? "ffmpeg.exe" : "ffmpeg",
+  );
+  return fs.existsSync(bundled) ? bundled : null;
+}
+
+function videoSelector(quality, container) {
+  if (quality === "lowest") return "wv*+wa/w";
+  const h = TIER_HEIGHTS[quality];
+  const cap = h ? `[height<=${h}]` : "";
+  if (container === "webm")
+    return `bv*${cap}[ext=webm]+ba[ext=webm]/bv*${cap}+ba/b${cap}/bv*+ba/b`;
+  if (container === "mkv") return `bv*${cap}+ba/b${cap}/bv*+ba/b`;
+  return `bv*${cap}[vcodec^=avc1]+ba[ext=m4a]/bv*${cap}+ba[ext=m4a]/bv*${cap}+ba/b${cap}/bv*+ba/b`;
+}
+
+/** Exact ids from the Advanced picker, as /api/stream-url takes them. */
+function pickedSelector(format, videoFormat, audioFormat) {
+  if (format === "mp3") return audioFormat || null;
+  if (videoFormat && audioFormat) return `${videoFormat}+${audioFormat}`;
+  if (videoFormat) return videoFormat;
+  if (audioFormat) return `bv*+${audioFormat}`;
+  return null;
+}
+
+/** One shell-style word for --postprocessor-args, which yt-dlp shlex-splits. */
+function shellQuote(s) {
+  return `"${s.replace(/["\\]/g, "\\$&")}"`;
+}
+
+/** The tag editor's fields as ffmpeg -metadata args for the Metadata step. */
+function tagPostprocessorArgs(tags) {
+  const args = Object.entries(TAG_FIELDS)
+    .map(([field, key]) => [key, String(tags?.[field] ?? "").trim()])
+    .filter(([, v]) => v)
+    .map(([key, v]) => `-metadata ${shellQuote(`${key}=${v}`)}`);
+  return args.length ? `Metadata:${args.join(" ")}` : null;
+}
+
+function parseTags(raw) {
+  if (!raw) return null;
+  try {
+    const tags = JSON.parse(raw);
+    return tags && typeof tags === "object" ? tags : null;
+  } catch {
+    return null;
+  }
+}
+
+/** "cut:sponsor,intro" → { mode, categories }, or null. */
+function parseSponsorBlock(raw) {
+  const [mode, list = ""] = (raw || "").split(":");
+  const categories = list
+    .split(",")
+    .filter((c) => SPONSOR_CATEGORIES.includes(c));
+  if (!["cut", "mark"].includes(mode) || !categories.length) return null;
+  return { mode, categories: categories.join(",") };
+}
+
+function parseSeconds(raw) {
+  if (raw == null || raw === "") return null;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : NaN;
+}
+
+/** attachment; with an ASCII fallback name and the real one (RFC 6266). */
+function contentDisposition(filename) {
+  const ascii = filename.replace(/[^\x20-\x7e]/g, "_").replace(/"/g, "'");
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+export async function GET(req) {
+  if (!req.nextUrl.searchParams.get("videoId")) {
+    return NextResponse.json({ enabled: isServerDownloadEnabled() });
+  }
+  return serveDownload(req, req.nextUrl.searchParams, req.headers);
+}
+
+export async function POST(req) {
+  let form;
+  try {
+    form = await req.formData();
+  } catch {
+    return NextResponse.json({ error: "Expected form data" }, { status: 400 });
+  }
+  const searchParams = new URLSearchParams();
+  for (const [key, value] of form) {
+    if (key !== "cookies" && typeof value === "string")
+      searchParams.append(key, value);
+  }
+  const cookies = form.get("cookies");
+  const headers = new Headers(
+    typeof cookies === "string" && cookies
+      ? { "x-ytdlp-cookies": cookies }
+      : {},
+  );
+  return serveDownload(req, searchParams, headers);
+}
+
+/** `cookieHeaders` carries x-ytdlp-cookies, as resolveCookies reads it. */
+async function serveDownload(req, searchParams, cookieHeaders) {
+  const videoId = searchParams.get("videoId");
+  if (!isServerDownloadEnabled()) {
+    return NextResponse.json(
+      { error: "Server downloads are turned off on this deployment." },
+      { status: 404 },
+    );
+  }
+
+  const format = searchParams.get("format") === "mp3" ? "mp3" : "mp4";
+  const quality = searchParams.get("quality") || "highest";
+  const container = MERGE_FORMATS[searchParams.get("container")]
+    ? searchParams.get("container")
+    : "mp4";
+  const output = AUDIO_OUTPUTS[searchParams.get("output")]
+    ? searchParams.get("output")
+    : "mp3";
+  const videoFormat = searchParams.get("videoFormat");
+  const audioFormat = searchParams.get("audioFormat");
+  const start = parseSeconds(searchParams.get("start"));
+  const end = parseSeconds(searchParams.get("end"));
+  const sponsorBlock = parseSponsorBlock(searchParams.get("sponsorBlock"));
+  const tags = parseTags(searchParams.get("tags"));
+
+  if (!VIDEO_ID_RE.test(videoId)) {
+    return NextResponse.json({ error: "Invalid videoId" }, { status: 400 });
+  }
+  if ([videoFormat, audioFormat].some((id) => id && !FORMAT_ID_RE.test(id))) {
+    return NextResponse.json({ error: "Invalid format id" }, { status: 400 });
+  }
+  if (
+    Number.isNaN(start) ||
+    Number.isNaN(end) ||
+    (end != null && end <= start)
+  ) {
+    return NextResponse.json({ error: "Invalid clip range" }, { status: 400 });
+  }
+
+  const audio = format === "mp3" ? AUDIO_OUTPUTS[output] : null;
+  const outputExt = audio ? audio.extract || output : container;
+  const ffmpeg = ffmpegLocation();
+  const postprocessorArgs = tagPostprocessorArgs(tags);
+  const flags = {
+    format:
+      pickedSelector(format, videoFormat, audioFormat) ||
+      (audio ? audio.source : videoSelector(quality, container)),
+    mergeOutputFormat: audio ? null : MERGE_FORMATS[container],
+    extractAudio: !!audio?.extract,
+    audioFormat: audio?.extract || null,
+    audioQuality: audio?.quality?.[quality] || null,
+    downloadSections:
+      start != null || end != null ? `*${start || 0}-${end ?? "inf"}` : null,
+    forceKeyframesAtCuts: start != null || end != null,
+    sponsorblockRemove:
+      sponsorBlock?.mode === "cut" ? sponsorBlock.categories : null,
+    sponsorblockMark:
+      sponsorBlock?.mode === "mark" ? sponsorBlock.categories : null,
+    embedMetadata: true,
+    embedThumbnail:
+      tags?.cover !== false &&
+      COVER_EXTS.has(outputExt === "vorbis" ? "ogg" : outputExt),
+    postprocessorArgs,
+    ffmpegLocation: ffmpeg,
+    noPlaylist: true,
+  };
+
+  const dir = path.join(os.tmpdir(), `ytlabs-dl-${randomUUID()}`);
+  const removeDir = () =>
+    fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+  const cookies = await resolveCookies({ headers: cookieHeaders });
+  try {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const youtubeDl = await getYtDlp();
+    await youtubeDl.stream(
+      `https://www.youtube.com/watch?v=${videoId}`,
+      baseOpts(
+        { ...flags, output: path.join(dir, "%(title).150B.%(ext)s") },
+        cookies.filePath,
+      ),
+      { signal: req.signal },
+    );
+
+    // yt-dlp deletes the separate streams once merged; anything else left
+    // over (a cover it couldn't embed) is smaller than the media itself.
+    const files = await Promise.all(
+      (await fs.promises.readdir(dir)).map(async (name) => ({
+        name,
+        size: (await fs.promises.stat(path.join(dir, name))).size,
+      })),
+    );
+    const [{ name, size } = {}] = files.sort((a, b) => b.size - a.size);
+    if (!name) throw new Error("yt-dlp finished without producing a file");
+    const filePath = path.join(dir, name);
+
+    const file = fs.createReadStream(filePath);
+    file.on("close", removeDir);
+    return new Response(Readable.toWeb(file), {
+      headers: {
+        "Content-Type": "application/octet-stream",
+        "Content-Length": String(size),
+        "Content-Disposition": contentDisposition(name),
+        "Cache-Control": "no-store",
+      },
+    });
+  } catch (err) {
+    await removeDir();
+    console.error("download error:", err?.stderr || err);
+    if (req.signal.aborted) return new Response(null, { status: 499 });
+    return NextResponse.json({ error: friendlyError(err) }, { status: 500 });
+  } finally {
+    await cleanupCookies(cookies);
+  }
+}
@@ -0,0 +1,106 @@
+// 📁 app/api/formats/route.js
+// Lists every format YouTube offers for one video, straight from yt-dlp's
+// dumpSingleJson `formats` array, for the Advanced picker in VideoCard. The
+// picked ids go back to /api/stream-url as ?videoFormat=…&audioFormat=…,
+// bypassing its quality ladder.
+
+import { NextResponse } from "next/server";
+import {
+  getYtDlp,
+  withRetry,
+  baseOpts,
+  friendlyError,
+  resolveCookies,
+  cleanupCookies,
+} from "@/lib/ytdlp";
+
+export const runtime = "nodejs";
+export const maxDuration = 60;
+
+const VIDEO_ID_RE = /^[\w-]{11}$/;
+
+const hasCodec = (codec) => !!codec && codec !== "none";
+
+/** "video" (video-only), "audio" (audio-only) or "combined" (both). */
+function formatKind(f) {
+  const video = hasCodec(f.vcodec);
+  const audio = hasCodec(f.acodec);
+  if (video && audio) return "combined";
+  if (video) return "video";
+  if (audio) return "audio";
+  return null; // storyboards and other image-only entries
+}
+
+function toFormat(f) {
+  return {
+    formatId: f.format_id,
+    kind: formatKind(f),
+    ext: f.ext || null,
+    vcodec: hasCodec(f.vcodec) ? f.vcodec : null,
+    acodec: hasCodec(f.acodec) ? f.acodec : null,
+    width: f.width || null,
+    height: f.height || null,
+    fps: f.fps || null,
+    // yt-dlp reports "SDR", "HDR10", "HLG" etc.; null on audio.
+    dynamicRange: f.dynamic_range || null,
+    hdr: !!f.dynamic_range && f.dynamic_range !== "SDR",
+    tbr: f.tbr || null,
+    vbr: f.vbr || null,
+    abr: f.abr || null,
+    asr: f.asr || null,
+    filesize: f.filesize || null,
+    filesizeApprox: f.filesize_approx || null,
+    formatNote: f.format_note || null,
+    language: f.language || null,
+  };
+}
+
+export async function GET(req) {
+  const videoId = req.nextUrl.searchParams.get("videoId");
+  if (!videoId) {
+    return NextResponse.json({ error: "Missing videoId" }, { status: 400 });
+  }
+  if (!VIDEO_ID_RE.test(videoId)) {
+    return NextResponse.json({ error: "Invalid videoId" }, { status: 400 });
+  }
+
+  const cookies = await resolveCookies(req);
+  try {
+    const youtubeDl = await getYtDlp();
+
+    const info = await withRetry(() =>
+      youtubeDl(
+        `https://www.youtube.com/watch?v=${videoId}`,
+        baseOpts({ dumpSingleJson: true }, cookies.filePath),
+      ),
+    );
+
+    // Only formats the device-mode pipeline can actually fetch: a plain
+    // https URL through /api/proxy. HLS/DASH manifests (m3u8, mpd) would
+    // need segment-by-segment fetching it doesn't do.
+    const formats = (info.formats || [])
+      .filter((f) => f.format_id && (f.protocol || "https").startsWith("http"))
+      .filter((f) => !/m3u8|dash/.test(f.protocol || ""))
+      .map(toFormat)
+      .filter((f) => f.kind);
+
+    // Best first within each kind: resolution, then frame rate, then bitrate.
+    formats.sort(
+      (a, b) =>
+        (b.height || 0) - (a.height || 0) ||
+        (b.fps || 0) - (a.fps || 0) ||
+        (b.tbr || 0) - (a.tbr || 0),
+    );
+
+    return NextResponse.json({
+      videoId,
+      durationSeconds: info.duration || 0,
+      formats,
+    });
+  } catch (err) {
+    console.error("Formats fetch error:", err?.stderr || err);
+    return NextResponse.json({ error: friendlyError(err) }, { status: 500 });
+  } finally {
+    await cleanupCookies(cookies);
+  }
+}
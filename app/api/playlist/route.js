@@ -7,7 +7,11 @@ import {
   friendlyError,
   resolveCookies,
   cleanupCookies,
+  parsePaging,
+  pageInfo,
 } from "@/lib/ytdlp";
+import { ndjsonResponse } from "@/lib/ndjson";
+import { listThumbnails } from "@/lib/thumbnails";
 
 export const runtime = "nodejs";
 export const maxDuration = 60;
@@ -45,43 +49,53 @@ function isAvailable(entry) {
   return true;
 }
 
-function buildResponse(data, playlistId) {
+function toVideo(entry, index, playlistUploader) {
+  const secs = entry.duration || 0;
+  const raw = entry.upload_date || "";
+  const uploadDateDisplay =
+    raw.length === 8
+      ? `${raw.slice(0, 4)}-${raw.slice(4, 6)}-${raw.slice(6, 8)}`
+      : "";
+  return {
+    videoId: entry.id,
+    title: entry.title || "Unknown",
+    duration: formatDuration(secs),
+    durationSeconds: secs,
+    thumbnail: `https://i.ytimg.com/vi/${entry.id}/mqdefault.jpg`,
+    thumbnails: listThumbnails(entry.thumbnails, entry.id),
+    author:
+      entry.uploader ||
+      entry.channel ||
+      entry.uploader_id ||
+      playlistUploader ||
+      "Unknown",
+    index,
+    viewCount: entry.view_count || 0,
+    uploadDate: raw,
+    uploadDateDisplay,
+  };
+}
+
+function buildResponse(data, playlistId, paging) {
   const allEntries = data.entries || [];
-  const entries = allEntries.filter(isAvailable);
+  const offset = paging ? paging.start - 1 : 0;
+  // Index is the entry's position in the playlist itself (gaps and all), so
+  // numbering stays stable no matter which page an entry arrived on.
+  const entries = allEntries
+    .map((entry, i) => ({ entry, index: offset + i + 1 }))
+    .filter(({ entry }) => isAvailable(entry));
   const unavailableCount = allEntries.length - entries.length;
 
-  let idx = 1;
-  const videos = entries.map((entry) => {
-    const secs = entry.duration || 0;
-    const raw = entry.upload_date || "";
-    const uploadDateDisplay =
-      raw.length === 8
-        ? `${raw.slice(0, 4)}-${raw.slice(4, 6)}-${raw.slice(6, 8)}`
-        : "";
-    return {
-      videoId: entry.id,
-      title: entry.title || "Unknown",
-      duration: formatDuration(secs),
-      durationSeconds: secs,
-      thumbnail: `https://i.ytimg.com/vi/${entry.id}/mqdefault.jpg`,
-      author:
-        entry.uploader ||
-        entry.channel ||
-        entry.uploader_id ||
-        data.uploader ||
-        "Unknown",
-      index: idx++,
-      viewCount: entry.view_count || 0,
-      uploadDate: raw,
-      uploadDateDisplay,
-    };
-  });
+  const videos = entries.map(({ entry, index }) =>
+    toVideo(entry, index, data.uploader),
+  );
 
   const totalSeconds = videos.reduce((sum, v) => sum + v.durationSeconds, 0);
   const avgSeconds =
     videos.length > 0 ? Math.round(totalSeconds / videos.length) : 0;
 
   return {
+    ...pageInfo(paging, allEntries.length, data.playlist_count),
     playlistId,
     title: data.title || "Unknown Playlist",
     author: data.uploader || data.channel || "Unknown",
@@ -95,8 +109,97 @@ function buildResponse(data, playlistId) {
   };
 }
 
+// ── ?stream=1 ───────────────────────────────────────────────────────────────
+//
+// Same fetch, but with --dump-json instead of --dump-single-json: yt-dlp then
+// prints each flat entry on its own line the moment it's extracted, which
+// is forwarded as-is. Events, in order:
+//   { type: "meta", playlistId, title, author, totalCount }  once, first entry
+//   { type: "entry", video, fetched, totalCount }           per available entry
+//   { type: "done", playlist }                              same body as non-stream
+//   { type: "error", error }                                instead of "done"
+// `fetched` counts every entry seen (unavailable ones included), so it lines
+// up with totalCount for a "fetched 340/1200" display. No withRetry here:
+// once entries have been sent, a retry would send them twice.
+function streamPlaylist(req, playlistId, paging) {
+  return ndjsonResponse(async (send) => {
+    const cookies = await resolveCookies(req);
+    const offset = paging ? paging.start - 1 : 0;
+    const rawEntries = [];
+    let meta = null;
+
+    const finish = () => {
+      const data = {
+        entries: rawEntries,
+        title: meta?.playlist_title || meta?.playlist,
+        uploader: meta?.playlist_uploader ?? meta?.uploader,
+        channel: meta?.playlist_channel,
+        playlist_count: meta?.playlist_count,
+      };
+      send({ type: "done", playlist: buildResponse(data, playlistId, paging) });
+    };
+
+    try {
+      const youtubeDl = await getYtDlp();
+      await youtubeDl.stream(
+        `https://www.youtube.com/playlist?list=${playlistId}`,
+        baseOpts(
+          {
+            dumpJson: true,
+            flatPlaylist: true,
+            ignoreErrors: true,
+            playlistStart: paging?.start,
+            playlistEnd: paging?.end,
+          },
+          cookies.filePath,
+        ),
+        {
+          signal: req.signal,
+          onJson: (entry) => {
+            rawEntries.push(entry);
+            if (!meta) {
+              meta = entry;
+              send({
+                type: "meta",
+                playlistId,
+                title: entry.playlist_title || "Unknown Playlist",
+                author:
+                  entry.playlist_uploader ||
+                  entry.playlist_channel ||
+                  "Unknown",
+                totalCount: entry.playlist_count ?? null,
+              });
+            }
+            if (!isAvailable(entry)) return;
+            send({
+              type: "entry",
+              video: toVideo(
+                entry,
+                offset + rawEntries.length,
+                meta.playlist_uploader ?? meta.uploader,
+              ),
+              fetched: offset + rawEntries.length,
+              totalCount: meta.playlist_count ?? null,
+            });
+          },
+        },
+      );
+      finish();
+    } catch (err) {
+      console.error("Playlist stream error:", err?.stderr || err);
+      // ignoreErrors can still exit non-zero after a usable run — same
+      // salvage as the non-streaming path's err.stdout parse.
+      if (rawEntries.length > 0) finish();
+      else send({ type: "error", error: friendlyError(err) });
+    } finally {
+      await cleanupCookies(cookies);
+    }
+  });
+}
+
 export async function GET(req) {
   const url = req.nextUrl.searchParams.get("url");
+  const paging = parsePaging(req.nextUrl.searchParams);
   if (!url) {
     return NextResponse.json(
       { error: "Missing url parameter" },
@@ -112,6 +215,10 @@ export async function GET(req) {
     );
   }
 
+  if (req.nextUrl.searchParams.get("stream") === "1") {
+    return streamPlaylist(req, playlistId, paging);
+  }
+
   const cookies = await resolveCookies(req);
   try {
     const youtubeDl = await getYtDlp();
@@ -120,20 +227,26 @@ export async function GET(req) {
       youtubeDl(
         `https://www.youtube.com/playlist?list=${playlistId}`,
         baseOpts(
-          { dumpSingleJson: true, flatPlaylist: true, ignoreErrors: true },
+          {
+            dumpSingleJson: true,
+            flatPlaylist: true,
+            ignoreErrors: true,
+            playlistStart: paging?.start,
+            playlistEnd: paging?.end,
+          },
           cookies.filePath,
         ),
       ),
     );
 
-    return NextResponse.json(buildResponse(data, playlistId));
+    return NextResponse.json(buildResponse(data, playlistId, paging));
   } catch (err) {
     console.error("Playlist fetch error:", err?.stderr || err);
 
     if (err.stdout) {
       try {
         const data = JSON.parse(err.stdout);
-        return NextResponse.json(buildResponse(data, playlistId));
+        return NextResponse.json(buildResponse(data, playlistId, paging));
       } catch (_) {}
     }
 
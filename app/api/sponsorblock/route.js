@@ -0,0 +1,85 @@
+// 📁 app/api/sponsorblock/route.js
+// SponsorBlock segments for one video — crowd-sourced timestamps of sponsor
+// reads, intros, outros and self-promotion.
+//
+//   GET ?videoId=…&categories=sponsor,intro
+//     → { videoId, segments: [{ category, start, end }] }  (sorted by start)
+//
+// Looked up server-side rather than from the browser so the public API
+// never sees which videos a user is downloading, and so a deployment can
+// point it somewhere else: SPONSORBLOCK_API_URL replaces the public
+// instance's base URL (e.g. a local mirror, "http://localhost:8080").
+// Lookups use the hash-prefix endpoint, which only reveals the first four
+// hex chars of the video id's SHA-256 — even to that server.
+
+import { createHash } from "crypto";
+import { NextResponse } from "next/server";
+
+export const runtime = "nodejs";
+export const maxDuration = 60;
+
+const DEFAULT_API_URL = "https://sponsor.ajay.app";
+const CATEGORIES = ["sponsor", "intro", "outro", "selfpromo"];
+const VIDEO_ID_RE = /^[\w-]{11}$/;
+
+function apiBaseUrl() {
+  return (process.env.SPONSORBLOCK_API_URL || DEFAULT_API_URL).replace(
+    /\/+$/,
+    "",
+  );
+}
+
+export async function GET(req) {
+  const { searchParams } = req.nextUrl;
+  const videoId = searchParams.get("videoId");
+  const categories = (searchParams.get("categories") || "sponsor")
+    .split(",")
+    .filter((c) => CATEGORIES.includes(c));
+
+  if (!videoId || !VIDEO_ID_RE.test(videoId)) {
+    return NextResponse.json({ error: "Missing videoId" }, { status: 400 });
+  }
+  if (categories.length === 0) {
+    return NextResponse.json({ videoId, segments: [] });
+  }
+
+  const prefix = createHash("sha256").update(videoId).digest("hex").slice(0, 4);
+  const query = new URLSearchParams({
+    categories: JSON.stringify(categories),
+    actionTypes: JSON.stringify(["skip"]),
+  });
+
+  try {
+    const res = await fetch(
+      `${apiBaseUrl()}/api/skipSegments/${prefix}?${query}`,
+      { signal: AbortSignal.timeout(15_000) },
+    );
+    // 404 is SponsorBlock's "no segments for anything with this prefix".
+    if (res.status === 404) return NextResponse.json({ videoId, segments: [] });
+    if (!res.ok) throw new Error(`SponsorBlock returned ${res.status}`);
+
+    const matches = await res.json();
+    const entry = matches.find((m) => m.videoID === videoId);
+    const segments = (entry?.segments || [])
+      .map((s) => ({
+        category: s.category,
+        start: s.segment[0],
+        end: s.segment[1],
+      }))
+      .filter((s) => s.end > s.start)
+      .sort((a, b) => a.start - b.start);
+
+    return NextResponse.json({ videoId, segments });
+  } catch (err) {
+    console.error("sponsorblock error:", err);
+    return NextResponse.json(
+      {
+        error:
+          err?.name === "TimeoutError"
+            ? "SponsorBlock didn't respond in time."
+            : `Couldn't reach SponsorBlock: ${err.message}`,
+      },
+      { status: 502 },
+    );
+  }
+}
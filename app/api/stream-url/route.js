@@ -6,8 +6,38 @@
 // bytes and ffmpeg.wasm muxes/converts them client-side.
 //
 // DEVICE MODE CONSTRAINTS:
-//  ffmpeg.wasm runs in the browser and buffers entire streams in RAM.
-//  Hard-capped at 1080p. Prefers h264 (avc1) for smaller size + browser compat.
+//  ffmpeg.wasm runs in the browser. Fetched streams are staged on disk
+//  (OPFS) where the browser allows it, but the output is built in the
+//  worker's memory before it's saved, so size still matters.
+//  Tiers up to 1080p prefer h264 (avc1) for smaller size + browser compat.
+//  Above that YouTube serves VP9/AV1 only and files can run to several GB,
+//  so the client warns about size before starting a 1440p/2160p/4320p tier.
+//  "highest" is uncapped — simply the best streams there are, with m4a
+//  audio preferred for the MP4/MKV mux — so it can land on one of those.
+//
+//  ?decode=1 means the client will decode the video rather than copy it
+//  (a clip, burn-in, SponsorBlock cut or transcode preset). ffmpeg.wasm
+//  has no AV1 decoder, so every AV1 alternative is dropped from the ladder
+//  and the rest are kept off AV1 — VP9 then leads above 1080p.
+//
+//  ?container=mp4|webm|mkv is the client's mux target. MP4 and MKV take any
+//  of YouTube's codecs; WebM only takes VP9/AV1 + Opus, so for WebM the
+//  selection prefers those and the client falls back to MKV if the result
+//  still isn't WebM-compatible.
+//
+//  ?audioSource=m4a|webm|best picks the stream behind an audio download:
+//  AAC for targets that copy it as-is or transcode from it, Opus for the
+//  Opus ones, and simply the best-sounding stream for lossless targets.
+//
+//  format=gif is an animated GIF/WebP cut from a short range: one
+//  video-only stream (nothing to mux, and a prefix of it can be fetched),
+//  capped at 720p since the output is scaled down to 800px wide at most.
+//  H.264 first — it decodes fastest in wasm.
+//
+//  format=frame (a still at one timestamp) takes the sharpest video-only
+//  stream ffmpeg.wasm can decode — it has no AV1 decoder — and
+//  format=sheet (a contact sheet of small tiles, decoded across the whole
+//  video) a 360p one.
 
 import { NextResponse } from "next/server";
 import {
@@ -31,8 +61,7 @@ export const maxDuration = 60;
 // exactly this reason: a slightly-higher-than-requested result in a rare
 // edge case beats a hard failure every time.
 const DEVICE_VIDEO_FORMAT_MAP = {
-  highest:
-    "bestvideo[height<=1080][vcodec^=avc1]+bestaudio[ext=m4a]/bestvideo[height<=1080]+bestaudio[ext=m4a]/bestvideo[height<=1080]+bestaudio/best[height<=1080]/bestvideo+bestaudio/best",
+  highest: "bestvideo+bestaudio[ext=m4a]/bestvideo+bestaudio/best",
   "1080p":
     "bestvideo[height<=1080][vcodec^=avc1]+bestaudio[ext=m4a]/bestvideo[height<=1080]+bestaudio[ext=m4a]/bestvideo[height<=1080]+bestaudio/best[height<=1080]/bestvideo+bestaudio/best",
   "720p":
@@ -42,17 +71,120 @@ const DEVICE_VIDEO_FORMAT_MAP = {
   "360p":
     "bestvideo[height<=360][vcodec^=avc1]+bestaudio[ext=m4a]/bestvideo[height<=360]+bestaudio[ext=m4a]/bestvideo[height<=360]+bestaudio/best[height<=360]/bestvideo+bestaudio/best",
   lowest: "worstvideo+worstaudio/worst/bestvideo+bestaudio/best",
+  // Above 1080p there's no avc1; AV1 first for MP4 (smaller, and what
+  // YouTube encodes its 8K in), then VP9, keeping m4a audio for the mux.
+  "1440p":
+    "bestvideo[height<=1440][vcodec^=av01]+bestaudio[ext=m4a]/bestvideo[height<=1440][vcodec^=vp09]+bestaudio[ext=m4a]/bestvideo[height<=1440]+bestaudio/best[height<=1440]/bestvideo+bestaudio/best",
+  "2160p":
+    "bestvideo[height<=2160][vcodec^=av01]+bestaudio[ext=m4a]/bestvideo[height<=2160][vcodec^=vp09]+bestaudio[ext=m4a]/bestvideo[height<=2160]+bestaudio/best[height<=2160]/bestvideo+bestaudio/best",
+  "4320p":
+    "bestvideo[height<=4320][vcodec^=av01]+bestaudio[ext=m4a]/bestvideo[height<=4320][vcodec^=vp09]+bestaudio[ext=m4a]/bestvideo[height<=4320]+bestaudio/best[height<=4320]/bestvideo+bestaudio/best",
+};
+
+const TIER_HEIGHTS = {
+  "4320p": 4320,
+  "2160p": 2160,
+  "1440p": 1440,
+  "1080p": 1080,
+  "720p": 720,
+  "480p": 480,
+  "360p": 360,
+};
+
+/**
+ * WebM-compatible selection for a tier: VP9, then AV1, with Opus audio.
+ * "highest" (or anything unrecognised, as with the MP4 map) is uncapped.
+ */
+function webmVideoFormat(quality) {
+  if (quality === "lowest")
+    return "worstvideo[ext=webm]+worstaudio[ext=webm]/worstvideo+worstaudio/worst";
+  const h = TIER_HEIGHTS[quality];
+  const cap = h ? `[height<=${h}]` : "";
+  return `bestvideo${cap}[vcodec^=vp09]+bestaudio[ext=webm]/bestvideo${cap}[vcodec^=av01]+bestaudio[ext=webm]/bestvideo${cap}+bestaudio/best${cap}/bestvideo+bestaudio/best`;
+}
+
+const AUDIO_SOURCE_FORMATS = {
+  m4a: "bestaudio[ext=m4a]/bestaudio/best",
+  webm: "bestaudio[ext=webm]/bestaudio/best",
+  best: "bestaudio/best",
+};
+
+// One video-only stream for the formats that don't mux anything.
+const VIDEO_ONLY_FORMATS = {
+  gif: "bestvideo[height<=720][vcodec^=avc1]/bestvideo[height<=720][vcodec!^=av01]/best[height<=720]/best",
+  frame:
+    "bestvideo[vcodec^=vp09]/bestvideo[vcodec^=avc1]/bestvideo[vcodec!^=av01]/best",
+  sheet:
+    "bestvideo[height<=360][vcodec^=avc1]/bestvideo[height<=360][vcodec!^=av01]/worst",
 };
 
+/**
+ * `selector` with AV1 ruled out, for video ffmpeg.wasm has to decode:
+ * alternatives asking for AV1 are dropped, and any video stream not already
+ * pinned to a codec gets `[vcodec!^=av01]`. Combined `best` formats are
+ * always H.264, so they stay as they are.
+ */
+function withoutAv1(selector) {
+  return selector
+    .split("/")
+    .filter((alt) => !alt.includes("[vcodec^=av01]"))
+    .map((alt) =>
+      alt.replace(/\b(bestvideo|worstvideo)((?:\[[^\]]*\])*)/g, (m, v, f) =>
+        f.includes("[vcodec^=") ? m : `${v}${f}[vcodec!^=av01]`,
+      ),
+    )
+    .join("/");
+}
+
+// yt-dlp format ids are short alphanumerics ("137", "251-drc", "hls-1080p");
+// anything else could smuggle selector syntax (/, +, [ ]) into --format.
+const FORMAT_ID_RE = /^[\w-]{1,32}$/;
+
+/**
+ * The selector for explicitly picked format ids, or null to use the ladder.
+ * MP3 only takes an audio id; MP4 takes video, audio or both — a lone
+ * video id is used as-is (it may be a combined format with its own audio).
+ */
+function pickedFormat(format, videoFormat, audioFormat) {
+  if (format === "mp3") return audioFormat || null;
+  if (videoFormat && audioFormat) return `${videoFormat}+${audioFormat}`;
+  if (videoFormat) return videoFormat;
+  if (audioFormat) return `bestvideo+${audioFormat}`;
+  return null;
+}
+
+function formatSize(f) {
+  return f?.filesize || f?.filesize_approx || null;
+}
+
+/** yt-dlp's size figure for the selected streams, or null if it has none. */
+function approxFilesize(info) {
+  const parts = info.requested_formats?.length
+    ? info.requested_formats
+    : [info];
+  const sizes = parts.map((f) => formatSize(f) || 0);
+  return sizes.every((n) => n > 0) ? sizes.reduce((a, b) => a + b, 0) : null;
+}
+
 export async function GET(req) {
   const { searchParams } = req.nextUrl;
   const videoId = searchParams.get("videoId");
   const format = searchParams.get("format") || "mp4";
   const quality = searchParams.get("quality") || "highest";
+  const container = searchParams.get("container") || "mp4";
+  const audioSource = searchParams.get("audioSource") || "m4a";
+  const decode = searchParams.get("decode") === "1";
+  // Exact yt-dlp format ids from the Advanced picker (/api/formats). They
+  // replace the quality ladder entirely when present.
+  const videoFormat = searchParams.get("videoFormat");
+  const audioFormat = searchParams.get("audioFormat");
 
   if (!videoId) {
     return NextResponse.json({ error: "Missing videoId" }, { status: 400 });
   }
+  if ([videoFormat, audioFormat].some((id) => id && !FORMAT_ID_RE.test(id))) {
+    return NextResponse.json({ error: "Invalid format id" }, { status: 400 });
+  }
 
   const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
 
@@ -60,10 +192,15 @@ export async function GET(req) {
   try {
     const youtubeDl = await getYtDlp();
 
-    const selectedFormat =
-      format === "mp3"
-        ? "bestaudio[ext=m4a]/bestaudio/best"
+    const ladder =
+      container === "webm"
+        ? webmVideoFormat(quality)
         : DEVICE_VIDEO_FORMAT_MAP[quality] || DEVICE_VIDEO_FORMAT_MAP.highest;
+    const selectedFormat =
+      pickedFormat(format, videoFormat, audioFormat) ||
+      (format === "mp3"
+        ? AUDIO_SOURCE_FORMATS[audioSource] || AUDIO_SOURCE_FORMATS.m4a
+        : VIDEO_ONLY_FORMATS[format] || (decode ? withoutAv1(ladder) : ladder));
 
     const [infoRaw, urlsRaw] = await Promise.all([
       withRetry(() =>
@@ -132,6 +269,14 @@ export async function GET(req) {
       videoExt,
       audioExt: resolvedAudioExt,
       durationSeconds: infoRaw.duration || 0,
+      height: infoRaw.height || null,
+      filesizeApprox: approxFilesize(infoRaw),
+      // Per-stream sizes for a dual download, so a clip can fetch only a
+      // prefix of each (a single stream's size is filesizeApprox).
+      videoFilesize:
+        urls.length > 1 ? formatSize(infoRaw.requested_formats?.[0]) : null,
+      audioFilesize:
+        urls.length > 1 ? formatSize(infoRaw.requested_formats?.[1]) : null,
     });
   } catch (err) {
     console.error("stream-url error:", err?.stderr || err);
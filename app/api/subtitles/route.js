@@ -0,0 +1,131 @@
+// 📁 app/api/subtitles/route.js
+// Caption tracks for one video, from yt-dlp's `subtitles` (uploaded by the
+// creator) and `automatic_captions` (YouTube's speech recognition, plus its
+// machine translations into most other languages).
+//
+//   GET ?videoId=…                      → { tracks: [{ lang, name, manual, auto }] }
+//   GET ?videoId=…&lang=en&kind=…&format=srt|vtt|txt
+//                                       → { lang, kind, format, content }
+//
+// kind is "manual", "auto", or "any" (manual if the language has one,
+// otherwise auto) — "any" is what bulk downloads use, since they can't know
+// up front which videos have hand-made captions. The track itself is always
+// fetched as VTT and converted in lib/subtitles.js.
+
+import { NextResponse } from "next/server";
+import {
+  getYtDlp,
+  withRetry,
+  baseOpts,
+  friendlyError,
+  resolveCookies,
+  cleanupCookies,
+} from "@/lib/ytdlp";
+import { convertVtt, SUBTITLE_FORMATS } from "@/lib/subtitles";
+
+export const runtime = "nodejs";
+export const maxDuration = 60;
+
+const VIDEO_ID_RE = /^[\w-]{11}$/;
+
+const KINDS = ["manual", "auto", "any"];
+
+function listTracks(info) {
+  const manual = info.subtitles || {};
+  const auto = info.automatic_captions || {};
+  const langs = new Set([...Object.keys(manual), ...Object.keys(auto)]);
+  // "live_chat" is a replay of the chat, not captions.
+  langs.delete("live_chat");
+  return [...langs]
+    .map((lang) => ({
+      lang,
+      name: manual[lang]?.[0]?.name || auto[lang]?.[0]?.name || lang,
+      manual: !!manual[lang],
+      auto: !!auto[lang],
+    }))
+    .sort((a, b) => b.manual - a.manual || a.name.localeCompare(b.name));
+}
+
+/** The VTT rendition of the requested track, and which kind it came from. */
+function pickTrack(info, lang, kind) {
+  const order =
+    kind === "manual" ? ["manual"] : kind === "auto" ? ["auto"] : KINDS;
+  for (const k of order) {
+    const source = k === "manual" ? info.subtitles : info.automatic_captions;
+    const vtt = source?.[lang]?.find((t) => t.ext === "vtt");
+    if (vtt?.url) return { url: vtt.url, kind: k };
+  }
+  return null;
+}
+
+export async function GET(req) {
+  const { searchParams } = req.nextUrl;
+  const videoId = searchParams.get("videoId");
+  const lang = searchParams.get("lang");
+  const kind = searchParams.get("kind") || "any";
+  const format = searchParams.get("format") || "srt";
+
+  if (!videoId) {
+    return NextResponse.json({ error: "Missing videoId" }, { status: 400 });
+  }
+  if (!VIDEO_ID_RE.test(videoId)) {
+    return NextResponse.json({ error: "Invalid videoId" }, { status: 400 });
+  }
+  if (lang && (!KINDS.includes(kind) || !SUBTITLE_FORMATS.includes(format))) {
+    return NextResponse.json(
+      { error: "kind must be manual|auto|any and format srt|vtt|txt" },
+      { status: 400 },
+    );
+  }
+
+  const cookies = await resolveCookies(req);
+  try {
+    const youtubeDl = await getYtDlp();
+
+    const info = await withRetry(() =>
+      youtubeDl(
+        `https://www.youtube.com/watch?v=${videoId}`,
+        baseOpts({ dumpSingleJson: true }, cookies.filePath),
+      ),
+    );
+
+    if (!lang) {
+      return NextResponse.json({
+        videoId,
+        title: info.title || "Unknown",
+        tracks: listTracks(info),
+      });
+    }
+
+    const track = pickTrack(info, lang, kind);
+    if (!track) {
+      return NextResponse.json(
+        {
+          error:
+            kind === "manual"
+              ? `No ${lang} subtitles uploaded for this video`
+              : `No ${lang} captions available for this video`,
+        },
+        { status: 404 },
+      );
+    }
+
+    const res = await fetch(track.url);
+    if (!res.ok) throw new Error(`Caption fetch failed (${res.status})`);
+    const vtt = await res.text();
+
+    return NextResponse.json({
+      videoId,
+      title: info.title || "Unknown",
+      lang,
+      kind: track.kind,
+      format,
+      content: convertVtt(vtt, format, { rolling: track.kind === "auto" }),
+    });
+  } catch (err) {
+    console.error("Subtitles fetch error:", err?.stderr || err);
+    return NextResponse.json({ error: friendlyError(err) }, { status: 500 });
+  } finally {
+    await cleanupCookies(cookies);
+  }
+}
@@ -8,6 +8,8 @@ import {
   resolveCookies,
   cleanupCookies,
 } from "@/lib/ytdlp";
+import { ndjsonResponse } from "@/lib/ndjson";
+import { listThumbnails } from "@/lib/thumbnails";
 
 export const runtime = "nodejs";
 export const maxDuration = 60;
@@ -42,6 +44,110 @@ function formatViews(n) {
   return String(n);
 }
 
+function buildVideo(info, videoId) {
+  const raw = info.upload_date || "";
+  const uploadDateDisplay =
+    raw.length === 8
+      ? `${raw.slice(0, 4)}-${raw.slice(4, 6)}-${raw.slice(6, 8)}`
+      : "";
+
+  const thumbs = info.thumbnails || [];
+  const bestThumb =
+    thumbs.find((t) => t.id === "maxresdefault")?.url ||
+    thumbs.find((t) => (t.width || 0) >= 1280)?.url ||
+    info.thumbnail ||
+    `https://i.ytimg.com/vi/${videoId}/maxresdefault.jpg`;
+
+  return {
+    videoId,
+    title: info.title || "Unknown",
+    author: info.uploader || info.channel || "Unknown",
+    channelId: info.channel_id || null,
+    width: info.width || null,
+    height: info.height || null,
+    duration: formatDuration(info.duration || 0),
+    durationSeconds: info.duration || 0,
+    thumbnail: bestThumb,
+    thumbnails: listThumbnails(thumbs, videoId),
+    viewCount: info.view_count || 0,
+    viewCountDisplay: formatViews(info.view_count),
+    likeCount: info.like_count || 0,
+    uploadDate: raw,
+    uploadDateDisplay,
+    description: (info.description || "").slice(0, 300),
+    categories: info.categories || [],
+    tags: (info.tags || []).slice(0, 8),
+    chapters: buildChapters(info),
+  };
+}
+
+// yt-dlp's chapters (from the description's timestamps or YouTube's own
+// chapter markers), numbered from 1. Zero-length entries — a timestamp
+// repeated in the description — are dropped.
+function buildChapters(info) {
+  return (info.chapters || [])
+    .filter((c) => c.end_time > c.start_time)
+    .map((c, i) => ({
+      number: i + 1,
+      title: c.title || `Chapter ${i + 1}`,
+      start: c.start_time,
+      end: c.end_time,
+    }));
+}
+
+// ── ?stream=1 ───────────────────────────────────────────────────────────────
+//
+// A single video is one entry, so there's no per-entry progress to forward
+// — but the extraction itself (player API round-trips, signature
+// deciphering) is where the wait is, and with --verbose yt-dlp reports each
+// of those steps on stderr even though --dump-json otherwise forces quiet
+// mode. Those lines (minus the [debug] noise) are forwarded as
+// { type: "progress", message } events, followed by { type: "done", video }
+// (the same body as the non-stream response) or { type: "error", error }.
+function streamVideo(req, videoId) {
+  return ndjsonResponse(async (send) => {
+    const cookies = await resolveCookies(req);
+    let info = null;
+    try {
+      const youtubeDl = await getYtDlp();
+      send({ type: "progress", message: "Contacting YouTube…" });
+      await youtubeDl.stream(
+        `https://www.youtube.com/watch?v=${videoId}`,
+        baseOpts({ dumpJson: true, verbose: true }, cookies.filePath),
+        {
+          signal: req.signal,
+          onJson: (json) => {
+            info = json;
+          },
+          onStderr: (line) => {
+            // "[youtube] abc123: Downloading ios player API JSON" -> the
+            // part after the last ": ", which is the human-readable step.
+            if (line.startsWith("[debug]")) return;
+            const match = line.match(/^\[[\w:]+\]\s+(?:[\w-]+:\s+)?(.+)$/);
+            if (match) send({ type: "progress", message: match[1] });
+          },
+        },
+      );
+      if (!info) throw new Error("yt-dlp returned no video info");
+      send({ type: "done", video: buildVideo(info, videoId) });
+    } catch (err) {
+      console.error("Video stream error:", err?.stderr || err);
+      // --verbose puts [debug]/[youtube] chatter ahead of the actual
+      // "ERROR: ..." line, and friendlyError() reads the first line it finds.
+      const stderr = (err?.stderr || "")
+        .split("\n")
+        .filter((l) => !/^\[[\w:]+\]/.test(l))
+        .join("\n");
+      send({
+        type: "error",
+        error: friendlyError(stderr.trim() ? { stderr } : err),
+      });
+    } finally {
+      await cleanupCookies(cookies);
+    }
+  });
+}
+
 export async function GET(req) {
   const url = req.nextUrl.searchParams.get("url");
   if (!url) return NextResponse.json({ error: "Missing url" }, { status: 400 });
@@ -53,6 +159,10 @@ export async function GET(req) {
       { status: 400 },
     );
 
+  if (req.nextUrl.searchParams.get("stream") === "1") {
+    return streamVideo(req, videoId);
+  }
+
   const cookies = await resolveCookies(req);
   try {
     const youtubeDl = await getYtDlp();
@@ -64,38 +174,7 @@ export async function GET(req) {
       ),
     );
 
-    const raw = info.upload_date || "";
-    const uploadDateDisplay =
-      raw.length === 8
-        ? `${raw.slice(0, 4)}-${raw.slice(4, 6)}-${raw.slice(6, 8)}`
-        : "";
-
-    const thumbs = info.thumbnails || [];
-    const bestThumb =
-      thumbs.find((t) => t.id === "maxresdefault")?.url ||
-      thumbs.find((t) => (t.width || 0) >= 1280)?.url ||
-      info.thumbnail ||
-      `https://i.ytimg.com/vi/${videoId}/maxresdefault.jpg`;
-
-    return NextResponse.json({
-      videoId,
-      title: info.title || "Unknown",
-      author: info.uploader || info.channel || "Unknown",
-      channelId: info.channel_id || null,
-      width: info.width || null,
-      height: info.height || null,
-      duration: formatDuration(info.duration || 0),
-      durationSeconds: info.duration || 0,
-      thumbnail: bestThumb,
-      viewCount: info.view_count || 0,
-      viewCountDisplay: formatViews(info.view_count),
-      likeCount: info.like_count || 0,
-      uploadDate: raw,
-      uploadDateDisplay,
-      description: (info.description || "").slice(0, 300),
-      categories: info.categories || [],
-      tags: (info.tags || []).slice(0, 8),
-    });
+    return NextResponse.json(buildVideo(info, videoId));
   } catch (err) {
     console.error("Video fetch error:", err?.stderr || err);
     return NextResponse.json({ error: friendlyError(err) }, { status: 500 });
@@ -56,7 +56,45 @@ import {
   ChevronRight,
   Cookie,
   Smartphone,
+  Tv,
+  History,
+  Trash2,
+  RotateCcw,
+  Pause,
+  Play,
+  GripVertical,
+  ChevronsUp,
+  Captions,
+  Film,
+  Server,
+  FileArchive,
 } from "lucide-react";
+import {
+  addHistoryEntry,
+  listHistory,
+  deleteHistoryEntry,
+  clearHistory,
+  getHistoryKeys,
+  historyKey,
+} from "@/lib/history";
+import {
+  saveBulkRun,
+  loadBulkRun,
+  clearBulkRun,
+  remainingItems,
+} from "@/lib/queue";
+import {
+  listThumbnails,
+  thumbnailSize,
+  PLACEHOLDER_SIZE,
+} from "@/lib/thumbnails";
+import {
+  isOpfsSupported,
+  createTempFile,
+  removeTempFile,
+  sweepTempFiles,
+} from "@/lib/opfs";
+import { createZipWriter } from "@/lib/zip";
 
 // ── Theme ─────────────────────────────────────────────────────────────────────
 function useTheme() {
@@ -114,6 +152,9 @@ function cookieHeaders(cookies) {
 // ── Constants ─────────────────────────────────────────────────────────────────
 const MP4_QUALITIES = [
   { label: "Best Available", value: "highest" },
+  { label: "4320p (8K)", value: "4320p" },
+  { label: "2160p (4K)", value: "2160p" },
+  { label: "1440p", value: "1440p" },
   { label: "1080p", value: "1080p" },
   { label: "720p", value: "720p" },
   { label: "480p", value: "480p" },
@@ -125,6 +166,346 @@ const MP3_QUALITIES = [
   { label: "192 kbps (Medium)", value: "medium" },
   { label: "128 kbps (Low)", value: "low" },
 ];
+const OPUS_QUALITIES = [
+  { label: "160 kbps (Best)", value: "highest" },
+  { label: "128 kbps (Medium)", value: "medium" },
+  { label: "96 kbps (Low)", value: "low" },
+];
+const VORBIS_QUALITIES = [
+  { label: "q8 ≈ 256 kbps (Best)", value: "highest" },
+  { label: "q5 ≈ 160 kbps (Medium)", value: "medium" },
+  { label: "q3 ≈ 112 kbps (Low)", value: "low" },
+];
+const QUALITY_BITRATES = { highest: "320k", medium: "192k", low: "128k" };
+const OPUS_BITRATES = { highest: "160k", medium: "128k", low: "96k" };
+const VORBIS_LEVELS = { highest: "8", medium: "5", low: "3" };
+// Output formats for audio downloads. `source` is the stream asked of
+// /api/stream-url: AAC for targets made from it, Opus for the Opus ones and
+// whatever sounds best for the lossless ones. `copy` formats keep YouTube's
+// stream untouched and only re-encode (with `encode`) when SponsorBlock cuts
+// need a filter. Formats without `qualities` hide the Quality select.
+const AUDIO_FORMATS = [
+  {
+    label: "MP3",
+    value: "mp3",
+    ext: "mp3",
+    mime: "audio/mpeg",
+    source: "m4a",
+    cover: true,
+    qualities: MP3_QUALITIES,
+    encode: (q) => [
+      "-codec:a",
+      "libmp3lame",
+      "-b:a",
+      QUALITY_BITRATES[q] || "192k",
+    ],
+  },
+  {
+    label: "M4A (original AAC)",
+    value: "m4a",
+    ext: "m4a",
+    mime: "audio/mp4",
+    source: "m4a",
+    cover: true,
+    copy: true,
+    encode: () => ["-codec:a", "aac", "-b:a", "192k"],
+  },
+  {
+    label: "WebM (original Opus)",
+    value: "webm",
+    ext: "webm",
+    mime: "audio/webm",
+    source: "webm",
+    copy: true,
+    encode: () => ["-codec:a", "libopus", "-b:a", "160k"],
+  },
+  {
+    label: "Opus",
+    value: "opus",
+    ext: "opus",
+    mime: "audio/ogg",
+    source: "webm",
+    qualities: OPUS_QUALITIES,
+    encode: (q) => ["-codec:a", "libopus", "-b:a", OPUS_BITRATES[q] || "128k"],
+  },
+  {
+    label: "OGG Vorbis",
+    value: "ogg",
+    ext: "ogg",
+    mime: "audio/ogg",
+    source: "best",
+    qualities: VORBIS_QUALITIES,
+    encode: (q) => ["-codec:a", "libvorbis", "-q:a", VORBIS_LEVELS[q] || "5"],
+  },
+  {
+    label: "FLAC (lossless)",
+    value: "flac",
+    ext: "flac",
+    mime: "audio/flac",
+    source: "best",
+    cover: true,
+    encode: () => ["-codec:a", "flac"],
+  },
+  {
+    label: "WAV (uncompressed)",
+    value: "wav",
+    ext: "wav",
+    mime: "audio/wav",
+    source: "best",
+    encode: () => ["-codec:a", "pcm_s16le"],
+  },
+];
+
+function audioFormatFor(value) {
+  return AUDIO_FORMATS.find((f) => f.value === value) || AUDIO_FORMATS[0];
+}
+// Mux targets for MP4-format downloads. WebM can only hold VP9/AV1 + Opus;
+// deviceModeMP4 falls back to MKV when the streams it got don't fit.
+const CONTAINERS = [
+  { label: "MP4", value: "mp4", mime: "video/mp4" },
+  { label: "WebM", value: "webm", mime: "video/webm" },
+  { label: "MKV", value: "mkv", mime: "video/x-matroska" },
+];
+// Rough YouTube VP9/AV1 sizes, for the warning shown before a >1080p
+// download. Only these tiers get one - below them files stay manageable.
+const HIGH_RES_MB_PER_MIN = { "1440p": 70, "2160p": 135, "4320p": 300 };
+
+/**
+ * The tier "highest" lands on for a video of the given size, for the size
+ * warning — it's uncapped, so a 4K upload gets 4K. Other tiers pass through,
+ * and so does "highest" when the size isn't known (playlist entries don't
+ * carry one), which LargeVideoWarning treats as possibly 4K.
+ */
+function warningTier(quality, width, height) {
+  if (quality !== "highest" || !width || !height) return quality;
+  const side = Math.min(width, height);
+  return (
+    ["4320p", "2160p", "1440p"].find((t) => side >= parseInt(t)) || "1080p"
+  );
+}
+const SUBTITLE_KINDS = [
+  { label: "Manual, else auto", value: "any" },
+  { label: "Manual only", value: "manual" },
+  { label: "Auto-generated", value: "auto" },
+];
+const SUBTITLE_FORMAT_OPTIONS = [
+  { label: "SRT", value: "srt", mime: "application/x-subrip" },
+  { label: "VTT", value: "vtt", mime: "text/vtt" },
+  { label: "Plain text", value: "txt", mime: "text/plain" },
+];
+// Offered for playlists, where each video's own track list isn't known
+// up front. YouTube auto-translates captions into all of these.
+const CAPTION_LANGUAGES = [
+  { lang: "en", name: "English" },
+  { lang: "es", name: "Spanish" },
+  { lang: "fr", name: "French" },
+  { lang: "de", name: "German" },
+  { lang: "it", name: "Italian" },
+  { lang: "pt", name: "Portuguese" },
+  { lang: "nl", name: "Dutch" },
+  { lang: "pl", name: "Polish" },
+  { lang: "ru", name: "Russian" },
+  { lang: "uk", name: "Ukrainian" },
+  { lang: "tr", name: "Turkish" },
+  { lang: "ar", name: "Arabic" },
+  { lang: "hi", name: "Hindi" },
+  { lang: "id", name: "Indonesian" },
+  { lang: "ja", name: "Japanese" },
+  { lang: "ko", name: "Korean" },
+  { lang: "zh-Hans", name: "Chinese (Simplified)" },
+  { lang: "zh-Hant", name: "Chinese (Traditional)" },
+];
+const DEFAULT_SUBTITLE_OPTIONS = {
+  lang: "en",
+  kind: "any",
+  format: "srt",
+  burn: false,
+  fontSize: 18,
+  position: "bottom",
+};
+// Soft-subtitle codec per mux container.
+const SUBTITLE_CODECS = { mp4: "mov_text", mkv: "srt", webm: "webvtt" };
+// Burned-in captions. Sizes are libass points on the 288-line canvas ffmpeg
+// gives converted SRT, so they scale with the video's resolution.
+const SUBTITLE_FONT_SIZES = [
+  { label: "Small", value: 14 },
+  { label: "Medium", value: 18 },
+  { label: "Large", value: 24 },
+  { label: "Extra large", value: 32 },
+];
+// `alignment` is ASS numpad-style: 2 bottom-centre, 5 middle, 8 top.
+const SUBTITLE_POSITIONS = [
+  { label: "Bottom", value: "bottom", alignment: 2 },
+  { label: "Middle", value: "middle", alignment: 5 },
+  { label: "Top", value: "top", alignment: 8 },
+];
+// Video encoders for when the stream can't just be copied (a burn-in, or an
+// accurately cut clip), per container. Tuned for speed over size — this
+// runs single-threaded in wasm.
+const VIDEO_ENCODERS = {
+  mp4: ["-c:v", "libx264", "-preset", "veryfast", "-crf", "23"],
+  mkv: ["-c:v", "libx264", "-preset", "veryfast", "-crf", "23"],
+  webm: [
+    "-c:v",
+    "libvpx-vp9",
+    "-deadline",
+    "realtime",
+    "-cpu-used",
+    "8",
+    "-crf",
+    "32",
+    "-b:v",
+    "0",
+  ],
+};
+// Re-encode presets for the MP4 tab; "original" keeps the stream copy. Each
+// sets its own container and encoders, and an optional `maxHeight` caps the
+// short side. `rate` is the default rate control — a CRF, or a target size
+// in MB that the video bitrate is worked out from (see rateControlArgs).
+// GIF has neither: its size is down to `gif`'s frame rate and width.
+const TRANSCODE_PRESETS = [
+  { label: "Original (no re-encode)", value: "original" },
+  {
+    label: "WhatsApp (720p H.264, < 16 MB)",
+    value: "whatsapp",
+    container: "mp4",
+    maxHeight: 720,
+    video: ["-c:v", "libx264", "-preset", "veryfast", "-profile:v", "main"],
+    audio: ["-c:a", "aac", "-b:a", "128k", "-ac", "2"],
+    audioKbps: 128,
+    rate: { mode: "size", crf: 23, sizeMB: 16 },
+  },
+  {
+    label: "Legacy devices (480p H.264)",
+    value: "legacy",
+    container: "mp4",
+    maxHeight: 480,
+    video: [
+      "-c:v",
+      "libx264",
+      "-preset",
+      "veryfast",
+      "-profile:v",
+      "baseline",
+      "-level",
+      "3.0",
+    ],
+    audio: ["-c:a", "aac", "-b:a", "96k", "-ac", "2"],
+    audioKbps: 96,
+    rate: { mode: "crf", crf: 26, sizeMB: 25 },
+  },
+  {
+    label: "WebM VP9",
+    value: "vp9",
+    container: "webm",
+    video: [
+      "-c:v",
+      "libvpx-vp9",
+      "-deadline",
+      "realtime",
+      "-cpu-used",
+      "8",
+      "-row-mt",
+      "1",
+    ],
+    audio: ["-c:a", "libopus", "-b:a", "128k"],
+    audioKbps: 128,
+    rate: { mode: "crf", crf: 33, sizeMB: 25 },
+  },
+  {
+    label: "MP4 without audio",
+    value: "silent",
+    container: "mp4",
+    video: ["-c:v", "libx264", "-preset", "veryfast"],
+    audio: null,
+    audioKbps: 0,
+    rate: { mode: "crf", crf: 23, sizeMB: 25 },
+  },
+  {
+    label: "GIF (480 px, 10 fps)",
+    value: "gif",
+    container: "gif",
+    gif: { fps: 10, width: 480 },
+    audio: null,
+  },
+];
+const RATE_MODES = [
+  { label: "Quality (CRF)", value: "crf" },
+  { label: "Target size", value: "size" },
+];
+const DEFAULT_TRANSCODE = { preset: "original", rate: null };
+// The GIF tab: a short range of the video as an animated GIF or WebP.
+// Both grow fast with length, hence the cap.
+const ANIMATION_FORMATS = [
+  { label: "GIF", value: "gif", mime: "image/gif" },
+  { label: "Animated WebP", value: "webp", mime: "image/webp" },
+];
+const GIF_FPS_OPTIONS = [10, 15, 24];
+const GIF_WIDTHS = [320, 480, 640, 800];
+const DEFAULT_GIF_OPTIONS = { output: "gif", fps: 15, width: 480 };
+const GIF_MAX_SECONDS = 30;
+// The Image tab's sources: YouTube's own thumbnail (at a picked size, or
+// the largest there is), or stills pulled out of the video itself. A
+// contact sheet is cols × rows evenly spaced frames, each stamped with its
+// time.
+const STILL_MODES = [
+  { label: "YouTube thumbnail", value: "thumbnail" },
+  { label: "Frame at a time", value: "frame" },
+  { label: "Contact sheet", value: "sheet" },
+];
+const STILL_FORMATS = [
+  { label: "JPG", value: "jpg", mime: "image/jpeg" },
+  { label: "WebP", value: "webp", mime: "image/webp" },
+  { label: "PNG", value: "png", mime: "image/png" },
+];
+const SHEET_GRIDS = ["3x3", "4x4", "5x5", "4x6"];
+const SHEET_TILE_WIDTH = 320;
+const DEFAULT_STILL_OPTIONS = {
+  mode: "thumbnail",
+  at: 0,
+  grid: "4x4",
+  format: "jpg",
+  size: "largest",
+};
+// SponsorBlock (/api/sponsorblock): which crowd-sourced segments to look
+// up, and whether to cut them out or leave them in as chapter markers.
+const SPONSORBLOCK_CATEGORIES = [
+  { label: "Sponsor", value: "sponsor" },
+  { label: "Intro", value: "intro" },
+  { label: "Outro", value: "outro" },
+  { label: "Self-promo", value: "selfpromo" },
+];
+const SPONSORBLOCK_MODES = [
+  { label: "Off", value: "off" },
+  { label: "Cut segments out", value: "cut" },
+  { label: "Mark as chapters", value: "mark" },
+];
+const DEFAULT_SPONSORBLOCK = {
+  mode: "off",
+  categories: ["sponsor", "selfpromo"],
+};
+// Audio encoders for when cutting segments out or normalizing loudness
+// means audio can't be copied.
+const AUDIO_ENCODERS = {
+  mp4: ["-c:a", "aac", "-b:a", "192k"],
+  mkv: ["-c:a", "aac", "-b:a", "192k"],
+  webm: ["-c:a", "libopus", "-b:a", "160k"],
+};
+// EBU R128 loudness normalization (ffmpeg's two-pass loudnorm). "album" is
+// only offered for playlists: every track gets the same gain, worked out
+// from the whole selection, so a quiet song stays quieter than a loud one.
+const LOUDNESS_MODES = [
+  { label: "Off", value: "off" },
+  { label: "Per track", value: "track" },
+  { label: "Album", value: "album" },
+];
+const LOUDNESS_TARGETS = [
+  { label: "-14 LUFS (streaming)", value: -14 },
+  { label: "-16 LUFS (podcasts)", value: -16 },
+  { label: "-23 LUFS (broadcast)", value: -23 },
+];
+const DEFAULT_LOUDNESS = { mode: "off", target: -14 };
+const LOUDNESS_TRUE_PEAK = -1.5;
 const SORT_OPTIONS = [
   { label: "Playlist order", value: "default" },
   { label: "Selected first", value: "selected" },
@@ -132,6 +513,19 @@ const SORT_OPTIONS = [
   { label: "Shortest first", value: "shortest" },
   { label: "Longest first", value: "longest" },
 ];
+// Parallel bulk downloads. Fetched streams go to disk where OPFS exists
+// (see shouldStageOnDisk), but each muxing item still holds its output in
+// ffmpeg's in-memory FS until it's saved — and the worker pool
+// (ffmpegPoolSize) caps how many mux at once anyway — so this stays small.
+const CONCURRENCY_OPTIONS = [1, 2, 3, 4];
+const CHANNEL_TABS = [
+  { label: "Videos", value: "videos" },
+  { label: "Shorts", value: "shorts" },
+  { label: "Live", value: "live" },
+];
+// Entries per /api/playlist page. YouTube hands out playlists 100 at a time,
+// so this is exactly one continuation request per page server-side.
+const PLAYLIST_PAGE_SIZE = 100;
 
 // ── URL Type Detection ────────────────────────────────────────────────────────
 const UNVIEWABLE_LIST_PREFIXES = ["RD", "RDMM", "RDem", "FL", "WL", "LL", "LM"];
@@ -141,6 +535,10 @@ function isUnviewablePlaylist(listId) {
   return UNVIEWABLE_LIST_PREFIXES.some((p) => listId.startsWith(p));
 }
 
+// youtube.com/@handle, /channel/UC…, /c/name and /user/name - optionally
+// followed by a tab (/videos, /shorts, /streams…), which /api/channel strips.
+const CHANNEL_PATH_RE = /^\/(@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)(\/|$)/;
+
 function detectUrlType(rawUrl) {
   if (!rawUrl?.trim()) return null;
   try {
@@ -154,6 +552,7 @@ function detectUrlType(rawUrl) {
     if (parsed.pathname.startsWith("/shorts/")) return "video";
     if (listId && !isUnviewablePlaylist(listId)) return "playlist";
     if (hasVideo) return "video";
+    if (CHANNEL_PATH_RE.test(parsed.pathname)) return "channel";
     return null;
   } catch {
     return null;
@@ -173,6 +572,21 @@ function isShortsUrl(rawUrl) {
   }
 }
 
+// A link's `t=` (or embed-style `start=`) start time, in seconds, or null.
+// Like isShortsUrl this rides alongside detectUrlType rather than changing
+// its return value — it only pre-fills VideoCard's clip start.
+function urlStartTime(rawUrl) {
+  if (!detectUrlType(rawUrl)) return null;
+  try {
+    const params = new URL(rawUrl.trim()).searchParams;
+    const t = params.get("t") ?? params.get("start");
+    const seconds = t ? parseTimestamp(t) : null;
+    return seconds > 0 ? seconds : null;
+  } catch {
+    return null;
+  }
+}
+
 // ── Helpers ───────────────────────────────────────────────────────────────────
 function sortVideos(videos, sortBy, selected) {
   if (!videos) return [];
@@ -195,6 +609,115 @@ function sortVideos(videos, sortBy, selected) {
   }
 }
 
+function formatDuration(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  if (h > 0)
+    return `${h}:${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}`;
+  return `${m}:${String(s).padStart(2, "0")}`;
+}
+
+/**
+ * Seconds from "90", "1:30", "1:02:03.5", or YouTube's "1h2m3s" / "90s".
+ * Null for anything else, including an empty string.
+ */
+function parseTimestamp(text) {
+  const t = String(text).trim();
+  if (/^\d+(\.\d+)?$/.test(t)) return parseFloat(t);
+  const colon = t.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/);
+  if (colon)
+    return (
+      (parseInt(colon[1] || "0") * 60 + parseInt(colon[2])) * 60 +
+      parseFloat(colon[3])
+    );
+  const units = t.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (units && t)
+    return (
+      parseInt(units[1] || "0") * 3600 +
+      parseInt(units[2] || "0") * 60 +
+      parseInt(units[3] || "0")
+    );
+  return null;
+}
+
+/**
+ * { clip, error } from VideoCard's start/end fields. Both empty means the
+ * whole video (clip null); an empty one means the video's start or end.
+ */
+function parseClip(startText, endText, durationSeconds) {
+  if (!startText.trim() && !endText.trim()) return { clip: null, error: null };
+  const start = startText.trim() ? parseTimestamp(startText) : 0;
+  const end = endText.trim() ? parseTimestamp(endText) : durationSeconds;
+  if (start === null || end === null)
+    return { clip: null, error: "Use a time like 1:23, 83 or 1m23s." };
+  if (!end) return { clip: null, error: "Set an end time." };
+  if (durationSeconds && end > durationSeconds)
+    return {
+      clip: null,
+      error: `End is past the video's length (${formatDuration(durationSeconds)}).`,
+    };
+  if (end <= start) return { clip: null, error: "End must be after start." };
+  if (start === 0 && end === durationSeconds)
+    return { clip: null, error: null };
+  return { clip: { start, end }, error: null };
+}
+
+/** formatDuration, but keeping a fractional second ("1:23.5"). */
+function formatTimestamp(seconds) {
+  const whole = Math.floor(seconds);
+  const frac = Math.floor((seconds - whole) * 10);
+  return frac ? `${formatDuration(whole)}.${frac}` : formatDuration(whole);
+}
+
+/**
+ * Appends one /api/playlist page to the playlist loaded so far and
+ * recomputes the header totals over everything loaded. Playlists can list
+ * the same video twice; the repeat is dropped since selection and download
+ * state are keyed by videoId.
+ */
+function mergePlaylistPage(playlist, page) {
+  const seen = new Set(playlist.videos.map((v) => v.videoId));
+  const videos = [
+    ...playlist.videos,
+    ...page.videos.filter((v) => !seen.has(v.videoId)),
+  ];
+  const totalSeconds = videos.reduce((sum, v) => sum + v.durationSeconds, 0);
+  const avgSeconds =
+    videos.length > 0 ? Math.round(totalSeconds / videos.length) : 0;
+  return {
+    ...playlist,
+    page: page.page,
+    hasMore: page.hasMore,
+    totalCount: page.totalCount ?? playlist.totalCount,
+    videoCount: videos.length,
+    unavailableCount: playlist.unavailableCount + page.unavailableCount,
+    videos,
+    totalDuration: formatDuration(totalSeconds),
+    totalSeconds,
+    averageDuration: formatDuration(avgSeconds),
+    averageSeconds: avgSeconds,
+  };
+}
+
+function emptyPlaylist(playlistId, { title, author, totalCount }) {
+  return {
+    playlistId,
+    title: title || "Unknown Playlist",
+    author: author || "Unknown",
+    page: 0,
+    hasMore: false,
+    totalCount: totalCount ?? null,
+    videoCount: 0,
+    unavailableCount: 0,
+    videos: [],
+    totalDuration: formatDuration(0),
+    totalSeconds: 0,
+    averageDuration: formatDuration(0),
+    averageSeconds: 0,
+  };
+}
+
 function formatViews(n) {
   if (!n) return null;
   if (n >= 1_000_000) return `${(n / 1_000_000).toFixed(1)}M views`;
@@ -202,6 +725,52 @@ function formatViews(n) {
   return `${n} views`;
 }
 
+// ── Streamed metadata (NDJSON) ────────────────────────────────────────────────
+/**
+ * Reads one of the `?stream=1` metadata responses (see lib/ndjson.js) and
+ * calls onEvents with every event parsed out of each network chunk, so a
+ * burst of playlist entries costs one render rather than one per entry.
+ * Resolves with the terminal "done" event; rejects on an "error" event, or
+ * if the stream ends without either (connection cut, function timeout).
+ */
+async function readNdjsonStream(res, onEvents) {
+  if (!res.ok) {
+    let message = `Request failed (${res.status})`;
+    try {
+      message = (await res.json()).error || message;
+    } catch (_) {}
+    throw new Error(message);
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = "";
+  let terminal = null;
+
+  const handleLines = (lines) => {
+    const events = lines.filter((l) => l.trim()).map((l) => JSON.parse(l));
+    for (const event of events) {
+      if (event.type === "error") throw new Error(event.error);
+      if (event.type === "done") terminal = event;
+    }
+    if (events.length > 0) onEvents(events);
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffered += decoder.decode(value, { stream: true });
+    const lines = buffered.split("\n");
+    buffered = lines.pop();
+    handleLines(lines);
+  }
+  handleLines([buffered]);
+
+  if (!terminal)
+    throw new Error("The server stopped responding before it finished.");
+  return terminal;
+}
+
 // ── File System Access API helpers ────────────────────────────────────────────
 function isFSASupported() {
   // showDirectoryPicker exists on Android Chrome but createWritable() does NOT —
@@ -223,6 +792,25 @@ function isBrave() {
   );
 }
 
+/**
+ * A directory handle restored from IndexedDB comes back without its write
+ * permission. Asks for it again — must run inside a user gesture (a click),
+ * or the browser refuses without prompting. Returns the handle if granted,
+ * null otherwise.
+ */
+async function restoreDirPermission(dirHandle) {
+  if (!dirHandle?.requestPermission) return null;
+  try {
+    const opts = { mode: "readwrite" };
+    if ((await dirHandle.queryPermission(opts)) === "granted") return dirHandle;
+    return (await dirHandle.requestPermission(opts)) === "granted"
+      ? dirHandle
+      : null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Attempts a no-op write to a temp file in the directory to verify
  * that createWritable() actually works (Brave blocks it silently sometimes).
@@ -295,11 +883,29 @@ async function resolveFilename(dirHandle, filename, conflictMode) {
 /**
  * Save a Blob to the chosen directory (FSA API) or fall back to browser download.
  * If FSA write fails at runtime (e.g. Brave shields), falls back to a regular download.
+ * `dirHandle` may also be a ZIP bundle (openZipBundle), which takes the file
+ * into its archive.
+ * Resolves with { saved, skipped, fsaFailed, filename, size, folder }.
  */
 async function saveBlob(blob, filename, dirHandle, conflictMode) {
+  if (dirHandle?.kind === "zip") return dirHandle.save(blob, filename);
+
+  // What actually got written and where - recorded in download history.
+  // folder: null means the browser's default Downloads folder.
+  const savedAs = (name, folder = null) => ({
+    filename: name,
+    size: blob.size,
+    folder,
+  });
+
   if (!dirHandle) {
     triggerBlobDownload(blob, filename);
-    return { saved: true, skipped: false, fsaFailed: false };
+    return {
+      saved: true,
+      skipped: false,
+      fsaFailed: false,
+      ...savedAs(filename),
+    };
   }
 
   let finalName;
@@ -308,7 +914,12 @@ async function saveBlob(blob, filename, dirHandle, conflictMode) {
   } catch {
     // FSA read failed — fall back to browser download
     triggerBlobDownload(blob, filename);
-    return { saved: true, skipped: false, fsaFailed: true };
+    return {
+      saved: true,
+      skipped: false,
+      fsaFailed: true,
+      ...savedAs(filename),
+    };
   }
 
   if (finalName === null)
@@ -321,7 +932,12 @@ async function saveBlob(blob, filename, dirHandle, conflictMode) {
     !("createWritable" in FileSystemFileHandle.prototype)
   ) {
     triggerBlobDownload(blob, filename);
-    return { saved: true, skipped: false, fsaFailed: true };
+    return {
+      saved: true,
+      skipped: false,
+      fsaFailed: true,
+      ...savedAs(filename),
+    };
   }
 
   let fh;
@@ -330,7 +946,12 @@ async function saveBlob(blob, filename, dirHandle, conflictMode) {
   } catch {
     // getFileHandle itself failed — fall back without creating anything
     triggerBlobDownload(blob, filename);
-    return { saved: true, skipped: false, fsaFailed: true };
+    return {
+      saved: true,
+      skipped: false,
+      fsaFailed: true,
+      ...savedAs(filename),
+    };
   }
 
   let writable;
@@ -342,13 +963,23 @@ async function saveBlob(blob, filename, dirHandle, conflictMode) {
       await dirHandle.removeEntry(finalName);
     } catch (_) {}
     triggerBlobDownload(blob, filename);
-    return { saved: true, skipped: false, fsaFailed: true };
+    return {
+      saved: true,
+      skipped: false,
+      fsaFailed: true,
+      ...savedAs(filename),
+    };
   }
 
   try {
     await writable.write(blob);
     await writable.close();
-    return { saved: true, skipped: false, fsaFailed: false };
+    return {
+      saved: true,
+      skipped: false,
+      fsaFailed: false,
+      ...savedAs(finalName, dirHandle.name),
+    };
   } catch {
     // Write or close failed mid-stream — abort, delete partial file, fall back
     try {
@@ -358,303 +989,2377 @@ async function saveBlob(blob, filename, dirHandle, conflictMode) {
       await dirHandle.removeEntry(finalName);
     } catch (_) {}
     triggerBlobDownload(blob, filename);
-    return { saved: true, skipped: false, fsaFailed: true };
+    return {
+      saved: true,
+      skipped: false,
+      fsaFailed: true,
+      ...savedAs(filename),
+    };
   }
 }
 
-// ── ffmpeg.wasm loader ────────────────────────────────────────────────────────
-let ffmpegInstance = null;
-let ffmpegLoading = false;
-let ffmpegReady = false;
-
-async function getFFmpeg(onLog) {
-  if (ffmpegReady && ffmpegInstance) return ffmpegInstance;
-  if (ffmpegLoading) {
-    await new Promise((r) => {
-      const check = setInterval(() => {
-        if (ffmpegReady) {
-          clearInterval(check);
-          r();
-        }
-      }, 100);
-    });
-    return ffmpegInstance;
+/**
+ * saveBlob for bytes that shouldn't be gathered into one Blob first:
+ * `write(writable)` streams them into `filename` in the chosen folder and
+ * resolves with the byte count. Resolves with saveBlob's result, or null
+ * if the folder can't be written at all — nothing has been written then,
+ * so the caller can still fall back. A write failing midway removes the
+ * partial file and rethrows.
+ */
+async function writeToFolder(filename, dirHandle, conflictMode, write) {
+  if (
+    typeof FileSystemFileHandle === "undefined" ||
+    !("createWritable" in FileSystemFileHandle.prototype)
+  )
+    return null;
+  let finalName;
+  let fh;
+  try {
+    finalName = await resolveFilename(dirHandle, filename, conflictMode);
+    if (finalName === null)
+      return { saved: false, skipped: true, fsaFailed: false };
+    fh = await dirHandle.getFileHandle(finalName, { create: true });
+  } catch {
+    return null;
   }
-
-  ffmpegLoading = true;
-  onLog?.("Loading ffmpeg.wasm (first-time setup, ~20 MB)…");
-
+  let writable;
   try {
-    const { FFmpeg } = await import("@ffmpeg/ffmpeg");
-    const { toBlobURL } = await import("@ffmpeg/util");
-
-    ffmpegInstance = new FFmpeg();
-
-    const baseUrl = "https://unpkg.com/@ffmpeg/core@0.12.6/dist/umd";
-    await ffmpegInstance.load({
-      coreURL: await toBlobURL(`${baseUrl}/ffmpeg-core.js`, "text/javascript"),
-      wasmURL: await toBlobURL(
-        `${baseUrl}/ffmpeg-core.wasm`,
-        "application/wasm",
-      ),
-    });
-
-    ffmpegReady = true;
-    ffmpegLoading = false;
-    onLog?.("ffmpeg.wasm ready.");
-    return ffmpegInstance;
+    writable = await fh.createWritable();
+  } catch {
+    try {
+      await dirHandle.removeEntry(finalName);
+    } catch (_) {}
+    return null;
+  }
+  try {
+    const size = await write(writable);
+    await writable.close();
+    return {
+      saved: true,
+      skipped: false,
+      fsaFailed: false,
+      filename: finalName,
+      size,
+      folder: dirHandle.name,
+    };
   } catch (err) {
-    ffmpegLoading = false;
-    throw new Error(`Failed to load ffmpeg.wasm: ${err.message}`);
+    try {
+      await writable.abort();
+    } catch (_) {}
+    try {
+      await dirHandle.removeEntry(finalName);
+    } catch (_) {}
+    throw err;
   }
 }
 
-// ── Device-mode download helpers ──────────────────────────────────────────────
-async function fetchViaCorsProxy(
-  cdnUrl,
-  onProgress,
-  progressStart = 0,
-  progressEnd = 100,
-) {
-  const proxyUrl = `/api/proxy?url=${encodeURIComponent(cdnUrl)}`;
-  const res = await fetch(proxyUrl);
-  if (!res.ok) throw new Error(`Proxy error ${res.status}`);
-
-  const total = parseInt(res.headers.get("content-length") || "0");
-  const reader = res.body.getReader();
-  const chunks = [];
-  let received = 0;
+// ── ZIP bundles ───────────────────────────────────────────────────────────────
+// A bulk run can save everything into one ZIP instead — without a chosen
+// folder, that's otherwise one browser download prompt per file. The
+// archive streams (lib/zip.js) into the chosen folder if there is one,
+// else into an OPFS temp file handed to the browser as a single download
+// when the run ends (see handOffTempFile).
+// Only where neither works does it build up in memory. The bundle goes
+// where saveBlob() takes a folder handle, so every download path saves
+// into it unchanged.
+
+/** `filename`, or "name (1).ext" and so on if the archive already has it. */
+function uniqueZipName(taken, filename) {
+  let name = filename;
+  const lastDot = filename.lastIndexOf(".");
+  const base = lastDot !== -1 ? filename.slice(0, lastDot) : filename;
+  const ext = lastDot !== -1 ? filename.slice(lastDot) : "";
+  for (let i = 1; taken.has(name); i++) name = `${base} (${i})${ext}`;
+  taken.add(name);
+  return name;
+}
 
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
-    chunks.push(value);
-    received += value.length;
-    if (onProgress) {
-      const p = total
-        ? progressStart +
-          Math.round((received / total) * (progressEnd - progressStart))
-        : Math.min(
-            progressStart + Math.round(received / 50000),
-            progressEnd - 5,
-          );
-      onProgress(p);
-    }
+/**
+ * Opens `<title>.zip` for a bulk run. `options` is the settings modal's
+ * { thumbnails, subtitles }: extras saved next to each item's own file.
+ * forVideo(videoId) is the handle to pass for one item, so metadata.json
+ * can list which files are whose; finish() writes it and closes the ZIP.
+ */
+async function openZipBundle(title, dirHandle, options) {
+  const safeName =
+    (title || "")
+      .replace(/[^\w\s\-]/g, "")
+      .trim()
+      .replace(/\s+/g, "_")
+      .slice(0, 100) || "playlist";
+  let zipName = `${safeName}.zip`;
+  let writable;
+  let tempHandle = null;
+  const tempName = `bundle_${Date.now()}.zip`;
+  if (dirHandle) {
+    zipName = await resolveFilename(dirHandle, zipName, "rename");
+    const fh = await dirHandle.getFileHandle(zipName, { create: true });
+    writable = await fh.createWritable();
+  } else if (isOpfsSupported()) {
+    ({ handle: tempHandle, writable } = await createTempFile(tempName));
+  } else {
+    const parts = [];
+    writable = {
+      write: async (data) => parts.push(data),
+      close: async () => {},
+      blob: () => new Blob(parts, { type: "application/zip" }),
+    };
   }
+  const folder = dirHandle ? `${dirHandle.name}/${zipName}` : zipName;
+
+  const zip = createZipWriter(writable);
+  const taken = new Set(["metadata.json"]);
+  const files = new Map(); // videoId → names in the archive
+  const save = async (blob, filename, videoId) => {
+    const name = uniqueZipName(taken, filename);
+    await zip.add(name, blob);
+    if (videoId) files.set(videoId, [...(files.get(videoId) || []), name]);
+    return {
+      saved: true,
+      skipped: false,
+      fsaFailed: false,
+      filename: name,
+      size: blob.size,
+      folder,
+    };
+  };
 
-  const all = new Uint8Array(received);
-  let offset = 0;
-  for (const chunk of chunks) {
-    all.set(chunk, offset);
-    offset += chunk.length;
-  }
-  return all;
+  return {
+    kind: "zip",
+    name: zipName,
+    options,
+    save: (blob, filename) => save(blob, filename, null),
+    forVideo: (videoId) => ({
+      kind: "zip",
+      name: zipName,
+      save: (blob, filename) => save(blob, filename, videoId),
+    }),
+    filesFor: (videoId) => files.get(videoId) || [],
+    async finish(metadata) {
+      await zip.add(
+        "metadata.json",
+        new Blob([JSON.stringify(metadata, null, 2)], {
+          type: "application/json",
+        }),
+      );
+      await zip.close();
+      if (tempHandle) {
+        await handOffTempFile(tempHandle, tempName, zipName);
+      } else if (!dirHandle) {
+        triggerBlobDownload(writable.blob(), zipName);
+      }
+    },
+  };
 }
 
-async function deviceModeMP3(
-  streamInfo,
-  quality,
-  title,
-  onProgress,
-  onLog,
-  dlSettings,
-) {
-  const bitrateMap = { highest: "320k", medium: "192k", low: "128k" };
-  const bitrate = bitrateMap[quality] || "192k";
-  const audioUrl = streamInfo.url;
-  const audioExt = streamInfo.audioExt || "m4a";
+/** metadata.json for a bundle: the playlist, then each item and its files. */
+function bundleMetadata(bundle, playlist, format, items) {
+  return {
+    playlist,
+    format,
+    exportedAt: new Date().toISOString(),
+    items: items.map((item) => ({
+      index: item.index ?? null,
+      videoId: item.videoId,
+      title: item.title,
+      author: item.author || null,
+      url: `https://www.youtube.com/watch?v=${item.videoId}`,
+      durationSeconds: item.durationSeconds || 0,
+      uploadDate: item.uploadDate || null,
+      viewCount: item.viewCount ?? null,
+      status: item.status,
+      files: bundle.filesFor(item.videoId),
+    })),
+  };
+}
 
-  onLog?.("Fetching audio stream…");
-  onProgress?.(5);
+// ── ffmpeg.wasm loader ────────────────────────────────────────────────────────
+// The core is served from this origin (public/ffmpeg/, copied out of npm by
+// scripts/copy-ffmpeg-core.js) unless NEXT_PUBLIC_FFMPEG_CORE_URL points it
+// at a mirror. The manifest of hashes is always read from here, and each
+// file is checked against it before it runs. When the page is
+// cross-origin isolated (see next.config.mjs) the multithreaded build is
+// used — it needs SharedArrayBuffer.
+const FFMPEG_CORE_URL = (
+  process.env.NEXT_PUBLIC_FFMPEG_CORE_URL || "/ffmpeg"
+).replace(/\/+$/, "");
+const FFMPEG_MANIFEST_URL = "/ffmpeg/manifest.json";
 
-  const audioBytes = await fetchViaCorsProxy(audioUrl, onProgress, 5, 45);
+/**
+ * One core file as a blob: URL, once its SHA-384 matches the manifest's.
+ * crypto.subtle only exists in secure contexts; over plain http (an
+ * intranet host, say) files from this origin load unchecked, since they
+ * came from the same server as the manifest — a mirror's never do.
+ */
+async function verifiedCoreURL(file, manifest, type) {
+  const url = `${FFMPEG_CORE_URL}/${file}`;
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`${url} returned ${res.status}`);
+  const data = await res.arrayBuffer();
+  const expected = manifest.files[file];
+  if (!expected) throw new Error(`${file} isn't in the core manifest`);
+  if (crypto.subtle) {
+    const digest = new Uint8Array(await crypto.subtle.digest("SHA-384", data));
+    const actual = `sha384-${btoa(String.fromCharCode(...digest))}`;
+    if (actual !== expected)
+      throw new Error(`${file} doesn't match its integrity hash`);
+  } else if (new URL(url, location.href).origin !== location.origin) {
+    throw new Error(
+      "Can't verify an ffmpeg core from another origin over plain http.",
+    );
+  }
+  return URL.createObjectURL(new Blob([data], { type }));
+}
 
-  onLog?.("Starting browser-side conversion…");
-  const ff = await getFFmpeg(onLog);
-  onProgress?.(50);
-
-  const inputName = `input.${audioExt}`;
-  const outputName = "output.mp3";
-  await ff.writeFile(inputName, audioBytes);
-  onProgress?.(55);
-
-  onLog?.(`Converting to MP3 (${bitrate}) on your device…`);
-  await ff.exec([
-    "-i",
-    inputName,
-    "-codec:a",
-    "libmp3lame",
-    "-b:a",
-    bitrate,
-    "-y",
-    outputName,
-  ]);
-  onProgress?.(90);
+// ── ffmpeg.wasm worker pool ───────────────────────────────────────────────────
+// Every pooled FFmpeg is its own worker with its own in-memory FS, and a job
+// holds one to itself from acquireFFmpeg() until releaseFFmpeg() — so bulk
+// items really do convert side by side, and cancelling one can terminate
+// its worker without touching anyone else's. Jobs past the pool size wait
+// their turn in FIFO order. Each worker's wasm heap only ever grows, so
+// the pool stays small on low-memory devices, and a worker that held a big
+// file in memory is retired after its job rather than kept around.
+const FFMPEG_POOL_MAX = 3;
+const FFMPEG_RECYCLE_BYTES = 256 * 1024 * 1024;
+
+const ffmpegPool = []; // [{ ff, busy, dead, memBytes, baseline }]
+const ffmpegWaiters = []; // [{ onLog, signal, resolve, reject, onAbort }]
+let ffmpegCoreURLs = null;
 
-  const mp3Data = await ff.readFile(outputName);
-  const blob = new Blob([mp3Data.buffer], { type: "audio/mpeg" });
-  const safeName = title
-    .replace(/[^\w\s\-]/g, "")
-    .trim()
-    .replace(/\s+/g, "_")
-    .slice(0, 100);
-  const result = await saveBlob(
-    blob,
-    `${safeName}.mp3`,
-    dlSettings?.dirHandle,
-    dlSettings?.conflictMode,
+/**
+ * Half the cores and one worker per 2 GB of memory, up to FFMPEG_POOL_MAX.
+ * The multithreaded build already spreads one job over several cores, so
+ * it gets at most two.
+ */
+function ffmpegPoolSize() {
+  const cores = navigator.hardwareConcurrency || 2;
+  const memoryGB = navigator.deviceMemory || 4;
+  const max = window.crossOriginIsolated ? 2 : FFMPEG_POOL_MAX;
+  return Math.max(
+    1,
+    Math.min(max, Math.floor(cores / 2), Math.floor(memoryGB / 2)),
   );
+}
 
+/** The verified core files as blob: URLs, fetched once for every worker. */
+function loadFFmpegCore() {
+  ffmpegCoreURLs ??= (async () => {
+    const manifestRes = await fetch(FFMPEG_MANIFEST_URL);
+    if (!manifestRes.ok)
+      throw new Error(
+        "ffmpeg core not found — run `npm install` (scripts/copy-ffmpeg-core.js).",
+      );
+    const manifest = await manifestRes.json();
+    const build = window.crossOriginIsolated ? "mt" : "st";
+    return {
+      build,
+      coreURL: await verifiedCoreURL(
+        `${build}/ffmpeg-core.js`,
+        manifest,
+        "text/javascript",
+      ),
+      wasmURL: await verifiedCoreURL(
+        `${build}/ffmpeg-core.wasm`,
+        manifest,
+        "application/wasm",
+      ),
+      ...(build === "mt" && {
+        workerURL: await verifiedCoreURL(
+          "mt/ffmpeg-core.worker.js",
+          manifest,
+          "text/javascript",
+        ),
+      }),
+    };
+  })().catch((err) => {
+    ffmpegCoreURLs = null;
+    throw err;
+  });
+  return ffmpegCoreURLs;
+}
+
+/** Loads one more worker into `worker`, a slot already reserved in the pool. */
+async function startFFmpegWorker(worker, onLog) {
+  onLog?.(
+    ffmpegCoreURLs
+      ? "Starting an ffmpeg worker…"
+      : "Loading ffmpeg.wasm (first-time setup, ~20 MB)…",
+  );
   try {
-    await ff.deleteFile(inputName);
-  } catch {}
-  try {
-    await ff.deleteFile(outputName);
-  } catch {}
+    const { FFmpeg } = await import("@ffmpeg/ffmpeg");
+    const { build, ...urls } = await loadFFmpegCore();
+    const ff = new FFmpeg();
+    await ff.load(urls);
+    // What a fresh FS holds, so the sweep between jobs knows what to keep.
+    worker.baseline = new Set((await ff.listDir("/")).map((n) => n.name));
+    worker.ff = ff;
+    onLog?.(
+      build === "mt"
+        ? "ffmpeg.wasm ready (multithreaded)."
+        : "ffmpeg.wasm ready.",
+    );
+    return ff;
+  } catch (err) {
+    ffmpegPool.splice(ffmpegPool.indexOf(worker), 1);
+    wakeFFmpegWaiter();
+    throw new Error(`Failed to load ffmpeg.wasm: ${err.message}`);
+  }
+}
 
-  onProgress?.(100);
-  onLog?.(result.skipped ? "Skipped — file already exists." : "Done!");
-  return result;
+/**
+ * Resolves with an FFmpeg instance this job has to itself: an idle pooled
+ * one, a newly started one while the pool has room, or else the next one
+ * released. Rejects if `signal` aborts while still queued. Every instance
+ * handed out must go back through releaseFFmpeg().
+ */
+async function acquireFFmpeg(onLog, signal) {
+  signal?.throwIfAborted();
+  const idle = ffmpegPool.find((w) => !w.busy && !w.dead);
+  if (idle) {
+    idle.busy = true;
+    return idle.ff;
+  }
+  if (ffmpegPool.length < ffmpegPoolSize()) {
+    const worker = { ff: null, busy: true, dead: false, memBytes: 0 };
+    ffmpegPool.push(worker);
+    return startFFmpegWorker(worker, onLog);
+  }
+  onLog?.("Waiting for a free ffmpeg worker…");
+  return new Promise((resolve, reject) => {
+    const waiter = { onLog, signal, resolve, reject };
+    waiter.onAbort = () => {
+      ffmpegWaiters.splice(ffmpegWaiters.indexOf(waiter), 1);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", waiter.onAbort, { once: true });
+    ffmpegWaiters.push(waiter);
+  });
 }
 
-async function deviceModeMP4(streamInfo, title, onProgress, onLog, dlSettings) {
+function wakeFFmpegWaiter() {
+  const waiter = ffmpegWaiters.shift();
+  if (!waiter) return;
+  waiter.signal?.removeEventListener("abort", waiter.onAbort);
+  acquireFFmpeg(waiter.onLog, waiter.signal).then(
+    waiter.resolve,
+    waiter.reject,
+  );
+}
+
+function ffmpegWorkerOf(ff) {
+  return ff ? ffmpegPool.find((w) => w.ff === ff) : undefined;
+}
+
+/** Counts bytes a job wrote into an instance's memory, for recycling. */
+function noteFFmpegMemory(ff, bytes) {
+  const worker = ffmpegWorkerOf(ff);
+  if (worker) worker.memBytes += bytes;
+}
+
+/** Stops an instance outright — the only way to halt a running exec. */
+function retireFFmpeg(ff) {
+  const worker = ffmpegWorkerOf(ff);
+  if (!worker || worker.dead) return;
+  worker.dead = true;
+  ff.terminate();
+}
+
+/**
+ * Hands a job's instance back to the pool. Anything the job left in the FS
+ * is swept out first (the subtitle font stays — it's the same for every
+ * job); a retired instance, or one whose heap grew past
+ * FFMPEG_RECYCLE_BYTES, is dropped so its memory goes back to the browser,
+ * and the next job starts a fresh one. `ff` may be undefined if the job
+ * never got one.
+ */
+async function releaseFFmpeg(ff) {
+  const worker = ffmpegWorkerOf(ff);
+  if (!worker) return;
+  if (!worker.dead && worker.memBytes > FFMPEG_RECYCLE_BYTES) retireFFmpeg(ff);
+  if (worker.dead) {
+    ffmpegPool.splice(ffmpegPool.indexOf(worker), 1);
+  } else {
+    await sweepFFmpegFS(worker);
+    worker.busy = false;
+  }
+  wakeFFmpegWaiter();
+}
+
+async function sweepFFmpegFS({ ff, baseline }) {
+  let nodes = [];
+  try {
+    nodes = await ff.listDir("/");
+  } catch {}
+  for (const { name, isDir } of nodes) {
+    if (baseline.has(name) || `/${name}` === SUBTITLE_FONT_DIR) continue;
+    try {
+      if (isDir) {
+        try {
+          await ff.unmount(`/${name}`);
+        } catch {} // only a WORKERFS mount point needs it
+        await ff.deleteDir(`/${name}`);
+      } else {
+        await ff.deleteFile(`/${name}`);
+      }
+    } catch {}
+  }
+}
+
+// libass has no system fonts in wasm, so burned-in subtitles render with
+// this one (copied into public/ by scripts/copy-subtitle-font.js). It's
+// written into each ffmpeg instance's FS the first time a job needs it.
+const SUBTITLE_FONT_URL = "/fonts/NotoSans-Regular.ttf";
+const SUBTITLE_FONT_DIR = "/fonts";
+const SUBTITLE_FONT_NAME = "Noto Sans";
+// That font is next/og's Latin subset of Noto Sans, which stops at
+// Latin-1: captions in other scripts (or in Polish, Turkish and the like)
+// would burn in as empty boxes. Only these languages are burned in; the
+// rest go in as a soft track, which the player draws with its own fonts.
+const BURN_IN_LANGS =
+  /^(en|es|fr|de|it|pt|nl|id|ms|da|sv|no|nb|nn|fi|is|ca|gl|eu|af|sw|ga|tl|fil)(-|$)/i;
+
+/** Whether captions in `lang` can be burned in with the bundled font. */
+function canBurnIn(lang) {
+  return BURN_IN_LANGS.test(lang || "");
+}
+let subtitleFontData = null;
+const ffmpegsWithFont = new WeakSet();
+
+async function ensureSubtitleFont(ff) {
+  if (ffmpegsWithFont.has(ff)) return;
+  if (!subtitleFontData) {
+    const res = await fetch(SUBTITLE_FONT_URL);
+    if (!res.ok)
+      throw new Error(
+        "Subtitle font is missing — run `npm install` to copy it into public/fonts.",
+      );
+    subtitleFontData = new Uint8Array(await res.arrayBuffer());
+  }
+  try {
+    await ff.createDir(SUBTITLE_FONT_DIR);
+  } catch (_) {} // already there
+  // writeFile transfers the buffer to the worker, so hand it a copy.
+  await ff.writeFile(
+    `${SUBTITLE_FONT_DIR}/NotoSans-Regular.ttf`,
+    subtitleFontData.slice(),
+  );
+  ffmpegsWithFont.add(ff);
+}
+
+/** The `subtitles` filter that draws `subsPath` into the frames. */
+function burnInFilter(subsPath, { fontSize, position }) {
+  const { alignment } =
+    SUBTITLE_POSITIONS.find((p) => p.value === position) ||
+    SUBTITLE_POSITIONS[0];
+  const style = [
+    `FontName=${SUBTITLE_FONT_NAME}`,
+    `FontSize=${fontSize || DEFAULT_SUBTITLE_OPTIONS.fontSize}`,
+    `Alignment=${alignment}`,
+    "MarginV=16",
+    "Outline=1.5",
+    "Shadow=0",
+  ].join(",");
+  return `subtitles=${subsPath}:fontsdir=${SUBTITLE_FONT_DIR}:force_style='${style}'`;
+}
+
+/** A `scale` filter that keeps the short side at most `maxSide` pixels. */
+function shortSideScaleFilter(maxSide) {
+  const side = (dim) => `trunc(min(${maxSide},${dim})/2)*2`;
+  return `scale='if(gt(iw,ih),-2,${side("iw")})':'if(gt(iw,ih),${side("ih")},-2)'`;
+}
+
+/**
+ * Frame rate, width and a palette built from the clip itself, so GIF's 256
+ * colours are this video's rather than a generic web palette. The palette
+ * favours what moves (stats_mode=diff), and each frame only re-encodes the
+ * rectangle that changed, which keeps the file much smaller.
+ */
+function gifFilter({ fps, width }) {
+  return [
+    `fps=${fps},scale=${width}:-1:flags=lanczos,split[a][b]`,
+    "[a]palettegen=stats_mode=diff[p]",
+    "[b][p]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle",
+  ].join(";");
+}
+
+// Below this a size target can't be met watchably, so the video bitrate
+// stops here and the file comes out bigger than asked (see sizeFloorMB).
+const MIN_VIDEO_KBPS = 50;
+
+/**
+ * The video bitrate that lands `seconds` of output near `rate.sizeMB` —
+ * what's left of the budget after the audio, keeping 5% back for container
+ * overhead. Unfloored, so it can be tiny or negative.
+ */
+function sizeTargetKbps(preset, rate, seconds) {
+  const budgetKbits = (rate.sizeMB * 8 * 1024 * 1024 * 0.95) / 1000;
+  return Math.floor(budgetKbits / seconds - preset.audioKbps);
+}
+
+/**
+ * Roughly how big `seconds` of output comes out, in MB, when a size target
+ * is too small for it and MIN_VIDEO_KBPS kicks in; null when the target
+ * is reachable (or isn't a size target at all).
+ */
+function sizeFloorMB(preset, rate, seconds) {
+  if (rate?.mode !== "size" || !preset || !(seconds > 0)) return null;
+  if (sizeTargetKbps(preset, rate, seconds) >= MIN_VIDEO_KBPS) return null;
+  const kbits = (MIN_VIDEO_KBPS + preset.audioKbps) * seconds;
+  return (kbits * 1000) / (8 * 1024 * 1024 * 0.95);
+}
+
+/**
+ * Rate-control flags for a preset: a constant-quality CRF, or the bitrate
+ * that lands `seconds` of output near `rate.sizeMB` (see sizeTargetKbps),
+ * never below MIN_VIDEO_KBPS.
+ */
+function rateControlArgs(preset, rate, seconds) {
+  if (rate.mode === "size" && seconds > 0) {
+    const kbps = Math.max(
+      sizeTargetKbps(preset, rate, seconds),
+      MIN_VIDEO_KBPS,
+    );
+    return [
+      "-b:v",
+      `${kbps}k`,
+      "-maxrate",
+      `${Math.round(kbps * 1.5)}k`,
+      "-bufsize",
+      `${kbps * 2}k`,
+    ];
+  }
+  const crf = ["-crf", String(rate.crf)];
+  // libvpx only treats -crf as constant quality with the bitrate cap off.
+  return preset.container === "webm" ? [...crf, "-b:v", "0"] : crf;
+}
+
+// Job files are prefixed too: OPFS temp files (lib/opfs.js) are shared by
+// every job in the tab, and the prefix keeps a sweep's leftovers readable.
+let ffmpegJobCounter = 0;
+function nextFFmpegJobTag() {
+  ffmpegJobCounter += 1;
+  return `j${ffmpegJobCounter}_`;
+}
+
+// "time=00:01:23.45" in ffmpeg's status lines — how much output is done.
+const FFMPEG_TIME_RE = /time=\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/;
+
+/**
+ * Runs one ffmpeg command on `ff`, an instance from acquireFFmpeg().
+ * ffmpeg.wasm's exec({ signal }) only rejects the caller's promise — the
+ * worker carries on encoding — so an abort retires the instance instead,
+ * which is safe now that no other job shares it.
+ *
+ * With `progress` ({ seconds, from, to, onProgress }), the time= stamps
+ * ffmpeg logs are reported as a share of `seconds` of output, mapped onto
+ * from–to. ffmpeg.wasm's own progress event assumes the output is as long
+ * as the input, which a clip or a SponsorBlock cut isn't.
+ */
+async function execFFmpeg(ff, args, signal, progress) {
+  signal?.throwIfAborted();
+  const onAbort = () => retireFFmpeg(ff);
+  signal?.addEventListener("abort", onAbort, { once: true });
+  let reported = progress?.from ?? 0;
+  const onLogLine = ({ message }) => {
+    const m = FFMPEG_TIME_RE.exec(message);
+    if (!m) return;
+    const done = Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]);
+    const { seconds, from, to, onProgress } = progress;
+    const p = from + Math.round(Math.min(done / seconds, 1) * (to - from));
+    if (p > reported) {
+      reported = p;
+      onProgress?.(p);
+    }
+  };
+  const tracking = progress?.seconds > 0;
+  if (tracking) ff.on("log", onLogLine);
+  try {
+    await ff.exec(args, -1, { signal });
+  } finally {
+    if (tracking) ff.off("log", onLogLine);
+    signal?.removeEventListener("abort", onAbort);
+  }
+  signal?.throwIfAborted();
+}
+
+// Chunk size for copying ffmpeg's output into a folder's file.
+const FOLDER_WRITE_CHUNK = 8 * 1024 * 1024;
+
+/**
+ * Saves ffmpeg's output file `outName` as `filename`. ffmpeg.wasm can only
+ * write into its in-memory FS (WORKERFS is read-only) and only read a file
+ * back whole, so the one copy readFile hands over is all there is: the
+ * worker's copy is deleted straight away, and with a folder chosen the
+ * bytes are written into its file a chunk at a time rather than first
+ * wrapped in a Blob, which would copy them again.
+ */
+async function saveFFmpegOutput(
+  ff,
+  outName,
+  filename,
+  mime,
+  dlSettings,
+  signal,
+) {
+  const data = await ff.readFile(outName);
+  await deleteFFmpegFiles(ff, [outName]);
+  signal?.throwIfAborted();
+  const dirHandle = dlSettings?.dirHandle;
+  if (dirHandle && dirHandle.kind !== "zip") {
+    try {
+      const result = await writeToFolder(
+        filename,
+        dirHandle,
+        dlSettings.conflictMode,
+        async (writable) => {
+          for (let pos = 0; pos < data.length; pos += FOLDER_WRITE_CHUNK)
+            await writable.write(data.subarray(pos, pos + FOLDER_WRITE_CHUNK));
+          return data.length;
+        },
+      );
+      if (result) return result;
+    } catch {} // saveBlob below tries the folder again, then falls back
+  }
+  return saveBlob(
+    new Blob([data.buffer], { type: mime }),
+    filename,
+    dirHandle,
+    dlSettings?.conflictMode,
+  );
+}
+
+async function deleteFFmpegFiles(ff, names) {
+  for (const name of names) {
+    try {
+      await ff.deleteFile(name);
+    } catch {}
+  }
+}
+
+// ── Device-mode download helpers ──────────────────────────────────────────────
+/**
+ * Streams a CDN URL through /api/proxy, handing each chunk to `onChunk` as
+ * it arrives. Resolves with the total byte count. With `byteLimit`, only
+ * that many bytes from the start of the file are requested.
+ */
+async function readViaCorsProxy(
+  cdnUrl,
+  onChunk,
+  onProgress,
+  progressStart,
+  progressEnd,
+  signal,
+  byteLimit,
+) {
+  const proxyUrl = `/api/proxy?url=${encodeURIComponent(cdnUrl)}`;
+  const res = await fetch(proxyUrl, {
+    signal,
+    headers: byteLimit ? { Range: `bytes=0-${byteLimit - 1}` } : undefined,
+  });
+  if (!res.ok) throw new Error(`Proxy error ${res.status}`);
+
+  const total = parseInt(res.headers.get("content-length") || "0");
+  const reader = res.body.getReader();
+  let received = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    await onChunk(value);
+    received += value.length;
+    if (onProgress) {
+      const p = total
+        ? progressStart +
+          Math.round((received / total) * (progressEnd - progressStart))
+        : Math.min(
+            progressStart + Math.round(received / 50000),
+            progressEnd - 5,
+          );
+      onProgress(p);
+    }
+  }
+  return received;
+}
+
+async function fetchViaCorsProxy(
+  cdnUrl,
+  onProgress,
+  progressStart = 0,
+  progressEnd = 100,
+  signal,
+  byteLimit,
+) {
+  const chunks = [];
+  const received = await readViaCorsProxy(
+    cdnUrl,
+    (chunk) => chunks.push(chunk),
+    onProgress,
+    progressStart,
+    progressEnd,
+    signal,
+    byteLimit,
+  );
+
+  const all = new Uint8Array(received);
+  let offset = 0;
+  for (const chunk of chunks) {
+    all.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return all;
+}
+
+/**
+ * The no-mux path: when ffmpeg would only copy one stream through as-is,
+ * with a folder chosen the proxy bytes go straight into the folder's file
+ * instead. Resolves with saveBlob's result, or null when there's no
+ * writable folder — the caller then takes the ffmpeg path after all.
+ */
+async function streamStraightToFolder(
+  cdnUrl,
+  filename,
+  dlSettings,
+  onProgress,
+  signal,
+) {
+  const dirHandle = dlSettings?.dirHandle;
+  if (!dirHandle || dirHandle.kind === "zip") return null;
+  return writeToFolder(filename, dirHandle, dlSettings.conflictMode, (w) =>
+    readViaCorsProxy(
+      cdnUrl,
+      (chunk) => w.write(chunk),
+      onProgress,
+      5,
+      99,
+      signal,
+    ),
+  );
+}
+
+/**
+ * Same as fetchViaCorsProxy, but every chunk goes straight into an OPFS temp
+ * file (lib/opfs.js) instead of tab memory. Resolves with that file — a
+ * disk-backed File, ready to mount into ffmpeg via WORKERFS.
+ */
+async function fetchViaCorsProxyToDisk(
+  cdnUrl,
+  name,
+  onProgress,
+  progressStart = 0,
+  progressEnd = 100,
+  signal,
+  byteLimit,
+) {
+  const { handle, writable } = await createTempFile(name);
+  try {
+    await readViaCorsProxy(
+      cdnUrl,
+      (chunk) => writable.write(chunk),
+      onProgress,
+      progressStart,
+      progressEnd,
+      signal,
+      byteLimit,
+    );
+    await writable.close();
+  } catch (err) {
+    try {
+      await writable.abort();
+    } catch (_) {}
+    await removeTempFile(name);
+    throw err;
+  }
+  return handle.getFile();
+}
+
+// Inputs go to disk whenever the browser has OPFS, folder or not: the
+// fetched streams are the biggest thing a download holds, and ffmpeg reads
+// them through WORKERFS without copying them into memory. Only browsers
+// without OPFS keep them in tab memory.
+function shouldStageOnDisk() {
+  return isOpfsSupported();
+}
+
+// A clip only needs the stream up to its end point. YouTube's DASH streams
+// carry their seek index at the front, so a prefix of the file is a valid
+// (truncated) input for ffmpeg. Bitrate varies through a video, so the
+// prefix is sized from the clip's share of the duration with slack on top;
+// mid-file ranges would need that index parsed to map times to bytes.
+const CLIP_PREFIX_SLACK = 1.25;
+const CLIP_TAIL_SECONDS = 15;
+const CLIP_PREFIX_MIN_BYTES = 2 * 1024 * 1024;
+
+/**
+ * How many leading bytes of a `size`-byte stream cover `clip`, or null to
+ * fetch it all — when sizes are unknown, or the prefix would be most of it.
+ */
+function clipByteLimit(clip, size, durationSeconds) {
+  if (!clip || !size || !durationSeconds) return null;
+  const fraction =
+    ((clip.end + CLIP_TAIL_SECONDS) / durationSeconds) * CLIP_PREFIX_SLACK;
+  if (fraction >= 0.9) return null;
+  return Math.min(size, Math.ceil(size * fraction) + CLIP_PREFIX_MIN_BYTES);
+}
+
+/** Input options that seek to `clip` — before -i, so ffmpeg skips ahead. */
+function clipInputArgs(clip) {
+  if (!clip) return [];
+  return ["-ss", String(clip.start), "-t", String(clip.end - clip.start)];
+}
+
+/**
+ * SponsorBlock segments as they fall inside `clip` (or the whole video),
+ * moved onto the cut's own timeline, with overlapping segments merged.
+ */
+function segmentsInCut(segments, clip) {
+  const from = clip?.start ?? 0;
+  const to = clip?.end ?? Infinity;
+  const out = [];
+  for (const seg of segments || []) {
+    const start = Math.max(seg.start, from) - from;
+    const end = Math.min(seg.end, to) - from;
+    if (end <= start) continue;
+    const last = out[out.length - 1];
+    if (last && start <= last.end) last.end = Math.max(last.end, end);
+    else out.push({ category: seg.category, start, end });
+  }
+  return out;
+}
+
+/**
+ * How long a cut's output runs: `clip` (or the whole video) less the
+ * segments in `dropped` — for target-size bitrates and exec progress.
+ */
+function cutOutputSeconds(clip, durationSeconds, dropped) {
+  return (
+    (clip ? clip.end - clip.start : durationSeconds) -
+    dropped.reduce((t, seg) => t + seg.end - seg.start, 0)
+  );
+}
+
+/** A select/aselect expression that drops every frame inside `segments`. */
+function skipExpression(segments) {
+  const inAny = segments.map((s) => `between(t,${s.start},${s.end})`).join("+");
+  return `not(${inAny})`;
+}
+
+/**
+ * An FFMETADATA file with one chapter per segment, and "Content" chapters
+ * for the stretches between, across a cut `length` seconds long.
+ */
+function sponsorChaptersMetadata(segments, length) {
+  const label = (category) =>
+    SPONSORBLOCK_CATEGORIES.find((c) => c.value === category)?.label ||
+    category;
+  const marks = [];
+  let pos = 0;
+  for (const seg of segments) {
+    if (seg.start > pos)
+      marks.push({ title: "Content", start: pos, end: seg.start });
+    marks.push({ title: label(seg.category), start: seg.start, end: seg.end });
+    pos = seg.end;
+  }
+  if (length > pos) marks.push({ title: "Content", start: pos, end: length });
+  const escape = (text) => text.replace(/[=;#\\\n]/g, (c) => `\\${c}`);
+  return (
+    ";FFMETADATA1\n" +
+    marks
+      .map(
+        (m) =>
+          `[CHAPTER]\nTIMEBASE=1/1000\nSTART=${Math.round(m.start * 1000)}\nEND=${Math.round(m.end * 1000)}\ntitle=${escape(m.title)}\n`,
+      )
+      .join("")
+  );
+}
+
+/**
+ * Loudnorm's first pass: measures the audio `map` picks out of `inputArgs`,
+ * after `filters` (e.g. a SponsorBlock aselect), against `target` LUFS.
+ * Resolves with loudnorm's stats as numbers ({ input_i, input_tp,
+ * input_lra, input_thresh, target_offset }), or null when there's nothing
+ * measurable (no audio stream, or silence).
+ *
+ * loudnorm only reports through the log, and the job has `ff` to itself
+ * (see acquireFFmpeg), so the last report logged is ours. `progress` is
+ * passed on to execFFmpeg.
+ */
+async function measureLoudness(
+  ff,
+  inputArgs,
+  map,
+  filters,
+  target,
+  signal,
+  progress,
+) {
+  const lines = [];
+  const onLogLine = ({ message }) => lines.push(message);
+  ff.on("log", onLogLine);
+  try {
+    await execFFmpeg(
+      ff,
+      [
+        ...inputArgs,
+        "-map",
+        map,
+        "-af",
+        [
+          ...filters,
+          `loudnorm=I=${target}:TP=${LOUDNESS_TRUE_PEAK}:print_format=json`,
+        ].join(","),
+        "-f",
+        "null",
+        "-",
+      ],
+      signal,
+      progress,
+    );
+  } finally {
+    ff.off("log", onLogLine);
+  }
+  const reports = lines.join("\n").match(/\{[^{}]*"input_i"[^{}]*\}/g);
+  if (!reports) return null;
+  const stats = Object.fromEntries(
+    Object.entries(JSON.parse(reports[reports.length - 1])).map(([k, v]) => [
+      k,
+      Number(v),
+    ]),
+  );
+  return Number.isFinite(stats.input_i) && Number.isFinite(stats.input_tp)
+    ? stats
+    : null;
+}
+
+/**
+ * Loudnorm's second pass for a track measured as `stats`. Linear mode
+ * applies one gain to the whole track (only falling back to dynamic
+ * compression if that gain would clip), so the range target is widened to
+ * the track's own. In album mode the gain is the album's rather than what
+ * this track alone would need. loudnorm works at 192 kHz internally, hence
+ * the aresample back down.
+ */
+function loudnormFilter(stats, { mode, target, albumGain }) {
+  const album = mode === "album" && albumGain != null;
+  const level = album
+    ? Math.min(Math.max(stats.input_i + albumGain, -70), -5)
+    : target;
+  const range = Math.min(Math.max(stats.input_lra, 11), 50);
+  return (
+    [
+      `loudnorm=I=${level.toFixed(2)}`,
+      `TP=${LOUDNESS_TRUE_PEAK}`,
+      `LRA=${range}`,
+      `measured_I=${stats.input_i}`,
+      `measured_TP=${stats.input_tp}`,
+      `measured_LRA=${stats.input_lra}`,
+      `measured_thresh=${stats.input_thresh}`,
+      `offset=${album ? 0 : stats.target_offset}`,
+      "linear=true",
+      "print_format=none",
+    ].join(":") + ",aresample=48000"
+  );
+}
+
+/**
+ * The one gain (dB) that brings a set of tracks, taken together as an
+ * album, to `target` LUFS. Each measurement is { integrated, duration };
+ * loudness is averaged by energy, weighted by duration. Null if none of
+ * them could be measured.
+ */
+function albumGain(measurements, target) {
+  const valid = measurements.filter(
+    (m) => Number.isFinite(m?.integrated) && m.duration > 0,
+  );
+  if (valid.length === 0) return null;
+  const total = valid.reduce((sum, m) => sum + m.duration, 0);
+  const energy =
+    valid.reduce((sum, m) => sum + m.duration * 10 ** (m.integrated / 10), 0) /
+    total;
+  return target - 10 * Math.log10(energy);
+}
+
+/** "_clip_1m23s-1m53s"-style filename suffix, or "" for a whole video. */
+function clipSuffix(clip) {
+  if (!clip) return "";
+  const stamp = (sec) => {
+    const h = Math.floor(sec / 3600);
+    const m = Math.floor((sec % 3600) / 60);
+    const s = Math.floor(sec % 60);
+    return `${h ? `${h}h` : ""}${h || m ? `${m}m` : ""}${s}s`;
+  };
+  return `_clip_${stamp(clip.start)}-${stamp(clip.end)}`;
+}
+
+/**
+ * Fetches ffmpeg's inputs in parallel, to disk or to memory per
+ * shouldStageOnDisk(). Each spec is { url, name, onProgress, start, end },
+ * plus an optional byteLimit (see clipByteLimit).
+ * Resolves with [{ name, data }], where data is a File (disk) or Uint8Array.
+ * If one stream fails the others are cancelled rather than left to finish
+ * downloading for nothing, and any temp files they wrote are removed.
+ */
+async function fetchFFmpegInputs(specs, onDisk, signal) {
+  const abort = new AbortController();
+  const onAbort = () => abort.abort(signal.reason);
+  signal?.addEventListener("abort", onAbort, { once: true });
+  let firstError = null;
+  try {
+    const results = await Promise.allSettled(
+      specs.map(async (spec) => {
+        try {
+          const data = onDisk
+            ? await fetchViaCorsProxyToDisk(
+                spec.url,
+                spec.name,
+                spec.onProgress,
+                spec.start,
+                spec.end,
+                abort.signal,
+                spec.byteLimit,
+              )
+            : await fetchViaCorsProxy(
+                spec.url,
+                spec.onProgress,
+                spec.start,
+                spec.end,
+                abort.signal,
+                spec.byteLimit,
+              );
+          return { name: spec.name, data };
+        } catch (err) {
+          firstError ??= err;
+          abort.abort(err);
+          throw err;
+        }
+      }),
+    );
+    if (firstError) {
+      for (const r of results)
+        if (r.status === "fulfilled" && r.value.data instanceof File)
+          await removeTempFile(r.value.data.name);
+      throw firstError;
+    }
+    return results.map((r) => r.value);
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * Makes fetched inputs visible to ffmpeg and returns their paths, in order.
+ * Disk-backed Files are mounted read-only under /<tag>in via WORKERFS, so
+ * ffmpeg reads them straight from OPFS; byte arrays are written into MEMFS.
+ */
+async function stageFFmpegInputs(ff, tag, inputs) {
+  const files = inputs.filter((i) => i.data instanceof File);
+  if (files.length > 0) {
+    const mountPoint = `/${tag}in`;
+    await ff.createDir(mountPoint);
+    await ff.mount("WORKERFS", { files: files.map((i) => i.data) }, mountPoint);
+  }
+  const paths = [];
+  for (const input of inputs) {
+    if (input.data instanceof File) {
+      paths.push(`/${tag}in/${input.data.name}`);
+    } else {
+      noteFFmpegMemory(ff, input.data.byteLength);
+      await ff.writeFile(input.name, input.data);
+      paths.push(input.name);
+    }
+  }
+  return paths;
+}
+
+/**
+ * Undoes stageFFmpegInputs and deletes any OPFS temp files behind the
+ * inputs. `ff` may be undefined if ffmpeg never loaded.
+ */
+async function unstageFFmpegInputs(ff, tag, inputs) {
+  const files = inputs.filter((i) => i.data instanceof File);
+  if (ff) {
+    if (files.length > 0) {
+      try {
+        await ff.unmount(`/${tag}in`);
+        await ff.deleteDir(`/${tag}in`);
+      } catch {}
+    }
+    await deleteFFmpegFiles(
+      ff,
+      inputs.filter((i) => !(i.data instanceof File)).map((i) => i.name),
+    );
+  }
+  for (const input of files) await removeTempFile(input.data.name);
+}
+
+/**
+ * The files one download produces, cut from the same fetched input: the
+ * whole video (or its clip), or one file per selected chapter. `name` has
+ * no extension; `clip` is null for the whole video. Chapter files are
+ * tagged as tracks of an album named after the video.
+ */
+function outputCuts(safeName, dlSettings) {
+  const tags = dlSettings?.tags || null;
+  const chapters = dlSettings?.chapters;
+  if (chapters?.length)
+    return chapters.map((c) => ({
+      clip: { start: c.start, end: c.end },
+      name: chapterFilename(c),
+      tags: tags && {
+        ...tags,
+        title: c.title,
+        track: String(c.number),
+        album: tags.album || tags.title,
+      },
+    }));
+  const clip = dlSettings?.clip || null;
+  return [{ clip, name: `${safeName}${clipSuffix(clip)}`, tags }];
+}
+
+/** The tags a video starts with in VideoCard's tag editor. */
+function defaultTags(video) {
+  return {
+    title: video.title || "",
+    artist: video.author || "",
+    album: "",
+    track: "",
+    year: (video.uploadDate || "").slice(0, 4),
+    cover: true,
+  };
+}
+
+/** A bulk item's tags: the playlist is the album, its position the track. */
+function playlistItemTags(item, playlist) {
+  return {
+    ...defaultTags(item),
+    album: playlist?.title || "",
+    track: item.index ? String(item.index) : "",
+  };
+}
+
+/** -metadata args for a tag set; blank fields are left off, not emptied. */
+function tagArgs(tags) {
+  if (!tags) return [];
+  const fields = {
+    title: tags.title,
+    artist: tags.artist,
+    album: tags.album,
+    track: tags.track,
+    date: tags.year,
+  };
+  return Object.entries(fields)
+    .map(([key, v]) => [key, String(v ?? "").trim()])
+    .filter(([, v]) => v)
+    .flatMap(([key, v]) => ["-metadata", `${key}=${v}`]);
+}
+
+/** "03 - Chapter title" — the title kept readable, minus path-unsafe chars. */
+function chapterFilename({ number, title }) {
+  const clean = (title || "")
+    .replace(/[<>:"/\\|?*\u0000-\u001f]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 100);
+  return `${String(number).padStart(2, "0")} - ${clean || `Chapter ${number}`}`;
+}
+
+/** How far into the streams the cuts reach — what clipByteLimit needs. */
+function cutsExtent(cuts) {
+  if (cuts.some((c) => !c.clip)) return null;
+  return { start: 0, end: Math.max(...cuts.map((c) => c.clip.end)) };
+}
+
+/**
+ * One saveBlob-style result for a multi-file download: saved if anything
+ * was, skipped only if everything was. `files` counts what got written.
+ */
+function mergeSaveResults(results) {
+  if (results.length === 1) return results[0];
+  const saved = results.filter((r) => r.saved);
+  return {
+    saved: saved.length > 0,
+    skipped: saved.length === 0,
+    fsaFailed: results.some((r) => r.fsaFailed),
+    filename: saved[0]?.filename || null,
+    size: saved.reduce((sum, r) => sum + (r.size || 0), 0),
+    folder: saved[0]?.folder || null,
+    files: saved.length,
+  };
+}
+
+async function deviceModeMP3(
+  streamInfo,
+  quality,
+  title,
+  onProgress,
+  onLog,
+  dlSettings,
+  signal,
+) {
+  const audioUrl = streamInfo.url;
+  const audioExt = streamInfo.audioExt || "m4a";
+  // A passthrough target only fits the codec YouTube actually served; if
+  // it sent the other one, keep that original stream in its own container.
+  const sourceExt = audioExt === "mp4" ? "m4a" : audioExt;
+  let target = audioFormatFor(dlSettings?.audioFormat);
+  if (target.copy && target.ext !== sourceExt) {
+    target = AUDIO_FORMATS.find((f) => f.copy && f.ext === sourceExt) || target;
+  }
+  const passthrough = target.copy && target.ext === sourceExt;
+  const qualityLabel = target.qualities
+    ?.find((q) => q.value === quality)
+    ?.label.replace(/ \(.*\)$/, "");
+  const targetLabel = qualityLabel
+    ? `${target.label} (${qualityLabel})`
+    : target.label;
+  const safeName = title
+    .replace(/[^\w\s\-]/g, "")
+    .trim()
+    .replace(/\s+/g, "_")
+    .slice(0, 100);
+  const cuts = outputCuts(safeName, dlSettings);
+  const extent = cutsExtent(cuts);
+  // SponsorBlock segments, already looked up by downloadVideo.
+  const sponsorMode = dlSettings?.sponsorSegments?.length
+    ? dlSettings.sponsorBlock?.mode
+    : null;
+  const loudness =
+    dlSettings?.loudness && dlSettings.loudness.mode !== "off"
+      ? dlSettings.loudness
+      : null;
+
+  // Copying the stream as-is, whole, untagged: nothing for ffmpeg to do.
+  const [onlyCut] = cuts;
+  if (
+    passthrough &&
+    cuts.length === 1 &&
+    !onlyCut.clip &&
+    !sponsorMode &&
+    !loudness &&
+    !tagArgs(onlyCut.tags).length &&
+    !(target.cover && dlSettings?.coverArt)
+  ) {
+    onLog?.("Saving the audio stream straight to your folder…");
+    const result = await streamStraightToFolder(
+      audioUrl,
+      `${onlyCut.name}.${target.ext}`,
+      dlSettings,
+      onProgress,
+      signal,
+    );
+    if (result) {
+      onProgress?.(100);
+      onLog?.(result.skipped ? "Skipped — file already exists." : "Done!");
+      return result;
+    }
+  }
+
+  onLog?.(
+    extent
+      ? `Fetching audio up to ${formatTimestamp(extent.end)}…`
+      : "Fetching audio stream…",
+  );
+  onProgress?.(5);
+
+  const tag = nextFFmpegJobTag();
+  const inputs = await fetchFFmpegInputs(
+    [
+      {
+        url: audioUrl,
+        name: `${tag}input.${audioExt}`,
+        onProgress,
+        start: 5,
+        end: 45,
+        byteLimit: clipByteLimit(
+          extent,
+          streamInfo.filesizeApprox,
+          streamInfo.durationSeconds,
+        ),
+      },
+    ],
+    shouldStageOnDisk(),
+    signal,
+  );
+
+  onLog?.("Starting browser-side conversion…");
+  const outputName = `${tag}output.${target.ext}`;
+  const metaName = `${tag}chapters.txt`;
+  // Cover art, already fetched by downloadVideo when tags asked for it.
+  const coverName = `${tag}cover.jpg`;
+  const coverArt = (target.cover && dlSettings?.coverArt) || null;
+  const results = [];
+  let ff;
+  try {
+    ff = await acquireFFmpeg(onLog, signal);
+    onProgress?.(50);
+
+    const [inputPath] = await stageFFmpegInputs(ff, tag, inputs);
+    if (coverArt) await ff.writeFile(coverName, coverArt.slice());
+    onProgress?.(55);
+
+    for (const [i, cut] of cuts.entries()) {
+      const verb = passthrough ? "Saving" : "Converting";
+      onLog?.(
+        cuts.length > 1
+          ? `${verb} ${cut.name} (${i + 1}/${cuts.length}) as ${targetLabel}…`
+          : `${verb} as ${targetLabel} on your device…`,
+      );
+      const inputArgs = [...clipInputArgs(cut.clip), "-i", inputPath];
+      let nextInput = 1;
+      const sponsorArgs = [];
+      const audioFilters = [];
+      const skips = sponsorMode
+        ? segmentsInCut(dlSettings.sponsorSegments, cut.clip)
+        : [];
+      if (sponsorMode === "cut" && skips.length) {
+        onLog?.(`Cutting ${skips.length} SponsorBlock segment(s)…`);
+        audioFilters.push(`aselect='${skipExpression(skips)}',asetpts=N/SR/TB`);
+      }
+      // This cut's share of 55–95, split with the measuring pass if any.
+      const from = 55 + Math.round((i / cuts.length) * 40);
+      const to = 55 + Math.round(((i + 1) / cuts.length) * 40);
+      const measured = loudness ? Math.round((from + to) / 2) : from;
+      const seconds = cutOutputSeconds(
+        cut.clip,
+        streamInfo.durationSeconds,
+        sponsorMode === "cut" ? skips : [],
+      );
+      if (loudness) {
+        onLog?.("Measuring loudness…");
+        const stats = await measureLoudness(
+          ff,
+          inputArgs,
+          "0:a",
+          audioFilters,
+          loudness.target,
+          signal,
+          { seconds, from, to: measured, onProgress },
+        );
+        if (stats) {
+          onLog?.(`Normalizing loudness (measured ${stats.input_i} LUFS)…`);
+          audioFilters.push(loudnormFilter(stats, loudness));
+        } else {
+          onLog?.("No audio to measure — leaving the volume as it is.");
+        }
+      }
+      if (sponsorMode === "mark" && skips.length) {
+        const length = cut.clip
+          ? cut.clip.end - cut.clip.start
+          : streamInfo.durationSeconds;
+        await ff.writeFile(
+          metaName,
+          new TextEncoder().encode(sponsorChaptersMetadata(skips, length)),
+        );
+        inputArgs.push("-i", metaName);
+        sponsorArgs.push("-map_chapters", String(nextInput++));
+      }
+      // ID3v2.3 rather than ffmpeg's default 2.4: it's the version Windows
+      // and most car stereos actually read.
+      const tagging = [
+        ...tagArgs(cut.tags),
+        ...(target.ext === "mp3" ? ["-id3v2_version", "3"] : []),
+        "-map",
+        "0:a",
+      ];
+      if (coverArt) {
+        const coverIndex = nextInput++;
+        inputArgs.push("-i", coverName);
+        tagging.push(
+          "-map",
+          `${coverIndex}:v`,
+          "-c:v",
+          "copy",
+          "-metadata:s:v",
+          "title=Album cover",
+          "-metadata:s:v",
+          "comment=Cover (front)",
+          "-disposition:v",
+          "attached_pic",
+        );
+      }
+      await execFFmpeg(
+        ff,
+        [
+          ...inputArgs,
+          ...sponsorArgs,
+          ...tagging,
+          ...(audioFilters.length ? ["-af", audioFilters.join(",")] : []),
+          // Filtered audio (cuts, normalization) can't be a stream copy.
+          ...(passthrough && !audioFilters.length
+            ? ["-codec:a", "copy"]
+            : target.encode(quality)),
+          "-y",
+          outputName,
+        ],
+        signal,
+        { seconds, from: measured, to, onProgress },
+      );
+      results.push(
+        await saveFFmpegOutput(
+          ff,
+          outputName,
+          `${cut.name}.${target.ext}`,
+          target.mime,
+          dlSettings,
+          signal,
+        ),
+      );
+      onProgress?.(to);
+    }
+  } finally {
+    await unstageFFmpegInputs(ff, tag, inputs);
+    if (ff) await deleteFFmpegFiles(ff, [outputName, metaName, coverName]);
+    await releaseFFmpeg(ff);
+  }
+
+  const result = mergeSaveResults(results);
+  onProgress?.(100);
+  onLog?.(result.skipped ? "Skipped — file already exists." : "Done!");
+  return result;
+}
+
+/**
+ * Whether deviceModeMP4 draws the fetched caption track into the frames —
+ * asked for, and in a language the subtitle font covers (see canBurnIn).
+ */
+function burnsSubtitles(dlSettings) {
+  const track = dlSettings?.subtitleTrack;
+  return !!track && !!dlSettings.subtitles?.burn && canBurnIn(track.lang);
+}
+
+/**
+ * Whether deviceModeMP4 decodes the video instead of copying it: a
+ * transcode preset, a burn-in, a clip or chapter split (cut frame-accurately,
+ * which a stream copy can't do) or a SponsorBlock cut. `dlSettings` is the
+ * one deviceModeMP4 gets, with `subtitleTrack` and `sponsorSegments`.
+ */
+function decodesVideo(dlSettings) {
+  const preset = TRANSCODE_PRESETS.find(
+    (p) => p.value === dlSettings?.transcode?.preset && p.container,
+  );
+  return (
+    !!preset ||
+    burnsSubtitles(dlSettings) ||
+    !!cutsExtent(outputCuts("", dlSettings)) ||
+    (!!dlSettings?.sponsorSegments?.length &&
+      dlSettings.sponsorBlock?.mode === "cut")
+  );
+}
+
+async function deviceModeMP4(
+  streamInfo,
+  title,
+  onProgress,
+  onLog,
+  dlSettings,
+  signal,
+) {
+  const safeName = title
+    .replace(/[^\w\s\-]/g, "")
+    .trim()
+    .replace(/\s+/g, "_")
+    .slice(0, 100);
+  const tag = nextFFmpegJobTag();
+  const onDisk = shouldStageOnDisk();
+  const dual = streamInfo.streamType === "dual";
+  const cuts = outputCuts(safeName, dlSettings);
+  const extent = cutsExtent(cuts);
+
+  // Optional subtitle track, already fetched as SRT by downloadVideo: muxed
+  // as a soft track, or drawn into the frames when `burn` is set — which
+  // means re-encoding the video instead of copying it.
+  const subtitleTrack = dlSettings?.subtitleTrack || null;
+  const subsName = `${tag}subs.srt`;
+  const burn = burnsSubtitles(dlSettings);
+  if (subtitleTrack && dlSettings.subtitles?.burn && !burn)
+    onLog?.(
+      "The subtitle font can't draw this language — embedding the captions as a soft track instead.",
+    );
+  // SponsorBlock segments, already looked up by downloadVideo. Cutting them
+  // out drops frames, so both streams are re-encoded; marking them only
+  // adds chapters.
+  const sponsorMode = dlSettings?.sponsorSegments?.length
+    ? dlSettings.sponsorBlock?.mode
+    : null;
+  const cutSponsors = sponsorMode === "cut";
+  // Normalizing loudness re-encodes just the audio track.
+  const loudness =
+    dlSettings?.loudness && dlSettings.loudness.mode !== "off"
+      ? dlSettings.loudness
+      : null;
+  const metaName = `${tag}chapters.txt`;
+  // A transcode preset re-encodes everything into its own container.
+  const preset = TRANSCODE_PRESETS.find(
+    (p) => p.value === dlSettings?.transcode?.preset && p.container,
+  );
+  const rate = dlSettings?.transcode?.rate || preset?.rate;
+  const gif = preset?.container === "gif";
+  const keepAudio = !preset || !!preset.audio;
+  // Cover art, already fetched by downloadVideo when tags asked for it.
+  const coverName = `${tag}cover.jpg`;
+  const coverArt = (!gif && dlSettings?.coverArt) || null;
+  // Clips and chapters are cut frame-accurately, so they're re-encoded too.
+  const reencode = decodesVideo(dlSettings);
+
+  let container = preset?.container || dlSettings?.container || "mp4";
+  // A re-encode goes to VP9 (and Opus, for audio) for WebM, so only what's
+  // copied has to fit already.
+  const webmSafe =
+    (reencode || streamInfo.videoExt === "webm") &&
+    (cutSponsors ||
+      !!loudness ||
+      !!preset ||
+      (dual ? streamInfo.audioExt : streamInfo.videoExt) === "webm");
+  if (container === "webm" && !webmSafe) {
+    onLog?.("These streams can't go in WebM — saving as MKV instead.");
+    container = "mkv";
+  }
+  const mime = gif
+    ? "image/gif"
+    : CONTAINERS.find((c) => c.value === container).mime;
+  const outName = `${tag}out.${container}`;
+  // faststart only means something for MP4's moov atom.
+  const muxFlags = container === "mp4" ? ["-movflags", "+faststart"] : [];
+
+  // One progressive stream already in the target container, copied whole
+  // and untagged: nothing for ffmpeg to do.
+  if (
+    !dual &&
+    !reencode &&
+    !subtitleTrack &&
+    !sponsorMode &&
+    !loudness &&
+    !coverArt &&
+    cuts.length === 1 &&
+    !tagArgs(cuts[0].tags).length &&
+    streamInfo.videoExt === container
+  ) {
+    onLog?.("Saving the video stream straight to your folder…");
+    const result = await streamStraightToFolder(
+      streamInfo.url,
+      `${cuts[0].name}.${container}`,
+      dlSettings,
+      onProgress,
+      signal,
+    );
+    if (result) {
+      onProgress?.(100);
+      onLog?.(result.skipped ? "Skipped — file already exists." : "Done!");
+      return result;
+    }
+  }
+
+  let inputs;
+  if (dual) {
+    onLog?.(
+      extent
+        ? `Fetching video + audio up to ${formatTimestamp(extent.end)}…`
+        : "Fetching video + audio streams in parallel…",
+    );
+
+    let videoProgress = 0;
+    let audioProgress = 0;
+    const updateProgress = () => {
+      const combined = videoProgress * 0.85 + audioProgress * 0.15;
+      onProgress?.(5 + Math.round(combined * 0.65));
+    };
+
+    inputs = await fetchFFmpegInputs(
+      [
+        {
+          url: streamInfo.videoUrl,
+          name: `${tag}vin.${streamInfo.videoExt || "mp4"}`,
+          onProgress: (p) => {
+            videoProgress = p;
+            updateProgress();
+          },
+          start: 0,
+          end: 100,
+          byteLimit: clipByteLimit(
+            extent,
+            streamInfo.videoFilesize,
+            streamInfo.durationSeconds,
+          ),
+        },
+        {
+          url: streamInfo.audioUrl,
+          name: `${tag}ain.${streamInfo.audioExt || "m4a"}`,
+          onProgress: (p) => {
+            audioProgress = p;
+            updateProgress();
+          },
+          start: 0,
+          end: 100,
+          byteLimit: clipByteLimit(
+            extent,
+            streamInfo.audioFilesize,
+            streamInfo.durationSeconds,
+          ),
+        },
+      ],
+      onDisk,
+      signal,
+    );
+
+    onProgress?.(72);
+    onLog?.("Muxing on your device…");
+  } else {
+    // Single streams are progressive files, whose index can sit at the end —
+    // a prefix isn't safe to cut from, so a clip still fetches all of it.
+    onLog?.("Fetching video stream…");
+    inputs = await fetchFFmpegInputs(
+      [
+        {
+          url: streamInfo.url,
+          name: `${tag}sin.${streamInfo.videoExt || "mp4"}`,
+          onProgress: (p) => onProgress?.(5 + Math.round(p * 0.62)),
+          start: 0,
+          end: 100,
+        },
+      ],
+      onDisk,
+      signal,
+    );
+
+    onProgress?.(68);
+    onLog?.(`Remuxing into ${container.toUpperCase()}…`);
+  }
+
+  const results = [];
+  let ff;
+  try {
+    ff = await acquireFFmpeg(onLog, signal);
+    const firstProgress = dual ? 76 : 72;
+    onProgress?.(firstProgress);
+
+    const paths = await stageFFmpegInputs(ff, tag, inputs);
+    if (coverArt) await ff.writeFile(coverName, coverArt.slice());
+    if (subtitleTrack) {
+      await ff.writeFile(
+        subsName,
+        new TextEncoder().encode(subtitleTrack.content),
+      );
+    }
+    if (burn) {
+      await ensureSubtitleFont(ff);
+      onLog?.(
+        "Burning in subtitles — re-encoding every frame, this takes a while…",
+      );
+    }
+    if (preset) {
+      onLog?.(`Encoding as ${preset.label} — this takes a while…`);
+    }
+
+    for (const [i, cut] of cuts.entries()) {
+      const { clip } = cut;
+      if (cuts.length > 1) {
+        onLog?.(`Cutting ${cut.name} (${i + 1}/${cuts.length})…`);
+      } else if (clip && !burn) {
+        onLog?.(
+          `Cutting ${formatTimestamp(clip.start)}–${formatTimestamp(clip.end)} on your device…`,
+        );
+      }
+      const inputArgs = paths.flatMap((p) => [...clipInputArgs(clip), "-i", p]);
+      let nextInput = paths.length;
+      const mapArgs = dual ? ["-map", "0:v", "-map", "1:a"] : ["-map", "0"];
+      let videoArgs = ["-c:v", "copy"];
+      let audioArgs = ["-c:a", "copy"];
+      const audioFilters = [];
+      let subsArgs = [];
+      const skips = sponsorMode
+        ? segmentsInCut(dlSettings.sponsorSegments, clip)
+        : [];
+      const dropping = cutSponsors && skips.length > 0;
+      // What's left of the cut once segments are dropped, for a
+      // target-size bitrate and for progress.
+      const seconds = cutOutputSeconds(
+        clip,
+        streamInfo.durationSeconds,
+        dropping ? skips : [],
+      );
+      // This cut's share of the bar, split with the measuring pass if any.
+      const from =
+        firstProgress + Math.round((i / cuts.length) * (99 - firstProgress));
+      const to =
+        firstProgress +
+        Math.round(((i + 1) / cuts.length) * (99 - firstProgress));
+      const measured =
+        loudness && keepAudio ? Math.round((from + to) / 2) : from;
+      const floorMB = preset && rate && sizeFloorMB(preset, rate, seconds);
+      if (floorMB)
+        onLog?.(
+          `${rate.sizeMB} MB is too small for ${formatTimestamp(seconds)} of video — expect about ${Math.ceil(floorMB)} MB.`,
+        );
+      if (reencode) {
+        // Input seeking restarts timestamps at 0, so a burn-in on a clip
+        // shifts frames back to the source's clock while the captions are
+        // drawn, matching the untrimmed SRT. Dropped SponsorBlock frames
+        // leave gaps that the final setpts closes up.
+        const filters = [
+          dropping && `select='${skipExpression(skips)}'`,
+          burn && clip && `setpts=PTS+${clip.start}/TB`,
+          burn && burnInFilter(subsName, dlSettings.subtitles),
+          dropping
+            ? "setpts=N/FRAME_RATE/TB"
+            : burn && clip && "setpts=PTS-STARTPTS",
+          preset?.maxHeight && shortSideScaleFilter(preset.maxHeight),
+          gif && gifFilter(preset.gif),
+        ].filter(Boolean);
+        if (dropping) {
+          onLog?.(`Cutting ${skips.length} SponsorBlock segment(s)…`);
+          audioFilters.push(
+            `aselect='${skipExpression(skips)}',asetpts=N/SR/TB`,
+          );
+        }
+        // Stream-specific (:v:0) so a cover-art stream stays a plain copy.
+        videoArgs = [
+          ...(filters.length ? ["-filter:v:0", filters.join(",")] : []),
+          ...(preset
+            ? [
+                ...(preset.video || []),
+                ...(rate ? rateControlArgs(preset, rate, seconds) : []),
+              ]
+            : VIDEO_ENCODERS[container]),
+          ...(gif ? [] : ["-pix_fmt:v:0", "yuv420p"]),
+        ];
+      }
+      if (loudness && keepAudio) {
+        onLog?.("Measuring loudness…");
+        const stats = await measureLoudness(
+          ff,
+          inputArgs,
+          `${dual ? 1 : 0}:a?`,
+          audioFilters,
+          loudness.target,
+          signal,
+          { seconds, from, to: measured, onProgress },
+        );
+        if (stats) {
+          onLog?.(`Normalizing loudness (measured ${stats.input_i} LUFS)…`);
+          audioFilters.push(loudnormFilter(stats, loudness));
+        } else {
+          onLog?.("No audio to measure — leaving the volume as it is.");
+        }
+      }
+      if (!keepAudio) {
+        audioArgs = ["-an"];
+      } else if (audioFilters.length || loudness || preset) {
+        audioArgs = [
+          ...(audioFilters.length ? ["-af", audioFilters.join(",")] : []),
+          ...(preset?.audio || AUDIO_ENCODERS[container]),
+        ];
+      }
+      if (subtitleTrack && !burn && !gif) {
+        inputArgs.push(...clipInputArgs(clip), "-i", subsName);
+        mapArgs.push("-map", `${nextInput++}:s`);
+        subsArgs = [
+          "-c:s",
+          SUBTITLE_CODECS[container],
+          "-metadata:s:s:0",
+          `language=${subtitleTrack.lang}`,
+        ];
+      }
+      let chapterArgs = [];
+      if (sponsorMode === "mark" && skips.length && !gif) {
+        const length = clip
+          ? clip.end - clip.start
+          : streamInfo.durationSeconds;
+        await ff.writeFile(
+          metaName,
+          new TextEncoder().encode(sponsorChaptersMetadata(skips, length)),
+        );
+        inputArgs.push("-i", metaName);
+        chapterArgs = ["-map_chapters", String(nextInput++)];
+      }
+      // Cover art: an attached picture in MP4, a file attachment in MKV.
+      // WebM allows neither, so it only gets the text tags. GIF has no tags.
+      const tagging = gif ? [] : tagArgs(cut.tags);
+      if (coverArt && container === "mp4") {
+        inputArgs.push("-i", coverName);
+        mapArgs.push("-map", `${nextInput++}:v`);
+        tagging.push("-c:v:1", "copy", "-disposition:v:1", "attached_pic");
+      } else if (coverArt && container === "mkv") {
+        tagging.push(
+          "-attach",
+          coverName,
+          "-metadata:s:t:0",
+          "mimetype=image/jpeg",
+          "-metadata:s:t:0",
+          "filename=cover.jpg",
+        );
+      }
+      await execFFmpeg(
+        ff,
+        [
+          ...inputArgs,
+          ...mapArgs,
+          ...videoArgs,
+          ...audioArgs,
+          ...subsArgs,
+          ...chapterArgs,
+          ...tagging,
+          ...muxFlags,
+          "-y",
+          outName,
+        ],
+        signal,
+        { seconds, from: measured, to, onProgress },
+      );
+
+      results.push(
+        await saveFFmpegOutput(
+          ff,
+          outName,
+          `${cut.name}.${container}`,
+          mime,
+          dlSettings,
+          signal,
+        ),
+      );
+      onProgress?.(to);
+    }
+  } finally {
+    await unstageFFmpegInputs(ff, tag, inputs);
+    if (ff)
+      await deleteFFmpegFiles(ff, [outName, subsName, metaName, coverName]);
+    await releaseFFmpeg(ff);
+  }
+
+  const result = mergeSaveResults(results);
+  onProgress?.(100);
+  onLog?.(result.skipped ? "Skipped — file already exists." : "Done!");
+  return result;
+}
+
+/**
+ * The GIF tab: cuts `dlSettings.clip` out of a video-only stream (fetching
+ * only up to its end) and encodes it as an animated GIF or WebP with
+ * `dlSettings.gif`'s { output, fps, width }.
+ */
+async function deviceModeGIF(
+  streamInfo,
+  title,
+  onProgress,
+  onLog,
+  dlSettings,
+  signal,
+) {
+  const options = { ...DEFAULT_GIF_OPTIONS, ...dlSettings?.gif };
+  const output =
+    ANIMATION_FORMATS.find((f) => f.value === options.output) ||
+    ANIMATION_FORMATS[0];
+  const clip = dlSettings?.clip || null;
+  const safeName = title
+    .replace(/[^\w\s\-]/g, "")
+    .trim()
+    .replace(/\s+/g, "_")
+    .slice(0, 100);
+
+  onLog?.(
+    clip
+      ? `Fetching video up to ${formatTimestamp(clip.end)}…`
+      : "Fetching video stream…",
+  );
+  onProgress?.(5);
+  const tag = nextFFmpegJobTag();
+  const inputs = await fetchFFmpegInputs(
+    [
+      {
+        url: streamInfo.url,
+        name: `${tag}gin.${streamInfo.videoExt || "mp4"}`,
+        onProgress,
+        start: 5,
+        end: 60,
+        byteLimit: clipByteLimit(
+          clip,
+          streamInfo.filesizeApprox,
+          streamInfo.durationSeconds,
+        ),
+      },
+    ],
+    shouldStageOnDisk(),
+    signal,
+  );
+
+  const outName = `${tag}anim.${output.value}`;
+  let ff;
+  let result;
+  try {
+    ff = await acquireFFmpeg(onLog, signal);
+    onProgress?.(65);
+    const [inputPath] = await stageFFmpegInputs(ff, tag, inputs);
+    onLog?.(
+      output.value === "gif"
+        ? "Building a palette and encoding the GIF…"
+        : "Encoding the animated WebP…",
+    );
+    const encodeArgs =
+      output.value === "gif"
+        ? ["-filter:v", gifFilter(options)]
+        : [
+            "-filter:v",
+            `fps=${options.fps},scale=${options.width}:-1:flags=lanczos`,
+            "-c:v",
+            "libwebp",
+            "-quality",
+            "75",
+            "-compression_level",
+            "4",
+          ];
+    await execFFmpeg(
+      ff,
+      [
+        ...clipInputArgs(clip),
+        "-i",
+        inputPath,
+        "-map",
+        "0:v:0",
+        "-an",
+        ...encodeArgs,
+        "-loop",
+        "0",
+        "-y",
+        outName,
+      ],
+      signal,
+      {
+        seconds: cutOutputSeconds(clip, streamInfo.durationSeconds, []),
+        from: 65,
+        to: 95,
+        onProgress,
+      },
+    );
+    onProgress?.(95);
+    result = await saveFFmpegOutput(
+      ff,
+      outName,
+      `${safeName}${clipSuffix(clip)}.${output.value}`,
+      output.mime,
+      dlSettings,
+      signal,
+    );
+  } finally {
+    await unstageFFmpegInputs(ff, tag, inputs);
+    if (ff) await deleteFFmpegFiles(ff, [outName]);
+    await releaseFFmpeg(ff);
+  }
+
+  onProgress?.(100);
+  onLog?.(result.skipped ? "Skipped — file already exists." : "Done!");
+  return result;
+}
+
+/** drawtext stamping `textFile`'s contents in a box at the bottom right. */
+function timestampLabelFilter(textFile) {
+  return [
+    `drawtext=fontfile=${SUBTITLE_FONT_DIR}/NotoSans-Regular.ttf`,
+    `textfile=${textFile}`,
+    "fontsize=18",
+    "fontcolor=white",
+    "box=1",
+    "boxcolor=black@0.6",
+    "boxborderw=4",
+    "x=w-tw-8",
+    "y=h-th-8",
+  ].join(":");
+}
+
+/**
+ * The Image tab's stills from the video itself, per `dlSettings.still`: one
+ * full-resolution frame at `at` seconds (fetching only up to it), or a
+ * contact sheet of evenly spaced, time-stamped frames tiled into one image.
+ * Each sheet frame is its own seek-and-grab, so only those frames are ever
+ * decoded rather than the whole video.
+ */
+async function deviceModeStill(
+  streamInfo,
+  title,
+  onProgress,
+  onLog,
+  dlSettings,
+  signal,
+) {
+  const options = { ...DEFAULT_STILL_OPTIONS, ...dlSettings?.still };
+  const sheet = options.mode === "sheet";
+  const format =
+    STILL_FORMATS.find((f) => f.value === options.format) || STILL_FORMATS[0];
+  const duration = streamInfo.durationSeconds;
   const safeName = title
     .replace(/[^\w\s\-]/g, "")
     .trim()
     .replace(/\s+/g, "_")
     .slice(0, 100);
 
-  if (streamInfo.streamType === "dual") {
-    onLog?.("Fetching video + audio streams in parallel…");
+  onLog?.(
+    sheet
+      ? "Fetching a small copy of the video…"
+      : `Fetching video up to ${formatTimestamp(options.at)}…`,
+  );
+  onProgress?.(5);
+  const tag = nextFFmpegJobTag();
+  const inputs = await fetchFFmpegInputs(
+    [
+      {
+        url: streamInfo.url,
+        name: `${tag}still.${streamInfo.videoExt || "mp4"}`,
+        onProgress,
+        start: 5,
+        end: 60,
+        byteLimit: sheet
+          ? null
+          : clipByteLimit(
+              { start: options.at, end: options.at + 1 },
+              streamInfo.filesizeApprox,
+              duration,
+            ),
+      },
+    ],
+    shouldStageOnDisk(),
+    signal,
+  );
 
-    let videoProgress = 0;
-    let audioProgress = 0;
-    const updateProgress = () => {
-      const combined = videoProgress * 0.85 + audioProgress * 0.15;
-      onProgress?.(5 + Math.round(combined * 0.65));
-    };
+  const [cols, rows] = options.grid.split("x").map(Number);
+  const frameNames = sheet
+    ? Array.from(
+        { length: cols * rows },
+        (_, i) => `${tag}f${String(i).padStart(3, "0")}.png`,
+      )
+    : [];
+  const labelName = `${tag}label.txt`;
+  const outName = `${tag}out.${format.value}`;
+  const quality = format.value === "jpg" ? ["-q:v", "2"] : [];
+  let ff;
+  let result;
+  try {
+    ff = await acquireFFmpeg(onLog, signal);
+    onProgress?.(65);
+    const [inputPath] = await stageFFmpegInputs(ff, tag, inputs);
+    if (!sheet) {
+      onLog?.("Grabbing the frame…");
+      await execFFmpeg(
+        ff,
+        [
+          "-ss",
+          String(options.at),
+          "-i",
+          inputPath,
+          "-map",
+          "0:v:0",
+          "-frames:v",
+          "1",
+          ...quality,
+          "-y",
+          outName,
+        ],
+        signal,
+      );
+    } else {
+      await ensureSubtitleFont(ff);
+      for (const [i, name] of frameNames.entries()) {
+        const at = (duration * (i + 0.5)) / frameNames.length;
+        onLog?.(`Grabbing frame ${i + 1}/${frameNames.length}…`);
+        await ff.writeFile(
+          labelName,
+          new TextEncoder().encode(formatTimestamp(at)),
+        );
+        await execFFmpeg(
+          ff,
+          [
+            "-ss",
+            String(at),
+            "-i",
+            inputPath,
+            "-map",
+            "0:v:0",
+            "-frames:v",
+            "1",
+            "-filter:v",
+            `scale=${SHEET_TILE_WIDTH}:-2,${timestampLabelFilter(labelName)}`,
+            "-y",
+            name,
+          ],
+          signal,
+        );
+        onProgress?.(65 + Math.round(((i + 1) / frameNames.length) * 30));
+      }
+      onLog?.("Laying out the contact sheet…");
+      await execFFmpeg(
+        ff,
+        [
+          "-i",
+          `${tag}f%03d.png`,
+          "-filter:v",
+          `tile=${cols}x${rows}:margin=8:padding=4:color=black`,
+          "-frames:v",
+          "1",
+          ...quality,
+          "-y",
+          outName,
+        ],
+        signal,
+      );
+    }
+    const suffix = sheet
+      ? "_contact_sheet"
+      : `_frame_${formatTimestamp(options.at).replace(/:/g, "-")}`;
+    result = await saveFFmpegOutput(
+      ff,
+      outName,
+      `${safeName}${suffix}.${format.value}`,
+      format.mime,
+      dlSettings,
+      signal,
+    );
+  } finally {
+    await unstageFFmpegInputs(ff, tag, inputs);
+    if (ff) await deleteFFmpegFiles(ff, [outName, labelName, ...frameNames]);
+    await releaseFFmpeg(ff);
+  }
 
-    const [videoBytes, audioBytes] = await Promise.all([
-      fetchViaCorsProxy(
-        streamInfo.videoUrl,
-        (p) => {
-          videoProgress = p;
-          updateProgress();
-        },
-        0,
-        100,
-      ),
-      fetchViaCorsProxy(
-        streamInfo.audioUrl,
-        (p) => {
-          audioProgress = p;
-          updateProgress();
-        },
-        0,
-        100,
-      ),
-    ]);
+  onProgress?.(100);
+  onLog?.(result.skipped ? "Skipped — file already exists." : "Done!");
+  return result;
+}
 
-    onProgress?.(72);
-    onLog?.("Muxing on your device…");
-    const ff = await getFFmpeg(onLog);
-    onProgress?.(76);
-
-    const videoExt = streamInfo.videoExt || "mp4";
-    const audioExt = streamInfo.audioExt || "m4a";
-    const videoIn = `vin.${videoExt}`;
-    const audioIn = `ain.${audioExt}`;
-
-    await ff.writeFile(videoIn, videoBytes);
-    await ff.writeFile(audioIn, audioBytes);
-    await ff.exec([
-      "-i",
-      videoIn,
-      "-i",
-      audioIn,
-      "-c:v",
-      "copy",
-      "-c:a",
-      "copy",
-      "-movflags",
-      "+faststart",
-      "-y",
-      "out.mp4",
-    ]);
-    onProgress?.(94);
-
-    const mp4Data = await ff.readFile("out.mp4");
-    const blob = new Blob([mp4Data.buffer], { type: "video/mp4" });
-    const result = await saveBlob(
-      blob,
-      `${safeName}.mp4`,
-      dlSettings?.dirHandle,
-      dlSettings?.conflictMode,
-    );
+// ── Server-mode download ──────────────────────────────────────────────────────
+const NATIVE_DOWNLOAD_FRAME_MS = 6 * 60 * 1000;
+let serverDownloadsCheck = null;
+
+/** Whether this deployment has /api/download turned on (asked once). */
+function serverDownloadsEnabled() {
+  serverDownloadsCheck ??= fetch("/api/download")
+    .then((res) => res.json())
+    .then((data) => !!data.enabled)
+    .catch(() => false);
+  return serverDownloadsCheck;
+}
 
-    try {
-      await ff.deleteFile(videoIn);
-    } catch {}
-    try {
-      await ff.deleteFile(audioIn);
-    } catch {}
-    try {
-      await ff.deleteFile("out.mp4");
-    } catch {}
+/**
+ * Why a download has to run on the device even with server mode chosen —
+ * the options /api/download has no yt-dlp equivalent for — or null.
+ */
+function deviceOnlyReason(fmt, dlSettings) {
+  if (fmt !== "mp4" && fmt !== "mp3") return "This format";
+  if (dlSettings?.transcode && dlSettings.transcode.preset !== "original")
+    return "Re-encode presets";
+  if (dlSettings?.loudness && dlSettings.loudness.mode !== "off")
+    return "Loudness normalization";
+  if (dlSettings?.embedSubtitles) return "Embedded subtitles";
+  if (dlSettings?.chapters?.length) return "Chapter splits";
+  return null;
+}
 
-    onProgress?.(100);
-    onLog?.(result.skipped ? "Skipped — file already exists." : "Done!");
-    return result;
-  } else {
-    onLog?.("Fetching video stream…");
-    const bytes = await fetchViaCorsProxy(
-      streamInfo.url,
-      (p) => onProgress?.(5 + Math.round(p * 0.62)),
-      0,
-      100,
-    );
+/**
+ * Server mode: yt-dlp and a real ffmpeg build the file on the server
+ * (/api/download) and it arrives finished — no separate streams, no
+ * ffmpeg.wasm, and never the whole file in tab memory: it's piped into the
+ * folder's file as it arrives, or without a folder into an OPFS temp file
+ * handed to the browser once complete. Progress only moves once the server
+ * starts sending; until then it's downloading from YouTube itself.
+ *
+ * Only a browser with neither falls back to a native download, which the
+ * page can't follow: the result is `handedOff` rather than `saved`, since
+ * whether the server ever produced the file is unknown.
+ */
+async function serverModeDownload(
+  videoId,
+  title,
+  fmt,
+  qual,
+  dlSettings,
+  cookies,
+  onProgress,
+  onLog,
+  signal,
+) {
+  const audio = fmt === "mp3" ? audioFormatFor(dlSettings?.audioFormat) : null;
+  const clip = dlSettings?.clip || null;
+  const sponsorBlock = dlSettings?.sponsorBlock;
+  const safeName = title
+    .replace(/[^\w\s\-]/g, "")
+    .trim()
+    .replace(/\s+/g, "_")
+    .slice(0, 100);
 
-    onProgress?.(68);
-    onLog?.("Remuxing into MP4…");
-    const ff = await getFFmpeg(onLog);
-    onProgress?.(72);
+  const params = new URLSearchParams({
+    videoId,
+    format: fmt,
+    quality: qual,
+    container: dlSettings?.container || "mp4",
+    ...(audio && { output: audio.value }),
+    ...(dlSettings?.formatIds?.video && {
+      videoFormat: dlSettings.formatIds.video,
+    }),
+    ...(dlSettings?.formatIds?.audio && {
+      audioFormat: dlSettings.formatIds.audio,
+    }),
+    ...(clip && { start: String(clip.start), end: String(clip.end) }),
+    ...(sponsorBlock &&
+      sponsorBlock.mode !== "off" &&
+      sponsorBlock.categories.length > 0 && {
+        sponsorBlock: `${sponsorBlock.mode}:${sponsorBlock.categories.join(",")}`,
+      }),
+    ...(dlSettings?.tags && { tags: JSON.stringify(dlSettings.tags) }),
+  });
+  const dirHandle = dlSettings?.dirHandle;
+
+  // Nowhere on disk to stream into: the browser downloads the response
+  // itself. No progress or errors reach the page that way, but nothing is
+  // held in tab memory either, which is the point of this mode.
+  if (!dirHandle && !isOpfsSupported()) {
+    startNativeDownload("/api/download", params, cookies);
+    return {
+      saved: false,
+      skipped: false,
+      handedOff: true,
+      fsaFailed: false,
+      filename: `${safeName}${clipSuffix(clip)}.${audio?.ext || dlSettings?.container || "mp4"}`,
+      size: null,
+      folder: null,
+    };
+  }
 
-    const ext = streamInfo.videoExt || "mp4";
-    const inputName = `sin.${ext}`;
-
-    await ff.writeFile(inputName, bytes);
-    await ff.exec([
-      "-i",
-      inputName,
-      "-c",
-      "copy",
-      "-movflags",
-      "+faststart",
-      "-y",
-      "out.mp4",
-    ]);
-    onProgress?.(94);
-
-    const mp4Data = await ff.readFile("out.mp4");
-    const blob = new Blob([mp4Data.buffer], { type: "video/mp4" });
-    const result = await saveBlob(
-      blob,
-      `${safeName}.mp4`,
-      dlSettings?.dirHandle,
-      dlSettings?.conflictMode,
-    );
+  onLog?.("Downloading and converting on the server…");
+  const res = await fetch(`/api/download?${params}`, {
+    headers: cookieHeaders(cookies),
+    signal,
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || `Server download failed (${res.status})`);
+  }
 
+  onLog?.("Receiving the finished file…");
+  onProgress?.(10);
+  const total = parseInt(res.headers.get("content-length") || "0");
+  const pipeBody = async (onChunk) => {
+    const reader = res.body.getReader();
+    let received = 0;
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      await onChunk(value);
+      received += value.length;
+      if (total) onProgress?.(10 + Math.round((received / total) * 88));
+    }
+    return received;
+  };
+
+  // The server names the real output — WebM can fall back to MKV there too.
+  const ext =
+    res.headers.get("content-disposition")?.match(/\.(\w+)"/)?.[1] ||
+    audio?.ext ||
+    dlSettings?.container ||
+    "mp4";
+  const mime =
+    CONTAINERS.find((c) => c.value === ext)?.mime ||
+    AUDIO_FORMATS.find((f) => f.ext === ext)?.mime ||
+    "application/octet-stream";
+  const filename = `${safeName}${clipSuffix(clip)}.${ext}`;
+
+  let result = null;
+  if (dirHandle && dirHandle.kind !== "zip") {
+    result = await writeToFolder(
+      filename,
+      dirHandle,
+      dlSettings.conflictMode,
+      (writable) => pipeBody((chunk) => writable.write(chunk)),
+    );
+  }
+  if (!result && isOpfsSupported()) {
+    // No folder (or one that can't be written), or a ZIP — whose entries
+    // have to be Blobs: the file goes through an OPFS temp file, disk-backed,
+    // rather than memory.
+    const tempName = `${nextFFmpegJobTag()}server.${ext}`;
+    const { handle, writable } = await createTempFile(tempName);
     try {
-      await ff.deleteFile(inputName);
-    } catch {}
-    try {
-      await ff.deleteFile("out.mp4");
-    } catch {}
+      await pipeBody((chunk) => writable.write(chunk));
+      await writable.close();
+    } catch (err) {
+      try {
+        await writable.abort();
+      } catch (_) {}
+      await removeTempFile(tempName);
+      throw err;
+    }
+    if (dirHandle?.kind === "zip") {
+      try {
+        result = await saveBlob(await handle.getFile(), filename, dirHandle);
+      } finally {
+        await removeTempFile(tempName);
+      }
+    } else {
+      const file = await handOffTempFile(handle, tempName, filename);
+      result = {
+        saved: true,
+        skipped: false,
+        fsaFailed: !!dirHandle,
+        filename,
+        size: file.size,
+        folder: null,
+      };
+    }
+  }
+  // A folder that can't be written, or a ZIP, without OPFS: in memory.
+  if (!result) {
+    const chunks = [];
+    await pipeBody((chunk) => chunks.push(chunk));
+    result = await saveBlob(
+      new Blob(chunks, { type: mime }),
+      filename,
+      dirHandle,
+      dlSettings.conflictMode,
+    );
+  }
+  onProgress?.(100);
+  onLog?.(result.skipped ? "Skipped — file already exists." : "Done!");
+  return result;
+}
 
-    onProgress?.(100);
-    onLog?.(result.skipped ? "Skipped — file already exists." : "Done!");
-    return result;
+/**
+ * Starts a native browser download of a POST to `action`: a form submitted
+ * into a hidden frame, so an attachment response streams straight to disk
+ * and the page stays put. A form can't set headers, so the cookies go in
+ * the body instead (see app/api/download/route.js).
+ */
+function startNativeDownload(action, params, cookies) {
+  const frame = document.createElement("iframe");
+  frame.name = `download-${Date.now()}`;
+  frame.hidden = true;
+  const form = document.createElement("form");
+  form.method = "POST";
+  form.action = action;
+  form.target = frame.name;
+  const fields = [...params];
+  if (cookies) fields.push(["cookies", toBase64Utf8(cookies)]);
+  for (const [name, value] of fields) {
+    const input = document.createElement("input");
+    input.type = "hidden";
+    input.name = name;
+    input.value = value;
+    form.appendChild(input);
   }
+  document.body.append(frame, form);
+  form.submit();
+  form.remove();
+  // The frame has to outlive the server's work (up to the route's
+  // maxDuration) for the response to land; after that it's just clutter.
+  setTimeout(() => frame.remove(), NATIVE_DOWNLOAD_FRAME_MS);
+}
+
+// The browser reads a handed-off File as it saves it, so the temp file
+// must outlive that, even behind a slow "Save as" dialog.
+const HANDOFF_TEMP_KEEP_MS = 30 * 60 * 1000;
+
+/**
+ * Hands a finished OPFS temp file to the browser as a download, then
+ * removes it once the browser has had time to copy it out (the daily sweep
+ * catches a tab closed sooner). Resolves with the File.
+ */
+async function handOffTempFile(handle, tempName, filename) {
+  const file = await handle.getFile();
+  triggerBlobDownload(file, filename);
+  setTimeout(() => removeTempFile(tempName), HANDOFF_TEMP_KEEP_MS);
+  return file;
 }
 
 function triggerBlobDownload(blob, filename) {
@@ -668,37 +3373,322 @@ function triggerBlobDownload(blob, filename) {
   URL.revokeObjectURL(url);
 }
 
-async function downloadThumbnail(videoId, title, dlSettings) {
+/**
+ * Adds a finished save to the persistent download history (lib/history.js).
+ * Skipped saves aren't recorded — nothing new was written. Best-effort: a
+ * history write failing (private mode, quota) never fails the download.
+ */
+async function recordDownload(video, fmt, qual, result, extra = {}) {
+  if (!result?.saved || result.skipped) return false;
+  try {
+    await addHistoryEntry({
+      ...extra,
+      videoId: video.videoId,
+      title: video.title,
+      durationSeconds: video.durationSeconds || 0,
+      format: fmt,
+      quality: fmt === "thumbnail" || fmt === "subtitles" ? null : qual,
+      filename: result.filename || null,
+      size: result.size || 0,
+      folder: result.folder || null,
+    });
+    return true;
+  } catch (err) {
+    console.warn("[history] failed to record download:", err);
+    return false;
+  }
+}
+
+// Download states the bulk queue sets itself, outside downloadVideo.
+const QUEUE_IDLE = { status: "idle", phase: "idle", progress: 0, log: "" };
+const QUEUE_PAUSED = { status: "paused", phase: "idle", progress: 0, log: "" };
+const QUEUE_CANCELLED = {
+  status: "cancelled",
+  phase: "idle",
+  progress: 0,
+  log: "",
+};
+
+/** Download state for a bulk item skipped because history already has it. */
+const ALREADY_IN_HISTORY = {
+  status: "done",
+  phase: "done",
+  progress: 100,
+  skipped: true,
+  log: "Already in history",
+};
+
+/**
+ * The history keys a bulk run should skip — empty unless the user ticked
+ * "Skip items already in history". A failed read just means nothing's skipped.
+ */
+async function loadHistoryKeys(settings) {
+  if (!settings?.skipHistory) return new Set();
+  try {
+    return await getHistoryKeys();
+  } catch (err) {
+    console.warn("[history] failed to read history:", err);
+    return new Set();
+  }
+}
+
+/** Best-effort write of the bulk run's progress (lib/queue.js). */
+async function persistBulkRun(run) {
+  try {
+    await saveBulkRun(run);
+  } catch (err) {
+    console.warn("[queue] failed to save bulk run:", err);
+  }
+}
+
+function formatBytes(n) {
+  if (!n) return "—";
+  if (n >= 1024 ** 3) return `${(n / 1024 ** 3).toFixed(2)} GB`;
+  if (n >= 1024 ** 2) return `${(n / 1024 ** 2).toFixed(1)} MB`;
+  if (n >= 1024) return `${Math.round(n / 1024)} KB`;
+  return `${n} B`;
+}
+
+async function fetchSponsorSegments(videoId, categories, signal) {
+  const res = await fetch(
+    `/api/sponsorblock?${new URLSearchParams({
+      videoId,
+      categories: categories.join(","),
+    })}`,
+    { signal },
+  );
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || "SponsorBlock lookup failed");
+  return data.segments;
+}
+
+/**
+ * Album mode's first pass over a playlist: fetches one video's audio and
+ * measures it, resolving with { integrated, duration } for albumGain().
+ * `integrated` is null for a track with nothing measurable.
+ */
+async function measureTrackLoudness(
+  videoId,
+  target,
+  dlSettings,
+  cookies,
+  onProgress,
+  signal,
+) {
+  const res = await fetch(
+    `/api/stream-url?${new URLSearchParams({
+      videoId,
+      format: "mp3",
+      quality: "highest",
+      audioSource: "m4a",
+    })}`,
+    { headers: cookieHeaders(cookies), signal },
+  );
+  const streamInfo = await res.json();
+  if (!res.ok) throw new Error(streamInfo.error || "Failed to get stream URL");
+
+  const tag = nextFFmpegJobTag();
+  const inputs = await fetchFFmpegInputs(
+    [
+      {
+        url: streamInfo.url,
+        name: `${tag}input.${streamInfo.audioExt || "m4a"}`,
+        onProgress,
+        start: 0,
+        end: 90,
+      },
+    ],
+    shouldStageOnDisk(),
+    signal,
+  );
+  let ff;
+  try {
+    ff = await acquireFFmpeg(null, signal);
+    const [inputPath] = await stageFFmpegInputs(ff, tag, inputs);
+    const stats = await measureLoudness(
+      ff,
+      ["-i", inputPath],
+      "0:a",
+      [],
+      target,
+      signal,
+      { seconds: streamInfo.durationSeconds, from: 90, to: 99, onProgress },
+    );
+    onProgress?.(100);
+    return {
+      integrated: stats?.input_i ?? null,
+      duration: streamInfo.durationSeconds,
+    };
+  } finally {
+    await unstageFFmpegInputs(ff, tag, inputs);
+    await releaseFFmpeg(ff);
+  }
+}
+
+async function fetchSubtitleTrack(videoId, options, cookies, signal) {
+  const res = await fetch(
+    `/api/subtitles?${new URLSearchParams({
+      videoId,
+      lang: options.lang,
+      kind: options.kind,
+      format: options.format,
+    })}`,
+    { headers: cookieHeaders(cookies), signal },
+  );
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || "Failed to fetch captions");
+  return data;
+}
+
+async function downloadSubtitles(
+  videoId,
+  title,
+  options,
+  dlSettings,
+  cookies,
+  signal,
+) {
+  const track = await fetchSubtitleTrack(videoId, options, cookies, signal);
   const safeName = (title || videoId)
     .replace(/[^\w\s\-]/g, "")
     .trim()
     .replace(/\s+/g, "_")
     .slice(0, 100);
+  const { mime } = SUBTITLE_FORMAT_OPTIONS.find(
+    (f) => f.value === options.format,
+  );
+  return saveBlob(
+    new Blob([track.content], { type: mime }),
+    `${safeName}.${track.lang}.${options.format}`,
+    dlSettings?.dirHandle,
+    dlSettings?.conflictMode,
+  );
+}
+
+/**
+ * `thumbnails` (listThumbnails' shape) in the order to try: the picked
+ * `size` first — or, when this video doesn't have it, the nearest — and
+ * largest first for "largest". Within a size, ones already in `format`
+ * come first so they can be saved without re-encoding.
+ */
+function thumbnailCandidates(thumbnails, size, format) {
+  const area = (t) => t.width * t.height;
+  const [w, h] = size === "largest" ? [] : size.split("x").map(Number);
+  const distance = (t) =>
+    size === "largest" ? -area(t) : Math.abs(area(t) - w * h);
+  return [...thumbnails].sort(
+    (a, b) =>
+      distance(a) - distance(b) ||
+      (b.format === format) - (a.format === format),
+  );
+}
 
-  const candidates = [
-    `https://i.ytimg.com/vi/${videoId}/maxresdefault.jpg`,
-    `https://i.ytimg.com/vi/${videoId}/sddefault.jpg`,
-    `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`,
+/** Size picker entries for the thumbnails of `videos`, largest first. */
+function thumbnailSizeOptions(videos) {
+  const sizes = new Map();
+  for (const t of videos.flatMap((v) => v.thumbnails || []))
+    sizes.set(thumbnailSize(t), t.width * t.height);
+  return [
+    { label: "Largest", value: "largest" },
+    ...[...sizes]
+      .sort((a, b) => b[1] - a[1])
+      .map(([size]) => ({ label: size.replace("x", " × "), value: size })),
   ];
+}
+
+/** Re-encodes a decoded image as `mime` through a canvas. */
+async function encodeImage(bitmap, mime) {
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext("2d").drawImage(bitmap, 0, 0);
+  bitmap.close();
+  const blob = await new Promise((resolve) =>
+    canvas.toBlob(resolve, mime, 0.92),
+  );
+  // toBlob quietly falls back to PNG for types it can't encode (WebP in
+  // Safari), so check what actually came out.
+  if (!blob || blob.type !== mime)
+    throw new Error(
+      `This browser can't save ${mime.split("/")[1].toUpperCase()} images.`,
+    );
+  return blob;
+}
+
+/**
+ * A thumbnail of the video as `format` ("jpg" | "webp" | "png"), at `size`
+ * ("1280x720") or the largest there is. `thumbnails` is the video's list
+ * from /api/video or /api/playlist; without one (a history redownload)
+ * YouTube's fixed names are tried.
+ */
+async function fetchThumbnailBlob(
+  videoId,
+  signal,
+  { thumbnails, size = "largest", format = "jpg" } = {},
+) {
+  const target =
+    STILL_FORMATS.find((f) => f.value === format) || STILL_FORMATS[0];
+  const [placeholderW, placeholderH] = PLACEHOLDER_SIZE;
+  const candidates = thumbnailCandidates(
+    thumbnails?.length ? thumbnails : listThumbnails([], videoId),
+    size,
+    target.value,
+  );
 
-  for (const url of candidates) {
+  for (const thumb of candidates) {
+    let blob;
+    let bitmap;
     try {
-      const res = await fetch(`/api/proxy?url=${encodeURIComponent(url)}`);
-      if (!res.ok) continue;
-      const blob = await res.blob();
-      if (blob.size < 5000) continue;
-      const result = await saveBlob(
-        blob,
-        `${safeName}_thumbnail.jpg`,
-        dlSettings?.dirHandle,
-        dlSettings?.conflictMode,
+      const res = await fetch(
+        `/api/proxy?url=${encodeURIComponent(thumb.url)}`,
+        { signal },
       );
-      return result;
-    } catch (_) {}
+      if (!res.ok) continue;
+      blob = await res.blob();
+      bitmap = await createImageBitmap(blob);
+    } catch (_) {
+      signal?.throwIfAborted();
+      continue;
+    }
+    // YouTube answers a size it doesn't have with a grey placeholder.
+    if (
+      bitmap.width === placeholderW &&
+      bitmap.height === placeholderH &&
+      thumb.width !== placeholderW
+    ) {
+      bitmap.close();
+      continue;
+    }
+    if (blob.type === target.mime) {
+      bitmap.close();
+      return blob;
+    }
+    return encodeImage(bitmap, target.mime);
   }
   throw new Error("Could not fetch thumbnail");
 }
 
+async function downloadThumbnail(videoId, title, dlSettings) {
+  const safeName = (title || videoId)
+    .replace(/[^\w\s\-]/g, "")
+    .trim()
+    .replace(/\s+/g, "_")
+    .slice(0, 100);
+  const options = { ...DEFAULT_STILL_OPTIONS, ...dlSettings?.still };
+
+  const blob = await fetchThumbnailBlob(videoId, undefined, {
+    thumbnails: dlSettings?.thumbnails,
+    size: options.size,
+    format: options.format,
+  });
+  return saveBlob(
+    blob,
+    `${safeName}_thumbnail.${options.format}`,
+    dlSettings?.dirHandle,
+    dlSettings?.conflictMode,
+  );
+}
+
 // ── Download Settings Modal ───────────────────────────────────────────────────
 function DownloadSettingsModal({
   open,
@@ -715,6 +3705,13 @@ function DownloadSettingsModal({
   const [conflictMode, setConflictMode] = useState(
     initialSettings?.conflictMode || "skip",
   );
+  const [skipHistory, setSkipHistory] = useState(
+    initialSettings?.skipHistory || false,
+  );
+  const [where, setWhere] = useState(initialSettings?.where || "device");
+  // null, or { thumbnails, subtitles } — see openZipBundle.
+  const [zip, setZip] = useState(initialSettings?.zip || null);
+  const [serverAvailable, setServerAvailable] = useState(false);
   const [pickError, setPickError] = useState(null);
   // null = untested, true = writable, false = blocked
   const [fsaWritable, setFsaWritable] = useState(null);
@@ -725,8 +3722,12 @@ function DownloadSettingsModal({
       const existingHandle = initialSettings?.dirHandle || null;
       setDirHandle(existingHandle);
       setConflictMode(initialSettings?.conflictMode || "skip");
+      setSkipHistory(initialSettings?.skipHistory || false);
+      setWhere(initialSettings?.where || "device");
+      setZip(initialSettings?.zip || null);
       setPickError(null);
       setPicking(false);
+      serverDownloadsEnabled().then(setServerAvailable);
 
       if (existingHandle) {
         // Re-test the previously selected folder — permissions can change between sessions
@@ -786,6 +3787,21 @@ function DownloadSettingsModal({
     setPicking(false);
   };
 
+  const whereOptions = [
+    {
+      value: "device",
+      label: "On my device",
+      desc: "ffmpeg runs in this tab — the server only finds the streams",
+      icon: Smartphone,
+    },
+    {
+      value: "server",
+      label: "On the server",
+      desc: "For phones and low-memory devices — the file arrives finished",
+      icon: Server,
+    },
+  ];
+
   const conflictOptions = [
     {
       value: "skip",
@@ -961,8 +3977,52 @@ function DownloadSettingsModal({
             )}
           </div>
 
-          {/* Conflict Resolution — only relevant when folder is writable */}
-          {dirHandle && fsaWritable && (
+          {/* Where the file is built — only offered when the server allows it */}
+          {serverAvailable && (
+            <div className="flex flex-col gap-2">
+              <Label className="text-xs font-semibold uppercase tracking-wide text-muted-foreground">
+                Process Downloads
+              </Label>
+              <div className="grid grid-cols-2 gap-1.5">
+                {whereOptions.map(({ value, label, desc, icon: Icon }) => (
+                  <button
+                    key={value}
+                    onClick={() => setWhere(value)}
+                    className={`flex flex-col gap-1 rounded-xl border px-3.5 py-2.5 text-left transition-all ${
+                      where === value
+                        ? "border-primary/50 bg-primary/5 ring-1 ring-primary/20"
+                        : "border-border hover:border-border/70 hover:bg-muted/40"
+                    }`}
+                  >
+                    <span className="flex items-center gap-2">
+                      <Icon
+                        className={`w-3.5 h-3.5 ${where === value ? "text-primary" : "text-muted-foreground"}`}
+                      />
+                      <span
+                        className={`text-sm font-medium ${where === value ? "text-foreground" : "text-foreground/80"}`}
+                      >
+                        {label}
+                      </span>
+                    </span>
+                    <span className="text-xs text-muted-foreground">
+                      {desc}
+                    </span>
+                  </button>
+                ))}
+              </div>
+              {where === "server" && (
+                <p className="text-xs text-muted-foreground flex items-start gap-1.5">
+                  <Info className="w-3 h-3 shrink-0 mt-0.5" />
+                  Re-encode presets, loudness normalization, embedded subtitles
+                  and chapter splits still run on this device.
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Conflict Resolution — only relevant when folder is writable
+              (a ZIP never overwrites — it's renamed if the name is taken) */}
+          {dirHandle && fsaWritable && !zip && (
             <div className="flex flex-col gap-2">
               <Label className="text-xs font-semibold uppercase tracking-wide text-muted-foreground">
                 If File Already Exists
@@ -1009,6 +4069,93 @@ function DownloadSettingsModal({
               </div>
             </div>
           )}
+
+          {/* History dedup — only meaningful for bulk runs */}
+          {downloadCount > 1 && (
+            <div className="flex flex-col gap-2">
+              <Label className="text-xs font-semibold uppercase tracking-wide text-muted-foreground">
+                Download History
+              </Label>
+              <label className="flex items-start gap-3 rounded-xl border px-3.5 py-2.5 cursor-pointer hover:bg-muted/40 transition-colors">
+                <Checkbox
+                  checked={skipHistory}
+                  onCheckedChange={(v) => setSkipHistory(v === true)}
+                  className="mt-0.5"
+                />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium">
+                    Skip items already in history
+                  </p>
+                  <p className="text-xs text-muted-foreground">
+                    Videos you&apos;ve already saved in this format are left out
+                    of this run
+                  </p>
+                </div>
+              </label>
+            </div>
+          )}
+
+          {/* ZIP bundle — likewise bulk-only */}
+          {downloadCount > 1 && (
+            <div className="flex flex-col gap-2">
+              <Label className="text-xs font-semibold uppercase tracking-wide text-muted-foreground">
+                Bundle
+              </Label>
+              <div className="rounded-xl border px-3.5 py-2.5 flex flex-col gap-2.5">
+                <label className="flex items-start gap-3 cursor-pointer">
+                  <Checkbox
+                    checked={!!zip}
+                    onCheckedChange={(v) =>
+                      setZip(
+                        v === true
+                          ? { thumbnails: false, subtitles: false }
+                          : null,
+                      )
+                    }
+                    className="mt-0.5"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium flex items-center gap-1.5">
+                      <FileArchive className="w-3.5 h-3.5 text-muted-foreground" />
+                      Save as one ZIP
+                    </p>
+                    <p className="text-xs text-muted-foreground">
+                      A single download instead of one per file, with a
+                      metadata.json describing the playlist
+                    </p>
+                  </div>
+                </label>
+                {zip && (
+                  <div className="flex items-center gap-4 pl-7">
+                    {["thumbnails", "subtitles"].map((key) => (
+                      <label
+                        key={key}
+                        className="flex items-center gap-2 text-xs cursor-pointer"
+                      >
+                        <Checkbox
+                          checked={zip[key]}
+                          onCheckedChange={(v) =>
+                            setZip((z) => ({ ...z, [key]: v === true }))
+                          }
+                        />
+                        Add {key}
+                      </label>
+                    ))}
+                  </div>
+                )}
+                {zip && !(dirHandle && fsaWritable) && !isOpfsSupported() && (
+                  <p className="text-xs text-yellow-700 dark:text-yellow-400 flex items-start gap-1.5 bg-yellow-500/10 border border-yellow-500/20 rounded-lg px-3 py-2">
+                    <AlertTriangle className="w-3.5 h-3.5 shrink-0 mt-0.5" />
+                    <span>
+                      This browser can&apos;t write the ZIP to disk as it goes,
+                      so the whole archive is held in memory until the run ends
+                      — keep large playlists out of the bundle.
+                    </span>
+                  </p>
+                )}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Footer */}
@@ -1022,6 +4169,9 @@ function DownloadSettingsModal({
               onConfirm({
                 dirHandle: fsaWritable === true ? dirHandle : null,
                 conflictMode,
+                skipHistory: downloadCount > 1 && skipHistory,
+                where: serverAvailable ? where : "device",
+                zip: downloadCount > 1 ? zip : null,
               })
             }
             disabled={picking || (fsaWritable === null && dirHandle !== null)}
@@ -1211,15 +4361,1164 @@ function CookiesModal({ open, onClose, cookies, onSave }) {
             </Button>
           </div>
         </div>
-      </div>
+      </div>
+    </div>
+  );
+}
+
+// ── History Modal ─────────────────────────────────────────────────────────────
+const HISTORY_FORMAT_LABELS = {
+  mp4: "MP4",
+  mp3: "Audio",
+  gif: "GIF",
+  thumbnail: "Image",
+  subtitles: "Subtitles",
+};
+
+function HistoryModal({
+  open,
+  onClose,
+  version,
+  onRedownload,
+  activeEntryId,
+  activeDownload,
+  busy,
+}) {
+  const [entries, setEntries] = useState([]);
+  const [search, setSearch] = useState("");
+  const [loadError, setLoadError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    listHistory()
+      .then((all) => {
+        if (cancelled) return;
+        setEntries(all);
+        setLoadError(null);
+      })
+      .catch((err) => {
+        if (!cancelled) setLoadError(err.message || "Could not read history");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, version, reloadKey]);
+
+  const filtered = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    if (!q) return entries;
+    return entries.filter(
+      (e) =>
+        e.title?.toLowerCase().includes(q) ||
+        e.filename?.toLowerCase().includes(q) ||
+        e.videoId.toLowerCase().includes(q),
+    );
+  }, [entries, search]);
+
+  if (!open) return null;
+
+  const remove = async (id) => {
+    await deleteHistoryEntry(id).catch(() => {});
+    setReloadKey((k) => k + 1);
+  };
+  const clearAll = async () => {
+    await clearHistory().catch(() => {});
+    setReloadKey((k) => k + 1);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div
+        className="absolute inset-0 bg-background/80 backdrop-blur-sm"
+        onClick={onClose}
+      />
+      <div className="relative z-10 w-full max-w-lg rounded-2xl border bg-card shadow-2xl overflow-hidden flex flex-col max-h-[85vh]">
+        <div className="flex items-center justify-between px-5 py-4 border-b bg-muted/30">
+          <div className="flex items-center gap-2.5">
+            <div className="p-1.5 rounded-lg bg-primary/10">
+              <History className="w-4 h-4 text-primary" />
+            </div>
+            <div>
+              <h2 className="text-sm font-semibold leading-tight">
+                Download History
+              </h2>
+              <p className="text-xs text-muted-foreground">
+                {entries.length === 1
+                  ? "1 download"
+                  : `${entries.length} downloads`}{" "}
+                saved in this browser
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 rounded-md text-muted-foreground hover:text-foreground hover:bg-muted transition-colors"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="px-5 pt-4 pb-2">
+          <div className="relative">
+            <Search className="absolute left-2.5 top-1/2 -translate-y-1/2 w-3.5 h-3.5 text-muted-foreground pointer-events-none" />
+            <Input
+              placeholder="Search title or filename..."
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="pl-8 h-8 text-sm"
+            />
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-5 pb-4">
+          {loadError ? (
+            <p className="text-xs text-destructive flex items-center gap-1.5 py-6 justify-center">
+              <AlertTriangle className="w-3.5 h-3.5" /> {loadError}
+            </p>
+          ) : filtered.length === 0 ? (
+            <p className="text-center py-10 text-sm text-muted-foreground">
+              {entries.length === 0
+                ? "Nothing downloaded yet."
+                : "No downloads match your search."}
+            </p>
+          ) : (
+            <div className="rounded-lg border divide-y overflow-hidden">
+              {filtered.map((entry) => {
+                const isActive = activeEntryId === entry.id;
+                const dl = isActive ? activeDownload : null;
+                return (
+                  <div key={entry.id} className="flex flex-col gap-1.5 p-3">
+                    <div className="flex items-start gap-2">
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm font-medium truncate leading-snug">
+                          {entry.title}
+                        </p>
+                        <p className="text-xs text-muted-foreground font-mono truncate">
+                          {HISTORY_FORMAT_LABELS[entry.format] || entry.format}
+                          {entry.quality ? ` · ${entry.quality}` : ""}
+                          {entry.transcode
+                            ? ` · ${TRANSCODE_PRESETS.find((p) => p.value === entry.transcode.preset)?.label || entry.transcode.preset}`
+                            : ""}
+                          {entry.clip
+                            ? ` · ${formatTimestamp(entry.clip.start)}–${formatTimestamp(entry.clip.end)}`
+                            : ""}
+                          {entry.chapters
+                            ? ` · ${entry.chapters.length} chapter${entry.chapters.length === 1 ? "" : "s"}`
+                            : ""}{" "}
+                          · {formatBytes(entry.size)} ·{" "}
+                          {new Date(entry.date).toLocaleString()}
+                        </p>
+                        <p className="text-xs text-muted-foreground truncate flex items-center gap-1">
+                          <Folder className="w-3 h-3 shrink-0" />
+                          {entry.folder || "Downloads"}
+                          {entry.filename ? ` / ${entry.filename}` : ""}
+                        </p>
+                      </div>
+                      <Tooltip>
+                        <TooltipTrigger asChild>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            className="h-7 w-7 shrink-0"
+                            disabled={busy}
+                            onClick={() => onRedownload(entry)}
+                          >
+                            {dl?.status === "downloading" ? (
+                              <Loader2 className="w-3.5 h-3.5 animate-spin" />
+                            ) : (
+                              <RotateCcw className="w-3.5 h-3.5" />
+                            )}
+                          </Button>
+                        </TooltipTrigger>
+                        <TooltipContent>Download again</TooltipContent>
+                      </Tooltip>
+                      <Tooltip>
+                        <TooltipTrigger asChild>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            className="h-7 w-7 shrink-0 text-muted-foreground"
+                            disabled={busy}
+                            onClick={() => remove(entry.id)}
+                          >
+                            <Trash2 className="w-3.5 h-3.5" />
+                          </Button>
+                        </TooltipTrigger>
+                        <TooltipContent>Remove from history</TooltipContent>
+                      </Tooltip>
+                    </div>
+                    {dl?.status === "downloading" && (
+                      <>
+                        <Progress value={dl.progress} className="h-1" />
+                        {dl.log && (
+                          <p className="text-xs text-muted-foreground font-mono truncate">
+                            {dl.log}
+                          </p>
+                        )}
+                      </>
+                    )}
+                    {dl?.status === "error" && (
+                      <p className="text-xs text-destructive font-mono truncate">
+                        {dl.error || "Download failed"}
+                      </p>
+                    )}
+                    {dl?.status === "done" && (
+                      <p className="text-xs text-green-600 dark:text-green-400 flex items-center gap-1">
+                        <CheckCircle2 className="w-3 h-3" />
+                        {dl.skipped
+                          ? "Skipped — file already exists"
+                          : dl.handedOff
+                            ? "Handed to your browser's downloads"
+                            : "Downloaded again"}
+                      </p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between gap-2 px-5 py-4 border-t bg-muted/20">
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={clearAll}
+            disabled={entries.length === 0 || busy}
+            className="text-muted-foreground"
+          >
+            Clear history
+          </Button>
+          <Button variant="ghost" size="sm" onClick={onClose}>
+            Close
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ── Output options ────────────────────────────────────────────────────────────
+function ContainerSelect({ value, onChange, disabled }) {
+  return (
+    <div className="flex flex-col gap-1.5 w-24">
+      <Label>Container</Label>
+      <Select value={value} onValueChange={onChange} disabled={disabled}>
+        <SelectTrigger>
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectGroup>
+            {CONTAINERS.map((c) => (
+              <SelectItem key={c.value} value={c.value}>
+                {c.label}
+              </SelectItem>
+            ))}
+          </SelectGroup>
+        </SelectContent>
+      </Select>
+    </div>
+  );
+}
+
+function AudioFormatSelect({ value, onChange, disabled }) {
+  return (
+    <div className="flex flex-col gap-1.5 w-44">
+      <Label>Audio format</Label>
+      <Select value={value} onValueChange={onChange} disabled={disabled}>
+        <SelectTrigger>
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectGroup>
+            {AUDIO_FORMATS.map((f) => (
+              <SelectItem key={f.value} value={f.value}>
+                {f.label}
+              </SelectItem>
+            ))}
+          </SelectGroup>
+        </SelectContent>
+      </Select>
+    </div>
+  );
+}
+
+/**
+ * Preset select plus its rate control: a CRF (lower is better quality and
+ * bigger) or a target size in MB. `value.rate` is null until edited, which
+ * means the preset's own default.
+ */
+function TranscodeOptions({ value, onChange, disabled, idPrefix, seconds }) {
+  const preset =
+    TRANSCODE_PRESETS.find((p) => p.value === value.preset) ||
+    TRANSCODE_PRESETS[0];
+  const rate = value.rate || preset.rate;
+  const setRate = (patch) =>
+    onChange({ ...value, rate: { ...rate, ...patch } });
+  const sized = rate?.mode === "size";
+  // The field as typed; null shows the committed value. Valid numbers are
+  // committed as they're typed, anything else is dropped on blur.
+  const [draft, setDraft] = useState(null);
+  const parseRate = (text) => {
+    const n = Number(text);
+    if (text.trim() === "" || !(n >= 0)) return null;
+    return sized ? { sizeMB: Math.max(n, 1) } : { crf: n };
+  };
+  const floorMB = sizeFloorMB(preset, rate, seconds);
+  return (
+    <>
+      <div className="flex flex-col gap-1.5 w-60">
+        <Label>Preset</Label>
+        <Select
+          value={value.preset}
+          onValueChange={(p) => onChange({ preset: p, rate: null })}
+          disabled={disabled}
+        >
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectGroup>
+              {TRANSCODE_PRESETS.map((p) => (
+                <SelectItem key={p.value} value={p.value}>
+                  {p.label}
+                </SelectItem>
+              ))}
+            </SelectGroup>
+          </SelectContent>
+        </Select>
+      </div>
+      {rate && (
+        <>
+          <div className="flex flex-col gap-1.5 w-36">
+            <Label>Rate control</Label>
+            <Select
+              value={rate.mode}
+              onValueChange={(mode) => setRate({ mode })}
+              disabled={disabled}
+            >
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectGroup>
+                  {RATE_MODES.map((m) => (
+                    <SelectItem key={m.value} value={m.value}>
+                      {m.label}
+                    </SelectItem>
+                  ))}
+                </SelectGroup>
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="flex flex-col gap-1.5 w-24">
+            <Label htmlFor={`${idPrefix}-rate`}>
+              {sized ? "Size (MB)" : "CRF"}
+            </Label>
+            <Input
+              id={`${idPrefix}-rate`}
+              type="number"
+              min={sized ? 1 : 0}
+              max={sized ? undefined : 63}
+              value={draft ?? (sized ? rate.sizeMB : rate.crf)}
+              onChange={(e) => {
+                setDraft(e.target.value);
+                const patch = parseRate(e.target.value);
+                if (patch) setRate(patch);
+              }}
+              onBlur={() => setDraft(null)}
+              disabled={disabled}
+              className="font-mono"
+            />
+          </div>
+          {floorMB && (
+            <p className="text-xs flex items-start gap-1.5 text-destructive w-full">
+              <AlertTriangle className="w-3.5 h-3.5 shrink-0 mt-px" />
+              <span>
+                {rate.sizeMB} MB is too small for {formatTimestamp(seconds)} of
+                video even at the lowest bitrate, so it will come out at about{" "}
+                {Math.ceil(floorMB)} MB.
+              </span>
+            </p>
+          )}
+        </>
+      )}
+    </>
+  );
+}
+
+/** Output type, frame rate and width for the GIF tab. */
+function GifOptions({ value, onChange, disabled }) {
+  const field = (label, key, options, width) => (
+    <div className={`flex flex-col gap-1.5 ${width}`}>
+      <Label>{label}</Label>
+      <Select
+        value={String(value[key])}
+        onValueChange={(v) =>
+          onChange({ ...value, [key]: key === "output" ? v : Number(v) })
+        }
+        disabled={disabled}
+      >
+        <SelectTrigger>
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectGroup>
+            {options.map((o) => (
+              <SelectItem key={o.value} value={String(o.value)}>
+                {o.label}
+              </SelectItem>
+            ))}
+          </SelectGroup>
+        </SelectContent>
+      </Select>
+    </div>
+  );
+  return (
+    <>
+      {field("Output", "output", ANIMATION_FORMATS, "w-40")}
+      {field(
+        "Frame rate",
+        "fps",
+        GIF_FPS_OPTIONS.map((n) => ({ label: `${n} fps`, value: n })),
+        "w-24",
+      )}
+      {field(
+        "Width",
+        "width",
+        GIF_WIDTHS.map((n) => ({ label: `${n} px`, value: n })),
+        "w-24",
+      )}
+    </>
+  );
+}
+
+/**
+ * Source, size, grid and image type for the Image tab (the timestamp is
+ * VideoCard's). `sizes` is thumbnailSizeOptions' list; `thumbnailOnly`
+ * drops the source picker for the playlist, which only saves thumbnails.
+ */
+function StillOptions({ value, onChange, sizes, thumbnailOnly, disabled }) {
+  const field = (label, key, options, width) => (
+    <div className={`flex flex-col gap-1.5 ${width}`}>
+      <Label>{label}</Label>
+      <Select
+        value={value[key]}
+        onValueChange={(v) => onChange({ ...value, [key]: v })}
+        disabled={disabled}
+      >
+        <SelectTrigger>
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectGroup>
+            {options.map((o) => (
+              <SelectItem key={o.value} value={o.value}>
+                {o.label}
+              </SelectItem>
+            ))}
+          </SelectGroup>
+        </SelectContent>
+      </Select>
+    </div>
+  );
+  return (
+    <>
+      {!thumbnailOnly && field("Source", "mode", STILL_MODES, "w-44")}
+      {value.mode === "thumbnail" && field("Size", "size", sizes, "w-36")}
+      {value.mode === "sheet" &&
+        field(
+          "Grid",
+          "grid",
+          SHEET_GRIDS.map((g) => ({ label: g.replace("x", " × "), value: g })),
+          "w-24",
+        )}
+      {field("Image", "format", STILL_FORMATS, "w-24")}
+    </>
+  );
+}
+
+/**
+ * Size/RAM heads-up for the 1440p+ tiers, and for "highest" of unknown
+ * resolution (see warningTier), sized as 4K. Muxing needs roughly 3× the file
+ * in memory, or 2× when `hasFolder` — the output is then written straight
+ * into the folder instead of being wrapped in a Blob (see saveFFmpegOutput).
+ * Turns red when that's more than half of what the browser reports as the
+ * device's memory (navigator.deviceMemory — Chromium only, capped at 8 GB).
+ */
+function LargeVideoWarning({
+  quality,
+  seconds,
+  hasFolder = false,
+  subject = "This video",
+}) {
+  const unknown = quality === "highest";
+  const mbPerMin = HIGH_RES_MB_PER_MIN[unknown ? "2160p" : quality];
+  if (!mbPerMin || !seconds) return null;
+  const bytes = (mbPerMin * seconds * 1024 * 1024) / 60;
+  const deviceBytes =
+    typeof navigator !== "undefined" && navigator.deviceMemory
+      ? navigator.deviceMemory * 1024 ** 3
+      : null;
+  const tight = deviceBytes && bytes * (hasFolder ? 2 : 3) > deviceBytes / 2;
+  return (
+    <p
+      className={`text-xs flex items-start gap-1.5 ${tight ? "text-destructive" : "text-muted-foreground"}`}
+    >
+      <AlertTriangle className="w-3.5 h-3.5 shrink-0 mt-px" />
+      <span>
+        {unknown
+          ? `Best Available takes each video's top resolution. If ${subject.toLowerCase()} is in 4K, it's`
+          : `${subject} at ${quality} is`}{" "}
+        roughly {formatBytes(bytes)}, and muxing in the browser needs about{" "}
+        {formatBytes(bytes * 3)} of free memory ({formatBytes(bytes * 2)} if you
+        choose a download folder).
+        {tight && " That may be more than this device has."}
+      </span>
+    </p>
+  );
+}
+
+// ── Subtitle options ──────────────────────────────────────────────────────────
+/**
+ * Language / kind / file-format pickers for caption downloads. `languages`
+ * is [{ lang, name, manual?, auto? }] — a video's real track list, or
+ * CAPTION_LANGUAGES for playlists. `showFormat` is off when the track is
+ * being embedded (it's always SRT then), which swaps the file picker for
+ * soft-track vs burned-in, plus size/position for a burn-in.
+ */
+function SubtitleOptions({
+  value,
+  onChange,
+  languages,
+  disabled,
+  showFormat = true,
+}) {
+  const langs = languages.some((l) => l.lang === value.lang)
+    ? languages
+    : [{ lang: value.lang, name: value.lang }, ...languages];
+  const current = langs.find((l) => l.lang === value.lang);
+  return (
+    <>
+      <div className="flex flex-col gap-1.5 w-40 sm:w-45">
+        <Label>Language</Label>
+        <Select
+          value={value.lang}
+          onValueChange={(lang) => onChange({ ...value, lang })}
+          disabled={disabled}
+        >
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectGroup>
+              {langs.map((l) => (
+                <SelectItem key={l.lang} value={l.lang}>
+                  {l.name}
+                  {l.manual === false && l.auto ? " (auto)" : ""}
+                </SelectItem>
+              ))}
+            </SelectGroup>
+          </SelectContent>
+        </Select>
+      </div>
+      <div className="flex flex-col gap-1.5 w-40">
+        <Label>Captions</Label>
+        <Select
+          value={value.kind}
+          onValueChange={(kind) => onChange({ ...value, kind })}
+          disabled={disabled}
+        >
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectGroup>
+              {SUBTITLE_KINDS.map((k) => (
+                <SelectItem
+                  key={k.value}
+                  value={k.value}
+                  disabled={
+                    (k.value === "manual" && current?.manual === false) ||
+                    (k.value === "auto" && current?.auto === false)
+                  }
+                >
+                  {k.label}
+                </SelectItem>
+              ))}
+            </SelectGroup>
+          </SelectContent>
+        </Select>
+      </div>
+      {showFormat && (
+        <div className="flex flex-col gap-1.5 w-28">
+          <Label>File</Label>
+          <Select
+            value={value.format}
+            onValueChange={(format) => onChange({ ...value, format })}
+            disabled={disabled}
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectGroup>
+                {SUBTITLE_FORMAT_OPTIONS.map((f) => (
+                  <SelectItem key={f.value} value={f.value}>
+                    {f.label}
+                  </SelectItem>
+                ))}
+              </SelectGroup>
+            </SelectContent>
+          </Select>
+        </div>
+      )}
+      {!showFormat && (
+        <div className="flex flex-col gap-1.5 w-32">
+          <Label>Embed as</Label>
+          <Select
+            value={value.burn ? "burn" : "soft"}
+            onValueChange={(v) => onChange({ ...value, burn: v === "burn" })}
+            disabled={disabled}
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectGroup>
+                <SelectItem value="soft">Soft track</SelectItem>
+                <SelectItem value="burn" disabled={!canBurnIn(value.lang)}>
+                  Burned in
+                </SelectItem>
+              </SelectGroup>
+            </SelectContent>
+          </Select>
+        </div>
+      )}
+      {!showFormat && !canBurnIn(value.lang) && (
+        <p className="text-xs flex items-start gap-1.5 text-muted-foreground w-full">
+          <Info className="w-3 h-3 shrink-0 mt-0.5" />
+          <span>
+            {current?.name || value.lang} captions can&apos;t be burned in: the
+            subtitle font only covers Western European languages, so they&apos;d
+            come out as empty boxes.
+            {value.burn && " They'll be embedded as a soft track instead."}
+          </span>
+        </p>
+      )}
+      {!showFormat && value.burn && canBurnIn(value.lang) && (
+        <>
+          <div className="flex flex-col gap-1.5 w-32">
+            <Label>Text size</Label>
+            <Select
+              value={String(value.fontSize)}
+              onValueChange={(v) => onChange({ ...value, fontSize: Number(v) })}
+              disabled={disabled}
+            >
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectGroup>
+                  {SUBTITLE_FONT_SIZES.map((f) => (
+                    <SelectItem key={f.value} value={String(f.value)}>
+                      {f.label}
+                    </SelectItem>
+                  ))}
+                </SelectGroup>
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="flex flex-col gap-1.5 w-28">
+            <Label>Position</Label>
+            <Select
+              value={value.position}
+              onValueChange={(position) => onChange({ ...value, position })}
+              disabled={disabled}
+            >
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectGroup>
+                  {SUBTITLE_POSITIONS.map((p) => (
+                    <SelectItem key={p.value} value={p.value}>
+                      {p.label}
+                    </SelectItem>
+                  ))}
+                </SelectGroup>
+              </SelectContent>
+            </Select>
+          </div>
+        </>
+      )}
+    </>
+  );
+}
+
+/**
+ * Burning captions in means re-encoding every frame in single-threaded
+ * wasm instead of copying the stream — often slower than real time.
+ */
+function BurnInWarning({ subject = "this video" }) {
+  return (
+    <p className="text-xs flex items-start gap-1.5 text-muted-foreground">
+      <AlertTriangle className="w-3.5 h-3.5 shrink-0 mt-px" />
+      <span>
+        Burned-in subtitles re-encode {subject} on your device instead of
+        copying the stream. Expect it to take several times longer than a normal
+        download — often longer than the video itself at 1080p and above — with
+        the tab kept open throughout.
+      </span>
+    </p>
+  );
+}
+
+// ── SponsorBlock options ──────────────────────────────────────────────────────
+/**
+ * Mode select plus per-category toggles. `idPrefix` keeps the checkbox ids
+ * unique when a video card and the playlist toolbar are both on screen.
+ */
+function SponsorBlockOptions({ value, onChange, disabled, idPrefix }) {
+  const toggleCategory = (category, on) =>
+    onChange({
+      ...value,
+      categories: on
+        ? [...value.categories, category]
+        : value.categories.filter((c) => c !== category),
+    });
+  return (
+    <>
+      <div className="flex flex-col gap-1.5 w-44">
+        <Label>SponsorBlock</Label>
+        <Select
+          value={value.mode}
+          onValueChange={(mode) => onChange({ ...value, mode })}
+          disabled={disabled}
+        >
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectGroup>
+              {SPONSORBLOCK_MODES.map((m) => (
+                <SelectItem key={m.value} value={m.value}>
+                  {m.label}
+                </SelectItem>
+              ))}
+            </SelectGroup>
+          </SelectContent>
+        </Select>
+      </div>
+      {value.mode !== "off" && (
+        <div className="flex flex-wrap items-center gap-x-4 gap-y-2 min-h-9">
+          {SPONSORBLOCK_CATEGORIES.map((c) => (
+            <div key={c.value} className="flex items-center gap-2">
+              <Checkbox
+                id={`${idPrefix}-sb-${c.value}`}
+                checked={value.categories.includes(c.value)}
+                onCheckedChange={(on) => toggleCategory(c.value, !!on)}
+                disabled={disabled}
+              />
+              <Label
+                htmlFor={`${idPrefix}-sb-${c.value}`}
+                className="text-sm font-normal cursor-pointer"
+              >
+                {c.label}
+              </Label>
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+// ── Loudness options ──────────────────────────────────────────────────────────
+/**
+ * Normalization mode plus target level. `album` offers album mode, which
+ * only makes sense for a playlist selection. Album mode fetches every
+ * track's audio twice (see measureTrackLoudness), so a note says as much.
+ */
+function LoudnessOptions({ value, onChange, disabled, album = false }) {
+  return (
+    <>
+      <div className="flex flex-col gap-1.5 w-32">
+        <Label>Normalize</Label>
+        <Select
+          value={value.mode}
+          onValueChange={(mode) => onChange({ ...value, mode })}
+          disabled={disabled}
+        >
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectGroup>
+              {LOUDNESS_MODES.filter((m) => album || m.value !== "album").map(
+                (m) => (
+                  <SelectItem key={m.value} value={m.value}>
+                    {m.label}
+                  </SelectItem>
+                ),
+              )}
+            </SelectGroup>
+          </SelectContent>
+        </Select>
+      </div>
+      {value.mode !== "off" && (
+        <div className="flex flex-col gap-1.5 w-44">
+          <Label>Target</Label>
+          <Select
+            value={String(value.target)}
+            onValueChange={(v) => onChange({ ...value, target: Number(v) })}
+            disabled={disabled}
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectGroup>
+                {LOUDNESS_TARGETS.map((t) => (
+                  <SelectItem key={t.value} value={String(t.value)}>
+                    {t.label}
+                  </SelectItem>
+                ))}
+              </SelectGroup>
+            </SelectContent>
+          </Select>
+        </div>
+      )}
+      {value.mode === "album" && (
+        <p className="text-xs text-muted-foreground flex items-start gap-1.5 w-full">
+          <Info className="w-3 h-3 shrink-0 mt-0.5" />
+          Every track&apos;s audio is downloaded twice: once to measure the
+          whole album, then again for the file itself.
+        </p>
+      )}
+    </>
+  );
+}
+
+// ── Tag editor ────────────────────────────────────────────────────────────────
+const TAG_FIELDS = [
+  { key: "title", label: "Title", className: "sm:col-span-2" },
+  { key: "artist", label: "Artist" },
+  { key: "album", label: "Album" },
+  { key: "track", label: "Track", inputMode: "numeric" },
+  { key: "year", label: "Year", inputMode: "numeric" },
+];
+
+/**
+ * Collapsible overrides for the tags written into MP3/MP4 output (see
+ * tagArgs). Starts from defaultTags(video); clearing a field leaves that
+ * tag off the file.
+ */
+function TagEditor({ value, onChange, disabled, idPrefix }) {
+  const [open, setOpen] = useState(false);
+  return (
+    <div className="flex flex-col gap-2">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="flex items-center gap-1 text-xs text-muted-foreground hover:text-foreground w-fit"
+      >
+        <ChevronRight
+          className={`w-3.5 h-3.5 transition-transform ${open ? "rotate-90" : ""}`}
+        />
+        Tags &amp; cover art
+        {!open && value.artist ? (
+          <span className="font-mono truncate max-w-60">
+            · {value.artist}
+            {value.album ? ` — ${value.album}` : ""}
+          </span>
+        ) : null}
+      </button>
+      {open && (
+        <div className="rounded-lg border p-3 flex flex-col gap-3">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {TAG_FIELDS.map((f) => (
+              <div
+                key={f.key}
+                className={`flex flex-col gap-1.5 ${f.className || ""}`}
+              >
+                <Label htmlFor={`${idPrefix}-tag-${f.key}`} className="text-xs">
+                  {f.label}
+                </Label>
+                <Input
+                  id={`${idPrefix}-tag-${f.key}`}
+                  value={value[f.key]}
+                  inputMode={f.inputMode}
+                  onChange={(e) =>
+                    onChange({ ...value, [f.key]: e.target.value })
+                  }
+                  disabled={disabled}
+                  className="h-8 text-sm"
+                />
+              </div>
+            ))}
+          </div>
+          <div className="flex items-center gap-2">
+            <Checkbox
+              id={`${idPrefix}-tag-cover`}
+              checked={value.cover}
+              onCheckedChange={(v) => onChange({ ...value, cover: !!v })}
+              disabled={disabled}
+            />
+            <Label
+              htmlFor={`${idPrefix}-tag-cover`}
+              className="text-sm font-normal cursor-pointer"
+            >
+              Embed the thumbnail as cover art
+            </Label>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ── Advanced format picker ────────────────────────────────────────────────────
+function describeFormat(f) {
+  const parts = [];
+  if (f.kind !== "audio") {
+    parts.push(
+      `${f.height ? `${f.height}p` : f.formatNote || "video"}${f.fps > 30 ? f.fps : ""}${f.hdr ? ` ${f.dynamicRange}` : ""}`,
+    );
+    parts.push(f.vcodec.split(".")[0]);
+  }
+  if (f.kind !== "video") {
+    if (f.kind === "audio" && f.abr) parts.push(`${Math.round(f.abr)} kbps`);
+    parts.push(f.acodec.split(".")[0]);
+    if (f.language && f.kind === "audio") parts.push(f.language);
+  }
+  parts.push(f.ext);
+  const size = f.filesize || f.filesizeApprox;
+  if (size) parts.push(`${f.filesize ? "" : "≈ "}${formatBytes(size)}`);
+  return `${f.formatId} · ${parts.join(" · ")}`;
+}
+
+/**
+ * Lets the user pick exact yt-dlp format ids instead of a quality tier.
+ * `value` is { video, audio } — either can be null ("Automatic"). MP3 only
+ * shows the audio list. The list is fetched from /api/formats on first open.
+ */
+function FormatPicker({ videoId, cookies, format, value, onChange, disabled }) {
+  const [open, setOpen] = useState(false);
+  const [formats, setFormats] = useState(null);
+  const [loadState, setLoadState] = useState({ loading: false, error: null });
+
+  const toggle = () => {
+    const next = !open;
+    setOpen(next);
+    if (next && !formats && !loadState.loading) {
+      setLoadState({ loading: true, error: null });
+      fetch(`/api/formats?videoId=${videoId}`, {
+        headers: cookieHeaders(cookies),
+      })
+        .then(async (res) => {
+          const data = await res.json();
+          if (!res.ok) throw new Error(data.error || "Failed to load formats");
+          setFormats(data.formats);
+          setLoadState({ loading: false, error: null });
+        })
+        .catch((err) => setLoadState({ loading: false, error: err.message }));
+    }
+  };
+
+  const videoFormats = (formats || []).filter((f) => f.kind !== "audio");
+  const audioFormats = (formats || []).filter((f) => f.kind === "audio");
+  // A combined format already carries audio; a separate audio pick is
+  // ignored for it server-side, so the audio list is hidden.
+  const pickedCombined =
+    value.video &&
+    videoFormats.find((f) => f.formatId === value.video)?.kind === "combined";
+
+  const renderSelect = (label, list, key) => (
+    <div className="flex flex-col gap-1.5 flex-1 min-w-0">
+      <Label className="text-xs">{label}</Label>
+      <Select
+        value={value[key] || "auto"}
+        onValueChange={(v) => {
+          const next = { ...value, [key]: v === "auto" ? null : v };
+          if (list.find((f) => f.formatId === v)?.kind === "combined")
+            next.audio = null;
+          onChange(next);
+        }}
+        disabled={disabled}
+      >
+        <SelectTrigger className="h-8 text-xs">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectGroup>
+            <SelectItem value="auto" className="text-xs">
+              Automatic (use quality)
+            </SelectItem>
+            {list.map((f) => (
+              <SelectItem
+                key={f.formatId}
+                value={f.formatId}
+                className="text-xs font-mono"
+              >
+                {describeFormat(f)}
+              </SelectItem>
+            ))}
+          </SelectGroup>
+        </SelectContent>
+      </Select>
+    </div>
+  );
+
+  return (
+    <div className="flex flex-col gap-2">
+      <button
+        type="button"
+        onClick={toggle}
+        className="flex items-center gap-1 text-xs text-muted-foreground hover:text-foreground w-fit"
+      >
+        <ChevronRight
+          className={`w-3.5 h-3.5 transition-transform ${open ? "rotate-90" : ""}`}
+        />
+        Advanced
+        {(value.video || value.audio) && (
+          <span className="font-mono">
+            ({[value.video, value.audio].filter(Boolean).join("+")})
+          </span>
+        )}
+      </button>
+      {open && (
+        <div className="rounded-lg border p-3 flex flex-col gap-3">
+          {loadState.loading ? (
+            <p className="text-xs text-muted-foreground flex items-center gap-1.5">
+              <Loader2 className="w-3.5 h-3.5 animate-spin" /> Loading formats…
+            </p>
+          ) : loadState.error ? (
+            <p className="text-xs text-destructive flex items-center gap-1.5">
+              <AlertTriangle className="w-3.5 h-3.5" /> {loadState.error}
+            </p>
+          ) : formats ? (
+            <>
+              <div className="flex flex-col sm:flex-row gap-3">
+                {format === "mp4" &&
+                  renderSelect("Video format", videoFormats, "video")}
+                {!pickedCombined &&
+                  renderSelect("Audio format", audioFormats, "audio")}
+              </div>
+              <p className="text-xs text-muted-foreground">
+                Picked formats override the quality setting. Picking only a
+                video-only format downloads it without sound.
+              </p>
+            </>
+          ) : null}
+        </div>
+      )}
     </div>
   );
 }
 
 // ── Single-Video Download Card ─────────────────────────────────────────────────
-function VideoCard({ video, onDownload, download, globallyBusy = false }) {
+function VideoCard({
+  video,
+  onDownload,
+  download,
+  cookies,
+  linkStart = null, // seconds from the link's t=, pre-filling the clip start
+  globallyBusy = false,
+  hasFolder = false, // last chosen settings had a folder (LargeVideoWarning)
+}) {
   const [format, setFormat] = useState("mp4");
   const [quality, setQuality] = useState("highest");
+  const [container, setContainer] = useState("mp4");
+  const [audioFormat, setAudioFormat] = useState("mp3");
+  const [transcode, setTranscode] = useState(DEFAULT_TRANSCODE);
+  // Exact format ids from the Advanced picker; null means "use quality".
+  const [formatIds, setFormatIds] = useState({ video: null, audio: null });
+  const [subtitles, setSubtitles] = useState(DEFAULT_SUBTITLE_OPTIONS);
+  const [embedSubtitles, setEmbedSubtitles] = useState(false);
+  // Clip bounds as typed; both empty downloads the whole video.
+  const [clipStart, setClipStart] = useState(
+    linkStart ? formatTimestamp(linkStart) : "",
+  );
+  const [clipEnd, setClipEnd] = useState("");
+  const canClip = format === "mp4" || format === "mp3";
+  const [sponsorBlock, setSponsorBlock] = useState(DEFAULT_SPONSORBLOCK);
+  const [loudness, setLoudness] = useState(DEFAULT_LOUDNESS);
+  const [tags, setTags] = useState(() => defaultTags(video));
+  // Chapter numbers to save as separate files; none means one file.
+  const [chapterPicks, setChapterPicks] = useState(() => new Set());
+  const chapters = video.chapters || [];
+  const pickedChapters = canClip
+    ? chapters.filter((c) => chapterPicks.has(c.number))
+    : [];
+  const toggleChapter = (number) =>
+    setChapterPicks((prev) => {
+      const next = new Set(prev);
+      next.has(number) ? next.delete(number) : next.add(number);
+      return next;
+    });
+  const { clip, error: clipError } = parseClip(
+    clipStart,
+    clipEnd,
+    video.durationSeconds,
+  );
+  // The GIF tab always works on a range, and a short one.
+  const [gifOptions, setGifOptions] = useState(DEFAULT_GIF_OPTIONS);
+  const isGif = format === "gif";
+  const showClip = (canClip && !pickedChapters.length) || isGif;
+  const rangeError =
+    clipError ||
+    (isGif && !clip ? "Set a start and end for the GIF." : null) ||
+    (isGif && clip.end - clip.start > GIF_MAX_SECONDS
+      ? `Keep GIFs to ${GIF_MAX_SECONDS} seconds or less.`
+      : null);
+  // The Image tab can also grab a frame from the video or lay out a sheet.
+  const [stillOptions, setStillOptions] = useState(DEFAULT_STILL_OPTIONS);
+  const [stillAt, setStillAt] = useState("");
+  const isFrame = format === "thumbnail" && stillOptions.mode === "frame";
+  const frameAt = parseTimestamp(stillAt);
+  const frameError = !isFrame
+    ? null
+    : frameAt === null
+      ? "Use a time like 1:23, 83 or 1m23s."
+      : video.durationSeconds && frameAt >= video.durationSeconds
+        ? `That's past the video's length (${formatDuration(video.durationSeconds)}).`
+        : null;
+  // This video's caption tracks, loaded the first time they're needed.
+  const [tracks, setTracks] = useState(null);
+  const [tracksError, setTracksError] = useState(null);
+  const needsTracks =
+    format === "subtitles" || (format === "mp4" && embedSubtitles);
+
+  useEffect(() => {
+    if (!needsTracks || tracks) return;
+    let cancelled = false;
+    fetch(`/api/subtitles?videoId=${video.videoId}`, {
+      headers: cookieHeaders(cookies),
+    })
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || "Failed to load captions");
+        if (cancelled) return;
+        setTracks(data.tracks);
+        setTracksError(null);
+        // Default to English if it exists, otherwise the first manual track.
+        const first =
+          data.tracks.find((t) => t.lang === subtitles.lang) ||
+          data.tracks.find((t) => t.manual) ||
+          data.tracks[0];
+        if (first && first.lang !== subtitles.lang)
+          setSubtitles((s) => ({ ...s, lang: first.lang }));
+      })
+      .catch((err) => {
+        if (!cancelled) setTracksError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [needsTracks, tracks, video.videoId, cookies, subtitles.lang]);
   const [downloadedWith, setDownloadedWith] = useState(null);
 
   const status = download?.status || "idle";
@@ -1228,13 +5527,53 @@ function VideoCard({ video, onDownload, download, globallyBusy = false }) {
   const log = download?.log || "";
 
   useEffect(() => {
-    if (status === "done") setDownloadedWith({ format, quality });
+    if (status === "done")
+      setDownloadedWith({
+        format,
+        quality,
+        container,
+        audioFormat,
+        transcode,
+        formatIds,
+        subtitles,
+        embedSubtitles,
+        clipStart,
+        clipEnd,
+        chapterPicks,
+        sponsorBlock,
+        loudness,
+        tags,
+        gifOptions,
+        stillOptions,
+        stillAt,
+      });
     if (status === "downloading") setDownloadedWith(null);
   }, [status]);
 
   const selectionChanged =
     downloadedWith &&
-    (downloadedWith.format !== format || downloadedWith.quality !== quality);
+    (downloadedWith.format !== format ||
+      downloadedWith.quality !== quality ||
+      (format === "mp4" && downloadedWith.container !== container) ||
+      (format === "mp3" && downloadedWith.audioFormat !== audioFormat) ||
+      (format === "mp4" && downloadedWith.transcode !== transcode) ||
+      downloadedWith.formatIds !== formatIds ||
+      downloadedWith.subtitles !== subtitles ||
+      downloadedWith.embedSubtitles !== embedSubtitles ||
+      (canClip &&
+        (downloadedWith.clipStart !== clipStart ||
+          downloadedWith.clipEnd !== clipEnd ||
+          downloadedWith.chapterPicks !== chapterPicks ||
+          downloadedWith.sponsorBlock !== sponsorBlock ||
+          downloadedWith.loudness !== loudness ||
+          downloadedWith.tags !== tags)) ||
+      (isGif &&
+        (downloadedWith.clipStart !== clipStart ||
+          downloadedWith.clipEnd !== clipEnd ||
+          downloadedWith.gifOptions !== gifOptions)) ||
+      (format === "thumbnail" &&
+        (downloadedWith.stillOptions !== stillOptions ||
+          (isFrame && downloadedWith.stillAt !== stillAt))));
   const effectiveStatus = selectionChanged ? "idle" : status;
 
   const isLocked = globallyBusy || effectiveStatus === "downloading";
@@ -1338,6 +5677,7 @@ function VideoCard({ video, onDownload, download, globallyBusy = false }) {
                 if (!isLocked) {
                   setFormat(v);
                   setQuality("highest");
+                  setFormatIds({ video: null, audio: null });
                 }
               }}
             >
@@ -1358,7 +5698,7 @@ function VideoCard({ video, onDownload, download, globallyBusy = false }) {
                   className="flex items-center gap-1.5"
                 >
                   <Music className="w-3.5 h-3.5" />
-                  <span>MP3</span>
+                  <span>Audio</span>
                 </TabsTrigger>
                 <TabsTrigger
                   value="thumbnail"
@@ -1366,13 +5706,38 @@ function VideoCard({ video, onDownload, download, globallyBusy = false }) {
                   className="flex items-center gap-1.5"
                 >
                   <ImageIcon className="w-3.5 h-3.5" />
-                  <span>JPG</span>
+                  <span>Image</span>
+                </TabsTrigger>
+                <TabsTrigger
+                  value="gif"
+                  disabled={isLocked}
+                  className="flex items-center gap-1.5"
+                >
+                  <Film className="w-3.5 h-3.5" />
+                  <span>GIF</span>
+                </TabsTrigger>
+                <TabsTrigger
+                  value="subtitles"
+                  disabled={isLocked}
+                  className="flex items-center gap-1.5"
+                >
+                  <Captions className="w-3.5 h-3.5" />
+                  <span>Subtitles</span>
                 </TabsTrigger>
               </TabsList>
             </Tabs>
           </div>
 
-          {format !== "thumbnail" && (
+          {format === "mp3" && (
+            <AudioFormatSelect
+              value={audioFormat}
+              onChange={setAudioFormat}
+              disabled={isLocked}
+            />
+          )}
+
+          {(format === "mp4" ||
+            (format === "mp3" && audioFormatFor(audioFormat).qualities)) && (
             <div className="flex flex-col gap-1.5 w-40 sm:w-45">
               <Label>Quality</Label>
               <Select
@@ -1385,19 +5750,37 @@ function VideoCard({ video, onDownload, download, globallyBusy = false }) {
                 </SelectTrigger>
                 <SelectContent>
                   <SelectGroup>
-                    {(format === "mp4" ? MP4_QUALITIES : MP3_QUALITIES).map(
-                      (q) => (
-                        <SelectItem key={q.value} value={q.value}>
-                          {q.label}
-                        </SelectItem>
-                      ),
-                    )}
+                    {(format === "mp4"
+                      ? MP4_QUALITIES
+                      : audioFormatFor(audioFormat).qualities
+                    ).map((q) => (
+                      <SelectItem key={q.value} value={q.value}>
+                        {q.label}
+                      </SelectItem>
+                    ))}
                   </SelectGroup>
                 </SelectContent>
               </Select>
             </div>
           )}
 
+          {format === "mp4" && transcode.preset === "original" && (
+            <ContainerSelect
+              value={container}
+              onChange={setContainer}
+              disabled={isLocked}
+            />
+          )}
+
+          {format === "subtitles" && (
+            <SubtitleOptions
+              value={subtitles}
+              onChange={setSubtitles}
+              languages={tracks || []}
+              disabled={isLocked || !tracks}
+            />
+          )}
+
           <div className="ml-auto">
             <Button
               onClick={() => {
@@ -1408,9 +5791,35 @@ function VideoCard({ video, onDownload, download, globallyBusy = false }) {
                   format,
                   quality,
                   video.durationSeconds,
+                  {
+                    container,
+                    audioFormat,
+                    transcode: format === "mp4" ? transcode : null,
+                    formatIds:
+                      format === "mp4" || format === "mp3" ? formatIds : null,
+                    subtitles,
+                    embedSubtitles: format === "mp4" && embedSubtitles,
+                    clip: showClip ? clip : null,
+                    chapters: pickedChapters.length ? pickedChapters : null,
+                    sponsorBlock: canClip ? sponsorBlock : null,
+                    loudness: canClip ? loudness : null,
+                    tags: canClip ? tags : null,
+                    gif: isGif ? gifOptions : null,
+                    thumbnails: video.thumbnails,
+                    still:
+                      format === "thumbnail"
+                        ? { ...stillOptions, at: isFrame ? frameAt : 0 }
+                        : null,
+                  },
                 );
               }}
-              disabled={isLocked}
+              disabled={
+                isLocked ||
+                (showClip && !!rangeError) ||
+                !!frameError ||
+                (format === "subtitles" && !tracks?.length) ||
+                (format === "mp4" && embedSubtitles && !tracks?.length)
+              }
               size="default"
               className="gap-2"
             >
@@ -1425,11 +5834,249 @@ function VideoCard({ video, onDownload, download, globallyBusy = false }) {
                 ? `${phase === "streaming" ? "Downloading" : phase === "converting" ? "Converting" : "Processing"} ${progress}%`
                 : effectiveStatus === "done" && format !== "thumbnail"
                   ? "Download again"
-                  : "Download"}
+                  : pickedChapters.length
+                    ? `Download ${pickedChapters.length} chapter${pickedChapters.length === 1 ? "" : "s"}`
+                    : "Download"}
             </Button>
           </div>
         </div>
 
+        {canClip && chapters.length > 0 && (
+          <div className="flex flex-col gap-2">
+            <div className="flex items-center justify-between gap-2">
+              <Label>Chapters</Label>
+              <Button
+                variant="ghost"
+                size="sm"
+                className="h-7 text-xs"
+                disabled={isLocked}
+                onClick={() =>
+                  setChapterPicks(
+                    pickedChapters.length === chapters.length
+                      ? new Set()
+                      : new Set(chapters.map((c) => c.number)),
+                  )
+                }
+              >
+                {pickedChapters.length === chapters.length
+                  ? "Select none"
+                  : "Select all"}
+              </Button>
+            </div>
+            <div className="rounded-lg border divide-y max-h-56 overflow-y-auto">
+              {chapters.map((c) => (
+                <label
+                  key={c.number}
+                  className="flex items-center gap-2.5 px-3 py-1.5 text-sm cursor-pointer hover:bg-muted/50"
+                >
+                  <Checkbox
+                    checked={chapterPicks.has(c.number)}
+                    onCheckedChange={() => toggleChapter(c.number)}
+                    disabled={isLocked}
+                  />
+                  <span className="font-mono text-xs text-muted-foreground w-6 shrink-0">
+                    {String(c.number).padStart(2, "0")}
+                  </span>
+                  <span className="flex-1 min-w-0 truncate">{c.title}</span>
+                  <span className="font-mono text-xs text-muted-foreground shrink-0">
+                    {formatDuration(Math.floor(c.start))} ·{" "}
+                    {formatDuration(Math.round(c.end - c.start))}
+                  </span>
+                </label>
+              ))}
+            </div>
+            <p className="text-xs text-muted-foreground">
+              {pickedChapters.length
+                ? 'Each chapter is saved as its own file, named "NN - Chapter title", all cut from one fetch.'
+                : "Tick chapters to save them as separate files instead of one."}
+            </p>
+          </div>
+        )}
+
+        {isGif && (
+          <div className="flex flex-wrap items-end gap-3 sm:gap-4">
+            <GifOptions
+              value={gifOptions}
+              onChange={setGifOptions}
+              disabled={isLocked}
+            />
+          </div>
+        )}
+
+        {format === "thumbnail" && (
+          <div className="flex flex-wrap items-end gap-3 sm:gap-4">
+            <StillOptions
+              value={stillOptions}
+              onChange={setStillOptions}
+              sizes={thumbnailSizeOptions([video])}
+              disabled={isLocked}
+            />
+            {isFrame && (
+              <div className="flex flex-col gap-1.5 w-28">
+                <Label htmlFor={`still-at-${video.videoId}`}>At</Label>
+                <Input
+                  id={`still-at-${video.videoId}`}
+                  value={stillAt}
+                  onChange={(e) => setStillAt(e.target.value)}
+                  placeholder="0:00"
+                  disabled={isLocked}
+                  className="font-mono"
+                />
+              </div>
+            )}
+            {stillOptions.mode !== "thumbnail" && (
+              <p
+                className={`text-xs pb-2.5 ${frameError ? "text-destructive" : "text-muted-foreground"}`}
+              >
+                {frameError ||
+                  (isFrame
+                    ? "Grabbed at full resolution — only the video up to that point is fetched."
+                    : "Evenly spaced frames, each stamped with its time.")}
+              </p>
+            )}
+          </div>
+        )}
+
+        {showClip && (
+          <div className="flex flex-wrap items-end gap-3 sm:gap-4">
+            <div className="flex flex-col gap-1.5 w-28">
+              <Label htmlFor={`clip-start-${video.videoId}`}>Clip start</Label>
+              <Input
+                id={`clip-start-${video.videoId}`}
+                value={clipStart}
+                onChange={(e) => setClipStart(e.target.value)}
+                placeholder="0:00"
+                disabled={isLocked}
+                className="font-mono"
+              />
+            </div>
+            <div className="flex flex-col gap-1.5 w-28">
+              <Label htmlFor={`clip-end-${video.videoId}`}>Clip end</Label>
+              <Input
+                id={`clip-end-${video.videoId}`}
+                value={clipEnd}
+                onChange={(e) => setClipEnd(e.target.value)}
+                placeholder={
+                  video.durationSeconds
+                    ? formatDuration(video.durationSeconds)
+                    : "end"
+                }
+                disabled={isLocked}
+                className="font-mono"
+              />
+            </div>
+            <p
+              className={`text-xs pb-2.5 ${rangeError ? "text-destructive" : "text-muted-foreground"}`}
+            >
+              {rangeError ||
+                (clip
+                  ? `${formatTimestamp(clip.end - clip.start)} clip — only the part up to its end is fetched, then cut exactly on your device.`
+                  : "Leave both empty for the whole video.")}
+            </p>
+          </div>
+        )}
+
+        {format === "mp4" && (
+          <div className="flex flex-wrap items-end gap-3 sm:gap-4">
+            <TranscodeOptions
+              value={transcode}
+              onChange={setTranscode}
+              disabled={isLocked}
+              idPrefix={video.videoId}
+              seconds={clip ? clip.end - clip.start : video.durationSeconds}
+            />
+          </div>
+        )}
+
+        {canClip && (
+          <div className="flex flex-wrap items-end gap-3 sm:gap-4">
+            <SponsorBlockOptions
+              value={sponsorBlock}
+              onChange={setSponsorBlock}
+              disabled={isLocked}
+              idPrefix={video.videoId}
+            />
+            <LoudnessOptions
+              value={loudness}
+              onChange={setLoudness}
+              disabled={isLocked}
+            />
+          </div>
+        )}
+
+        {canClip && (
+          <TagEditor
+            value={tags}
+            onChange={setTags}
+            disabled={isLocked}
+            idPrefix={video.videoId}
+          />
+        )}
+
+        {format === "mp4" && (
+          <div className="flex flex-col gap-3">
+            <div className="flex items-center gap-2">
+              <Checkbox
+                id={`embed-subs-${video.videoId}`}
+                checked={embedSubtitles}
+                onCheckedChange={(v) => setEmbedSubtitles(!!v)}
+                disabled={isLocked}
+              />
+              <Label
+                htmlFor={`embed-subs-${video.videoId}`}
+                className="text-sm font-normal cursor-pointer"
+              >
+                Embed subtitles
+              </Label>
+            </div>
+            {embedSubtitles && (
+              <div className="flex flex-wrap items-end gap-3 sm:gap-4">
+                <SubtitleOptions
+                  value={subtitles}
+                  onChange={setSubtitles}
+                  languages={tracks || []}
+                  disabled={isLocked || !tracks}
+                  showFormat={false}
+                />
+              </div>
+            )}
+          </div>
+        )}
+
+        {needsTracks && (tracksError || tracks?.length === 0) && (
+          <p className="text-xs text-muted-foreground flex items-center gap-1.5">
+            <AlertTriangle className="w-3.5 h-3.5" />
+            {tracksError || "This video has no captions."}
+          </p>
+        )}
+
+        {(format === "mp4" || format === "mp3") && (
+          <FormatPicker
+            videoId={video.videoId}
+            cookies={cookies}
+            format={format}
+            value={formatIds}
+            onChange={setFormatIds}
+            disabled={isLocked}
+          />
+        )}
+
+        {format === "mp4" &&
+          effectiveStatus !== "downloading" &&
+          !formatIds.video && (
+            <LargeVideoWarning
+              quality={warningTier(quality, video.width, video.height)}
+              seconds={video.durationSeconds}
+              hasFolder={hasFolder}
+            />
+          )}
+
+        {format === "mp4" &&
+          embedSubtitles &&
+          subtitles.burn &&
+          canBurnIn(subtitles.lang) &&
+          effectiveStatus !== "downloading" && <BurnInWarning />}
+
         {effectiveStatus === "downloading" && (
           <>
             <Progress value={progress} className="h-1.5" />
@@ -1438,11 +6085,19 @@ function VideoCard({ video, onDownload, download, globallyBusy = false }) {
             )}
           </>
         )}
-        {effectiveStatus === "done" && (
-          <p className="text-sm text-green-600 dark:text-green-400 flex items-center gap-1.5">
-            <CheckCircle2 className="w-4 h-4" /> Download complete
-          </p>
-        )}
+        {effectiveStatus === "done" &&
+          (download.handedOff ? (
+            <p className="text-sm text-muted-foreground flex items-start gap-1.5">
+              <Info className="w-4 h-4 shrink-0 mt-0.5" />
+              Converting on the server — the file will appear in your
+              browser&apos;s downloads. If it doesn&apos;t, the server
+              couldn&apos;t build it; try again on this device.
+            </p>
+          ) : (
+            <p className="text-sm text-green-600 dark:text-green-400 flex items-center gap-1.5">
+              <CheckCircle2 className="w-4 h-4" /> Download complete
+            </p>
+          ))}
         {effectiveStatus === "error" && (
           <p className="text-sm text-destructive flex items-center gap-1.5">
             <AlertTriangle className="w-4 h-4" />{" "}
@@ -1466,23 +6121,78 @@ export default function Home() {
   const [error, setError] = useState(null);
 
   const [playlist, setPlaylist] = useState(null);
+  // Channels are rendered through the playlist UI: `channel` holds every
+  // tab's list, and `playlist` is whichever tab is currently shown.
+  const [channel, setChannel] = useState(null);
+  const [channelTab, setChannelTab] = useState("videos");
   const [selected, setSelected] = useState(new Set());
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState(null);
+  const loadMoreRef = useRef(null);
+  // { fetched, total } while playlist entries stream in, { message } while a
+  // single video is being extracted. Null when nothing is being fetched.
+  const [fetchProgress, setFetchProgress] = useState(null);
+  const metaAbortRef = useRef(null);
   const [downloads, setDownloads] = useState(new Map());
   const [bulkDownloading, setBulkDownloading] = useState(false);
+  const [concurrency, setConcurrency] = useState(2);
+  const concurrencyRef = useRef(concurrency);
+  const queueRef = useRef(null);
+  // What the list needs from queueRef: run order (in-flight first), the
+  // individually paused items, and whether the whole queue is paused.
+  const [queueView, setQueueView] = useState({
+    order: [],
+    held: new Set(),
+    paused: false,
+  });
+  const dragQueueIdRef = useRef(null);
   const [bulkThumbDownloading, setBulkThumbDownloading] = useState(false);
   const [thumbDownloads, setThumbDownloads] = useState(new Map());
   const [format, setFormat] = useState("mp4");
   const [quality, setQuality] = useState("highest");
+  const [container, setContainer] = useState("mp4");
+  const [audioFormat, setAudioFormat] = useState("mp3");
+  const [transcode, setTranscode] = useState(DEFAULT_TRANSCODE);
+  const [subtitleOptions, setSubtitleOptions] = useState(
+    DEFAULT_SUBTITLE_OPTIONS,
+  );
+  const [embedSubtitles, setEmbedSubtitles] = useState(false);
+  const [sponsorBlock, setSponsorBlock] = useState(DEFAULT_SPONSORBLOCK);
+  const [loudness, setLoudness] = useState(DEFAULT_LOUDNESS);
+  // Size and image type for bulk thumbnails (StillOptions' thumbnail mode).
+  const [thumbOptions, setThumbOptions] = useState(DEFAULT_STILL_OPTIONS);
   const [sortBy, setSortBy] = useState("default");
   const [filter, setFilter] = useState("");
   const [completedSummary, setCompletedSummary] = useState(null);
 
   const [videoInfo, setVideoInfo] = useState(null);
+  // Start time from the fetched link's t= parameter (see urlStartTime).
+  const [linkStart, setLinkStart] = useState(null);
   const [videoDownload, setVideoDownload] = useState(null);
 
+  const [historyOpen, setHistoryOpen] = useState(false);
+  // Bumped after every recorded download so an open HistoryModal re-reads.
+  const [historyVersion, setHistoryVersion] = useState(0);
+  // The history entry currently being downloaded again, and its progress.
+  const [historyDownload, setHistoryDownload] = useState(null); // { entryId, ...dl }
+
+  // A bulk run left unfinished by a previous visit (closed tab, crash).
+  const [resumableRun, setResumableRun] = useState(null);
+  useEffect(() => {
+    // Same crash story for OPFS scratch files (lib/opfs.js).
+    sweepTempFiles();
+    loadBulkRun()
+      .then((run) => {
+        if (!run) return;
+        if (remainingItems(run).length > 0) setResumableRun(run);
+        else clearBulkRun();
+      })
+      .catch((err) => console.warn("[queue] failed to read bulk run:", err));
+  }, []);
+
   // ── Download Settings state ───────────────────────────────────────────────
   // Persisted across downloads within the session
-  const [downloadSettings, setDownloadSettings] = useState(null); // { dirHandle, conflictMode }
+  const [downloadSettings, setDownloadSettings] = useState(null); // { dirHandle, conflictMode, skipHistory, where }
   // Modal state
   const [settingsModal, setSettingsModal] = useState({
     open: false,
@@ -1518,6 +6228,7 @@ export default function Home() {
     setUrlType(type);
     if (!val.trim()) {
       setPlaylist(null);
+      setChannel(null);
       setVideoInfo(null);
       setError(null);
       setVideoDownload(null);
@@ -1525,9 +6236,11 @@ export default function Home() {
   };
 
   const handleClear = () => {
+    metaAbortRef.current?.abort();
     setUrl("");
     setUrlType(null);
     setPlaylist(null);
+    setChannel(null);
     setVideoInfo(null);
     setError(null);
     setDownloads(new Map());
@@ -1536,17 +6249,82 @@ export default function Home() {
     setCompletedSummary(null);
   };
 
+  // ── Incremental playlist pages ────────────────────────────────────────────
+  // Only the first page is fetched up front; the rest stream in as the
+  // sentinel under the list scrolls into view. Every page is read through
+  // /api/playlist's NDJSON variant, so entries render as yt-dlp extracts
+  // them. Newly arrived entries join the selection only if `autoSelect` -
+  // i.e. everything loaded so far was selected - so a deliberate
+  // deselection isn't silently undone by the next page.
+  const streamPlaylistPage = useCallback(
+    async (listUrl, page, autoSelect) => {
+      metaAbortRef.current?.abort();
+      const abort = new AbortController();
+      metaAbortRef.current = abort;
+
+      const addToSelection = (videos) => {
+        if (!autoSelect || videos.length === 0) return;
+        setSelected((prev) => {
+          const n = new Set(prev);
+          for (const v of videos) n.add(v.videoId);
+          return n;
+        });
+      };
+
+      const res = await fetch(
+        `/api/playlist?url=${encodeURIComponent(listUrl)}&page=${page}&pageSize=${PLAYLIST_PAGE_SIZE}&stream=1`,
+        { headers: cookieHeaders(cookies), signal: abort.signal },
+      );
+      const { playlist: pageData } = await readNdjsonStream(res, (events) => {
+        const meta = events.find((e) => e.type === "meta");
+        const entries = events.filter((e) => e.type === "entry");
+        const arrived = entries.map((e) => e.video);
+        const last = entries[entries.length - 1];
+        if (last)
+          setFetchProgress({ fetched: last.fetched, total: last.totalCount });
+        setPlaylist((prev) => {
+          const base = prev || (meta && emptyPlaylist(meta.playlistId, meta));
+          if (!base) return prev;
+          // Partial merge: page/hasMore stay as they were until "done".
+          return mergePlaylistPage(base, {
+            videos: arrived,
+            unavailableCount: 0,
+            page: base.page,
+            hasMore: base.hasMore,
+            totalCount: meta?.totalCount,
+          });
+        });
+        addToSelection(arrived);
+      });
+
+      setPlaylist((prev) =>
+        mergePlaylistPage(
+          prev || emptyPlaylist(pageData.playlistId, pageData),
+          {
+            ...pageData,
+            // Already merged above as they streamed in; only the unavailable
+            // count (never streamed) and the paging fields are new here.
+            videos: [],
+          },
+        ),
+      );
+      addToSelection(pageData.videos);
+    },
+    [cookies],
+  );
+
   const fetchData = useCallback(async () => {
     if (!url.trim()) return;
     const type = detectUrlType(url.trim());
     if (!type) {
-      setError("Please enter a valid YouTube video or playlist URL.");
+      setError("Please enter a valid YouTube video, playlist or channel URL.");
       return;
     }
 
     setLoading(true);
     setError(null);
     setPlaylist(null);
+    setChannel(null);
     setVideoInfo(null);
     setVideoDownload(null);
     setSelected(new Set());
@@ -1554,35 +6332,140 @@ export default function Home() {
     setSortBy("default");
     setFilter("");
     setCompletedSummary(null);
+    setLoadMoreError(null);
+    setFetchProgress(null);
 
     if (type === "playlist") {
+      try {
+        await streamPlaylistPage(url.trim(), 1, true);
+      } catch (err) {
+        if (err.name !== "AbortError") setError(err.message);
+      }
+    } else if (type === "channel") {
       try {
         const res = await fetch(
-          `/api/playlist?url=${encodeURIComponent(url.trim())}`,
+          `/api/channel?url=${encodeURIComponent(url.trim())}&page=1&pageSize=${PLAYLIST_PAGE_SIZE}`,
           { headers: cookieHeaders(cookies) },
         );
         const data = await res.json();
-        if (!res.ok) throw new Error(data.error || "Failed to fetch playlist");
-        setPlaylist(data);
-        setSelected(new Set(data.videos.map((v) => v.videoId)));
+        if (!res.ok) throw new Error(data.error || "Failed to fetch channel");
+        const firstTab =
+          CHANNEL_TABS.find((t) => data.tabs[t.value]?.videos.length > 0)
+            ?.value || "videos";
+        const tabData = data.tabs[firstTab];
+        setChannel(data);
+        setChannelTab(firstTab);
+        setPlaylist(tabData);
+        setSelected(new Set(tabData.videos.map((v) => v.videoId)));
       } catch (err) {
         setError(err.message);
       }
     } else {
       try {
+        const abort = new AbortController();
+        metaAbortRef.current = abort;
         const res = await fetch(
-          `/api/video?url=${encodeURIComponent(url.trim())}`,
-          { headers: cookieHeaders(cookies) },
+          `/api/video?url=${encodeURIComponent(url.trim())}&stream=1`,
+          { headers: cookieHeaders(cookies), signal: abort.signal },
         );
-        const data = await res.json();
-        if (!res.ok) throw new Error(data.error || "Failed to fetch video");
-        setVideoInfo(data);
+        const { video } = await readNdjsonStream(res, (events) => {
+          const last = events.filter((e) => e.type === "progress").pop();
+          if (last) setFetchProgress({ message: last.message });
+        });
+        setLinkStart(urlStartTime(url));
+        setVideoInfo(video);
       } catch (err) {
-        setError(err.message);
+        if (err.name !== "AbortError") setError(err.message);
       }
     }
+    setFetchProgress(null);
     setLoading(false);
-  }, [url, cookies]);
+  }, [url, cookies, streamPlaylistPage]);
+
+  const loadMorePlaylist = useCallback(async () => {
+    if (!playlist?.hasMore || loadingMore) return;
+    if (!playlist.playlistId && !(channel && playlist.tab)) return;
+    // A bulk run is walking a snapshot of the current list - hold further
+    // pages until it's done rather than grow the list (and the selection)
+    // underneath it.
+    if (bulkDownloading) return;
+    setLoadingMore(true);
+    setLoadMoreError(null);
+    const autoSelect = selected.size === playlist.videos.length;
+    try {
+      if (playlist.playlistId) {
+        await streamPlaylistPage(
+          `https://www.youtube.com/playlist?list=${playlist.playlistId}`,
+          playlist.page + 1,
+          autoSelect,
+        );
+      } else {
+        // A channel tab: /api/channel has no stream variant, so the page
+        // lands whole. It's kept on channel.tabs too, so switching away and
+        // back doesn't lose it.
+        metaAbortRef.current?.abort();
+        const abort = new AbortController();
+        metaAbortRef.current = abort;
+        const res = await fetch(
+          `/api/channel?url=${encodeURIComponent(channel.channelUrl)}&tab=${playlist.tab}&page=${playlist.page + 1}&pageSize=${PLAYLIST_PAGE_SIZE}`,
+          { headers: cookieHeaders(cookies), signal: abort.signal },
+        );
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || "Failed to fetch channel");
+        const page = data.tabs[playlist.tab];
+        if (page.error) throw new Error(page.error);
+        const merged = mergePlaylistPage(playlist, page);
+        setPlaylist(merged);
+        setChannel((prev) => ({
+          ...prev,
+          tabs: { ...prev.tabs, [playlist.tab]: merged },
+        }));
+        if (autoSelect && page.videos.length > 0) {
+          setSelected((prev) => {
+            const n = new Set(prev);
+            for (const v of page.videos) n.add(v.videoId);
+            return n;
+          });
+        }
+      }
+    } catch (err) {
+      if (err.name !== "AbortError") setLoadMoreError(err.message);
+    }
+    setFetchProgress(null);
+    setLoadingMore(false);
+  }, [
+    playlist,
+    channel,
+    cookies,
+    loadingMore,
+    bulkDownloading,
+    selected,
+    streamPlaylistPage,
+  ]);
+
+  const loadMorePlaylistRef = useRef(loadMorePlaylist);
+  useEffect(() => {
+    loadMorePlaylistRef.current = loadMorePlaylist;
+  }, [loadMorePlaylist]);
+
+  // Re-observing whenever the loaded count changes makes the observer report
+  // the sentinel's current visibility again - otherwise a page that barely
+  // grows the list leaves the sentinel in view with no new event to fire.
+  const hasMorePages = !!playlist?.hasMore && !bulkDownloading;
+  const loadedCount = playlist?.videos.length || 0;
+  useEffect(() => {
+    const el = loadMoreRef.current;
+    if (!el || !hasMorePages) return;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((e) => e.isIntersecting))
+          loadMorePlaylistRef.current();
+      },
+      { rootMargin: "600px 0px" },
+    );
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [hasMorePages, loadedCount]);
 
   // ── Core download function ────────────────────────────────────────────────
   const downloadVideo = async (
@@ -1591,26 +6474,35 @@ export default function Home() {
     fmt,
     qual,
     durationSeconds = 300,
-    isPlaylist = false,
+    target = "single", // "single" | "playlist" | "history" — where progress shows
     dlSettings,
+    signal, // aborting resolves "aborted"; the caller decides what state follows
   ) => {
     const updateDl = (patch) => {
-      if (isPlaylist) {
+      if (target === "playlist") {
         setDownloads((prev) => {
           const n = new Map(prev);
           n.set(videoId, { ...(n.get(videoId) || {}), ...patch });
           return n;
         });
+      } else if (target === "history") {
+        setHistoryDownload((prev) => ({ ...(prev || {}), ...patch }));
       } else {
         setVideoDownload((prev) => ({ ...(prev || {}), ...patch }));
       }
     };
+    const record = async (result, extra) => {
+      const video = { videoId, title, durationSeconds };
+      if (await recordDownload(video, fmt, qual, result, extra))
+        setHistoryVersion((v) => v + 1);
+    };
 
     updateDl({
       status: "downloading",
       phase: "processing",
       progress: 0,
       log: "",
+      handedOff: false,
     });
 
     // Everything below runs in the browser: the server only ever resolves a
@@ -1620,9 +6512,11 @@ export default function Home() {
     // relay the bytes — but no transcoding or buffering of the full file
     // happens server-side; ffmpeg.wasm does that here, in-browser.
     try {
-      if (fmt === "thumbnail") {
+      const still = fmt === "thumbnail" ? dlSettings?.still : null;
+      if (fmt === "thumbnail" && (!still || still.mode === "thumbnail")) {
         updateDl({ phase: "streaming", progress: 20 });
         const result = await downloadThumbnail(videoId, title, dlSettings);
+        await record(result, still && { still });
         updateDl({
           status: "done",
           phase: "done",
@@ -1630,14 +6524,174 @@ export default function Home() {
           log: result?.skipped ? "Skipped — file already exists." : "",
           skipped: result?.skipped || false,
         });
-        return;
+        return result?.skipped ? "skipped" : "done";
+      }
+
+      if (fmt === "subtitles") {
+        const options = dlSettings?.subtitles || DEFAULT_SUBTITLE_OPTIONS;
+        updateDl({
+          phase: "streaming",
+          progress: 20,
+          log: "Fetching captions…",
+        });
+        const result = await downloadSubtitles(
+          videoId,
+          title,
+          options,
+          dlSettings,
+          cookies,
+          signal,
+        );
+        await record(result, { subtitles: options });
+        updateDl({
+          status: "done",
+          phase: "done",
+          progress: 100,
+          log: result?.skipped ? "Skipped — file already exists." : "",
+          skipped: result?.skipped || false,
+        });
+        return result?.skipped ? "skipped" : "done";
+      }
+
+      if (dlSettings?.where === "server") {
+        // A native download can't be followed (see serverModeDownload), so
+        // a bulk run never falls back to one: every item would "finish" at
+        // once and the whole playlist would hit the server together.
+        const reason =
+          deviceOnlyReason(fmt, dlSettings) ||
+          (target === "playlist" &&
+            !dlSettings.dirHandle &&
+            !isOpfsSupported() &&
+            "In this browser, a playlist without a download folder");
+        if (!reason) {
+          updateDl({ phase: "streaming", progress: 2 });
+          const result = await serverModeDownload(
+            videoId,
+            title,
+            fmt,
+            qual,
+            dlSettings,
+            cookies,
+            (p) => updateDl({ progress: p }),
+            (msg) => updateDl({ log: msg }),
+            signal,
+          );
+          if (result.handedOff) {
+            // Not "saved": nothing says the server ever produced the file,
+            // so it stays out of history and isn't reported as complete.
+            updateDl({
+              status: "done",
+              phase: "done",
+              progress: 100,
+              handedOff: true,
+              log: "",
+            });
+            return "handed-off";
+          }
+          const sponsorBlock = dlSettings.sponsorBlock;
+          await record(result, {
+            where: "server",
+            ...(dlSettings.clip && { clip: dlSettings.clip }),
+            ...(sponsorBlock &&
+              sponsorBlock.mode !== "off" && { sponsorBlock }),
+            ...(dlSettings.tags && { tags: dlSettings.tags }),
+          });
+          updateDl({
+            status: "done",
+            phase: "done",
+            progress: 100,
+            log: result?.skipped ? "Skipped — file already exists." : "",
+            skipped: result?.skipped || false,
+          });
+          return result?.skipped ? "skipped" : "done";
+        }
+        updateDl({ log: `${reason} only runs on this device.` });
+      }
+
+      // Soft-embedded captions are fetched up front as SRT (every container's
+      // subtitle codec can be converted from it). A video without the chosen
+      // track still downloads — just without subtitles.
+      let subtitleTrack = null;
+      if (fmt === "mp4" && dlSettings?.embedSubtitles) {
+        try {
+          const track = await fetchSubtitleTrack(
+            videoId,
+            {
+              ...(dlSettings.subtitles || DEFAULT_SUBTITLE_OPTIONS),
+              format: "srt",
+            },
+            cookies,
+            signal,
+          );
+          subtitleTrack = { content: track.content, lang: track.lang };
+        } catch (err) {
+          if (signal?.aborted) throw err;
+          console.warn(`[subtitles] ${videoId}: ${err.message}`);
+        }
+      }
+
+      // SponsorBlock segments, likewise: a failed lookup (or a video nobody
+      // has submitted segments for) just means nothing is cut or marked.
+      let sponsorSegments = null;
+      const sponsorBlock = dlSettings?.sponsorBlock;
+      if (
+        (fmt === "mp4" || fmt === "mp3") &&
+        sponsorBlock &&
+        sponsorBlock.mode !== "off" &&
+        sponsorBlock.categories.length > 0
+      ) {
+        updateDl({ log: "Looking up SponsorBlock segments…" });
+        try {
+          sponsorSegments = await fetchSponsorSegments(
+            videoId,
+            sponsorBlock.categories,
+            signal,
+          );
+        } catch (err) {
+          if (signal?.aborted) throw err;
+          console.warn(`[sponsorblock] ${videoId}: ${err.message}`);
+        }
+      }
+
+      // Cover art for the tags: the video's thumbnail, as JPEG.
+      let coverArt = null;
+      if ((fmt === "mp4" || fmt === "mp3") && dlSettings?.tags?.cover) {
+        try {
+          const blob = await fetchThumbnailBlob(videoId, signal, {
+            thumbnails: dlSettings.thumbnails,
+          });
+          coverArt = new Uint8Array(await blob.arrayBuffer());
+        } catch (err) {
+          if (signal?.aborted) throw err;
+          console.warn(`[cover] ${videoId}: ${err.message}`);
+        }
       }
 
       updateDl({ log: "Getting stream URL from server…", progress: 3 });
 
       const res = await fetch(
-        `/api/stream-url?videoId=${videoId}&format=${fmt}&quality=${qual}`,
-        { headers: cookieHeaders(cookies) },
+        `/api/stream-url?${new URLSearchParams({
+          videoId,
+          // Stills from the video itself ask for the stream their mode needs.
+          format: still ? still.mode : fmt,
+          quality: qual,
+          container: dlSettings?.container || "mp4",
+          ...(fmt === "mp3" && {
+            audioSource: audioFormatFor(dlSettings?.audioFormat).source,
+          }),
+          ...(dlSettings?.formatIds?.video && {
+            videoFormat: dlSettings.formatIds.video,
+          }),
+          ...(dlSettings?.formatIds?.audio && {
+            audioFormat: dlSettings.formatIds.audio,
+          }),
+          // No AV1 for video ffmpeg.wasm will decode (see decodesVideo).
+          ...(fmt === "mp4" &&
+            decodesVideo({ ...dlSettings, subtitleTrack, sponsorSegments }) && {
+              decode: "1",
+            }),
+        })}`,
+        { headers: cookieHeaders(cookies), signal },
       );
       const streamInfo = await res.json();
       if (!res.ok)
@@ -1645,14 +6699,36 @@ export default function Home() {
 
       updateDl({
         progress: 8,
-        log: "Stream URL obtained — your device takes over from here.",
+        log: streamInfo.filesizeApprox
+          ? `Stream URL obtained (≈ ${formatBytes(streamInfo.filesizeApprox)}) — your device takes over from here.`
+          : "Stream URL obtained — your device takes over from here.",
       });
 
       const onProgress = (p) => updateDl({ progress: p });
       const onLog = (msg) => updateDl({ log: msg });
 
       let result;
-      if (fmt === "mp3") {
+      if (still) {
+        updateDl({ phase: "converting" });
+        result = await deviceModeStill(
+          streamInfo,
+          title,
+          onProgress,
+          onLog,
+          dlSettings,
+          signal,
+        );
+      } else if (fmt === "gif") {
+        updateDl({ phase: "converting" });
+        result = await deviceModeGIF(
+          streamInfo,
+          title,
+          onProgress,
+          onLog,
+          dlSettings,
+          signal,
+        );
+      } else if (fmt === "mp3") {
         updateDl({ phase: "converting" });
         result = await deviceModeMP3(
           streamInfo,
@@ -1660,7 +6736,8 @@ export default function Home() {
           title,
           onProgress,
           onLog,
-          dlSettings,
+          { ...dlSettings, sponsorSegments, coverArt },
+          signal,
         );
       } else {
         updateDl({ phase: "streaming" });
@@ -1669,9 +6746,31 @@ export default function Home() {
           title,
           onProgress,
           onLog,
-          dlSettings,
+          { ...dlSettings, subtitleTrack, sponsorSegments, coverArt },
+          signal,
         );
       }
+      await record(result, {
+        ...(dlSettings?.clip && { clip: dlSettings.clip }),
+        ...(dlSettings?.chapters && { chapters: dlSettings.chapters }),
+        ...(fmt === "gif" && { gif: dlSettings.gif }),
+        ...(still && { still }),
+        ...(sponsorSegments?.length && { sponsorBlock }),
+        ...(fmt === "mp4" &&
+          dlSettings?.transcode &&
+          dlSettings.transcode.preset !== "original" && {
+            transcode: dlSettings.transcode,
+          }),
+        ...(dlSettings?.loudness &&
+          dlSettings.loudness.mode !== "off" && {
+            loudness: dlSettings.loudness,
+          }),
+        ...(dlSettings?.tags && { tags: dlSettings.tags }),
+        ...(subtitleTrack && {
+          subtitles: dlSettings.subtitles,
+          embedSubtitles: true,
+        }),
+      });
 
       updateDl({
         status: "done",
@@ -1680,7 +6779,9 @@ export default function Home() {
         log: result?.skipped ? "Skipped — file already exists." : "",
         skipped: result?.skipped || false,
       });
+      return result?.skipped ? "skipped" : "done";
     } catch (err) {
+      if (signal?.aborted) return "aborted";
       console.error("Download error:", err);
       updateDl({
         status: "error",
@@ -1689,6 +6790,7 @@ export default function Home() {
         error: err.message,
         log: "",
       });
+      return "error";
     }
   };
 
@@ -1724,6 +6826,7 @@ export default function Home() {
     fmt,
     qual,
     durationSeconds,
+    output, // { container, audioFormat, formatIds, subtitles, … }
   ) => {
     let settings;
     try {
@@ -1731,7 +6834,47 @@ export default function Home() {
     } catch {
       return; // user cancelled
     }
-    downloadVideo(videoId, title, fmt, qual, durationSeconds, false, settings);
+    downloadVideo(videoId, title, fmt, qual, durationSeconds, "single", {
+      ...settings,
+      ...output,
+    });
+  };
+
+  // ── Download again from history ───────────────────────────────────────────
+  // Re-runs the original format/quality; the settings modal still opens so
+  // the user can point it at a different folder or conflict mode this time.
+  const handleHistoryRedownload = async (entry) => {
+    let settings;
+    try {
+      settings = await requestSettings(1);
+    } catch {
+      return;
+    }
+    setHistoryDownload({ entryId: entry.id });
+    const ext = entry.filename?.split(".").pop();
+    await downloadVideo(
+      entry.videoId,
+      entry.title,
+      entry.format,
+      entry.quality || quality,
+      entry.durationSeconds,
+      "history",
+      {
+        ...settings,
+        container: CONTAINERS.some((c) => c.value === ext) ? ext : "mp4",
+        audioFormat: AUDIO_FORMATS.some((f) => f.ext === ext) ? ext : "mp3",
+        transcode: entry.transcode || null,
+        subtitles: entry.subtitles,
+        embedSubtitles: !!entry.embedSubtitles,
+        clip: entry.clip || null,
+        chapters: entry.chapters || null,
+        sponsorBlock: entry.sponsorBlock || null,
+        loudness: entry.loudness || null,
+        gif: entry.gif || null,
+        still: entry.still || null,
+        tags: entry.tags || null,
+      },
+    );
   };
 
   // ── Bulk playlist download entry point (with settings modal) ──────────────
@@ -1745,28 +6888,124 @@ export default function Home() {
       return;
     }
 
+    await runBulk(
+      {
+        playlist: {
+          playlistId: playlist.playlistId,
+          url: playlist.url || null,
+          title: playlist.title,
+          author: playlist.author,
+        },
+        format,
+        quality,
+        container,
+        audioFormat,
+        transcode: format === "mp4" ? transcode : null,
+        subtitles: subtitleOptions,
+        embedSubtitles: format === "mp4" && embedSubtitles,
+        sponsorBlock,
+        loudness: format === "mp4" || format === "mp3" ? loudness : null,
+        items: playlist.videos
+          .filter((v) => selected.has(v.videoId))
+          .map((v) => ({ ...v, status: "pending" })),
+        startedAt: Date.now(),
+      },
+      settings,
+    );
+  };
+
+  // Walks a bulk run's items in order, persisting each item's outcome as it
+  // lands so an interrupted run can be picked up again (see resumeBulkRun).
+  // Items already "done"/"skipped" — from before a resume — are left alone.
+  const runBulk = async (run, chosenSettings) => {
+    const settings = {
+      ...chosenSettings,
+      container: run.container || "mp4",
+      audioFormat: run.audioFormat || "mp3",
+      transcode: run.transcode || null,
+      subtitles: run.subtitles || DEFAULT_SUBTITLE_OPTIONS,
+      embedSubtitles: !!run.embedSubtitles,
+      sponsorBlock: run.sponsorBlock || null,
+      loudness: run.loudness || null,
+    };
+    run.settings = {
+      dirHandle: settings.dirHandle || null,
+      conflictMode: settings.conflictMode,
+      skipHistory: settings.skipHistory || false,
+      where: settings.where || "device",
+      zip: settings.zip || null,
+    };
+    // The bundle stands in for the folder for this run only — run.settings
+    // keeps the real one, so a resumed run starts a fresh archive.
+    let bundle = null;
+    if (settings.zip) {
+      try {
+        bundle = await openZipBundle(
+          run.playlist.title,
+          settings.dirHandle || null,
+          settings.zip,
+        );
+      } catch (err) {
+        setError(`Couldn't create the ZIP: ${err.message}`);
+        return;
+      }
+      settings.dirHandle = bundle;
+    }
+    setResumableRun(null);
     setCompletedSummary(null);
     setBulkDownloading(true);
     const prevSortBy = sortBy;
     setSortBy("selected");
+    const inHistory = await loadHistoryKeys(settings);
     const initialMap = new Map();
-    for (const id of selected)
-      initialMap.set(id, { status: "idle", phase: "idle", progress: 0 });
+    for (const item of run.items) {
+      let state = { status: "idle", phase: "idle", progress: 0 };
+      if (item.status === "done" || item.status === "skipped") {
+        state = {
+          status: "done",
+          phase: "done",
+          progress: 100,
+          skipped: item.status === "skipped",
+        };
+      } else if (item.status === "cancelled") {
+        state = QUEUE_CANCELLED;
+      } else if (inHistory.has(historyKey(item.videoId, run.format))) {
+        item.status = "skipped";
+        state = ALREADY_IN_HISTORY;
+      }
+      initialMap.set(item.videoId, state);
+    }
     setDownloads(initialMap);
-    for (const video of playlist.videos.filter((v) =>
-      selected.has(v.videoId),
-    )) {
-      await downloadVideo(
-        video.videoId,
-        video.title,
-        format,
-        quality,
-        video.durationSeconds,
-        true,
-        settings,
-      );
-      await new Promise((r) => setTimeout(r, 600));
+    await persistBulkRun(run);
+
+    // Album-mode loudness needs every track's level before the first one is
+    // encoded, so the queue runs twice: measuring, then downloading.
+    if (run.loudness?.mode === "album" && run.loudness.albumGain == null) {
+      await runQueue(run, settings, "measure");
+      run.loudness = {
+        ...run.loudness,
+        albumGain: albumGain(
+          run.items.map((i) => i.measuredLoudness),
+          run.loudness.target,
+        ),
+      };
+      settings.loudness = run.loudness;
+      await persistBulkRun(run);
+    }
+    await runQueue(run, settings, "download");
+    if (bundle) {
+      try {
+        await bundle.finish(
+          bundleMetadata(bundle, run.playlist, run.format, run.items),
+        );
+      } catch (err) {
+        setError(`Couldn't finish the ZIP: ${err.message}`);
+      }
     }
+    queueRef.current = null;
+    setQueueView({ order: [], held: new Set(), paused: false });
+    await clearBulkRun().catch(() => {});
+
     setDownloads((prev) => {
       const allVals = [...prev.values()];
       const videos = new Map(
@@ -1787,6 +7026,337 @@ export default function Home() {
     setSortBy(prevSortBy);
   };
 
+  // ── Bulk download queue ───────────────────────────────────────────────────
+  // queueRef holds the live run; queueView is the slice of it the list
+  // renders from. Items start in `waiting` order whenever a slot frees up,
+  // up to `concurrency` at once. Pausing or cancelling an in-flight item
+  // aborts it outright — a paused item restarts from scratch when resumed.
+  const patchDownload = (videoId, state) =>
+    setDownloads((prev) => {
+      const n = new Map(prev);
+      n.set(videoId, state);
+      return n;
+    });
+
+  const syncQueueView = (q) =>
+    setQueueView({
+      order: [...q.active.keys(), ...q.waiting],
+      held: new Set(q.held),
+      paused: q.paused,
+    });
+
+  /**
+   * Runs `job` ("download", or album mode's "measure") over the run's
+   * unfinished items and resolves once none are left waiting or active.
+   */
+  const runQueue = (run, settings, job) =>
+    new Promise((resolve) => {
+      queueRef.current = {
+        run,
+        settings,
+        job,
+        waiting: run.items
+          .filter(
+            (i) =>
+              (i.status === "pending" || i.status === "error") &&
+              !(job === "measure" && i.measuredLoudness),
+          )
+          .map((i) => i.videoId),
+        active: new Map(), // videoId → AbortController
+        held: new Set(), // individually paused, still in `waiting`
+        paused: false,
+        finish: resolve,
+      };
+      pumpQueue();
+    });
+
+  // Album mode's first pass over one item. The measurement is kept on the
+  // run item so a resumed run doesn't fetch it again; one that fails just
+  // leaves the track out of the album's average.
+  const measureQueueItem = async (q, item, signal) => {
+    const update = (progress) =>
+      patchDownload(item.videoId, {
+        status: "downloading",
+        phase: "measuring",
+        progress,
+        log: "Measuring loudness…",
+      });
+    update(0);
+    try {
+      item.measuredLoudness = await measureTrackLoudness(
+        item.videoId,
+        q.settings.loudness.target,
+        q.settings,
+        cookies,
+        update,
+        signal,
+      );
+    } catch (err) {
+      if (signal.aborted) return "aborted";
+      console.warn(`[loudness] ${item.videoId}: ${err.message}`);
+    }
+    patchDownload(item.videoId, QUEUE_IDLE);
+    return "measured";
+  };
+
+  const pumpQueue = () => {
+    const q = queueRef.current;
+    if (!q) return;
+    while (!q.paused && q.active.size < concurrencyRef.current) {
+      const next = q.waiting.find((id) => !q.held.has(id));
+      if (!next) break;
+      q.waiting.splice(q.waiting.indexOf(next), 1);
+      startQueueItem(q, next);
+    }
+    syncQueueView(q);
+    if (q.active.size === 0 && q.waiting.length === 0) q.finish();
+  };
+
+  const startQueueItem = async (q, videoId) => {
+    const item = q.run.items.find((i) => i.videoId === videoId);
+    const abort = new AbortController();
+    q.active.set(videoId, abort);
+    const bundle =
+      q.settings.dirHandle?.kind === "zip" ? q.settings.dirHandle : null;
+    const outcome =
+      q.job === "measure"
+        ? await measureQueueItem(q, item, abort.signal)
+        : await downloadVideo(
+            item.videoId,
+            item.title,
+            q.run.format,
+            q.run.quality,
+            item.durationSeconds,
+            "playlist",
+            {
+              ...q.settings,
+              tags: playlistItemTags(item, q.run.playlist),
+              ...(bundle && { dirHandle: bundle.forVideo(item.videoId) }),
+            },
+            abort.signal,
+          );
+    if (bundle && outcome === "done")
+      await addBundleExtras(
+        bundle,
+        item,
+        q.run.format,
+        q.settings,
+        abort.signal,
+      );
+    q.active.delete(videoId);
+
+    if (outcome !== "aborted") {
+      // A measured item stays pending for the download pass.
+      if (q.job === "download") item.status = outcome;
+    } else if (abort.signal.reason === "cancel") {
+      item.status = "cancelled";
+      patchDownload(videoId, QUEUE_CANCELLED);
+    } else {
+      // "pause" holds the item; "requeue" (global pause) just puts it back.
+      // Either way it goes to the front, where it was.
+      q.waiting.unshift(videoId);
+      if (abort.signal.reason === "pause") q.held.add(videoId);
+      patchDownload(
+        videoId,
+        abort.signal.reason === "pause" ? QUEUE_PAUSED : QUEUE_IDLE,
+      );
+    }
+    await persistBulkRun(q.run);
+    pumpQueue();
+  };
+
+  // A ZIP bundle's extras for one item, saved next to its own file. A video
+  // without them (no captions in that language, say) just goes without.
+  const addBundleExtras = async (bundle, item, fmt, settings, signal) => {
+    const extras = {
+      ...settings,
+      dirHandle: bundle.forVideo(item.videoId),
+      thumbnails: item.thumbnails,
+    };
+    if (bundle.options.thumbnails && fmt !== "thumbnail") {
+      try {
+        await downloadThumbnail(item.videoId, item.title, extras);
+      } catch (err) {
+        console.warn(`[zip] ${item.videoId} thumbnail: ${err.message}`);
+      }
+    }
+    if (bundle.options.subtitles && fmt !== "subtitles") {
+      try {
+        await downloadSubtitles(
+          item.videoId,
+          item.title,
+          settings.subtitles || DEFAULT_SUBTITLE_OPTIONS,
+          extras,
+          cookies,
+          signal,
+        );
+      } catch (err) {
+        console.warn(`[zip] ${item.videoId} subtitles: ${err.message}`);
+      }
+    }
+  };
+
+  /** Mirrors the queue's order into run.items so a resume keeps it. */
+  const persistQueueOrder = (q) => {
+    const pos = new Map(q.waiting.map((id, i) => [id, i]));
+    const waitingItems = q.run.items
+      .filter((i) => pos.has(i.videoId))
+      .sort((a, b) => pos.get(a.videoId) - pos.get(b.videoId));
+    let k = 0;
+    q.run.items = q.run.items.map((i) =>
+      pos.has(i.videoId) ? waitingItems[k++] : i,
+    );
+    persistBulkRun(q.run);
+  };
+
+  const pauseQueueItem = (videoId) => {
+    const q = queueRef.current;
+    if (!q) return;
+    if (q.active.has(videoId)) {
+      q.active.get(videoId).abort("pause");
+    } else if (q.waiting.includes(videoId)) {
+      q.held.add(videoId);
+      patchDownload(videoId, QUEUE_PAUSED);
+      syncQueueView(q);
+    }
+  };
+
+  const resumeQueueItem = (videoId) => {
+    const q = queueRef.current;
+    if (!q || !q.held.delete(videoId)) return;
+    patchDownload(videoId, QUEUE_IDLE);
+    pumpQueue();
+  };
+
+  const cancelQueueItem = (videoId) => {
+    const q = queueRef.current;
+    if (!q) return;
+    if (q.active.has(videoId)) {
+      q.active.get(videoId).abort("cancel");
+      return;
+    }
+    const idx = q.waiting.indexOf(videoId);
+    if (idx === -1) return;
+    q.waiting.splice(idx, 1);
+    q.held.delete(videoId);
+    q.run.items.find((i) => i.videoId === videoId).status = "cancelled";
+    patchDownload(videoId, QUEUE_CANCELLED);
+    persistBulkRun(q.run);
+    pumpQueue();
+  };
+
+  /** Moves a waiting item to just before `beforeId` (or to the end). */
+  const moveQueueItem = (videoId, beforeId) => {
+    const q = queueRef.current;
+    if (!q || videoId === beforeId) return;
+    const from = q.waiting.indexOf(videoId);
+    if (from === -1) return;
+    q.waiting.splice(from, 1);
+    const to = q.waiting.indexOf(beforeId);
+    q.waiting.splice(to === -1 ? q.waiting.length : to, 0, videoId);
+    persistQueueOrder(q);
+    syncQueueView(q);
+  };
+
+  const bumpQueueItem = (videoId) => {
+    const q = queueRef.current;
+    if (!q) return;
+    moveQueueItem(videoId, q.waiting[0]);
+  };
+
+  const pauseQueue = () => {
+    const q = queueRef.current;
+    if (!q || q.paused) return;
+    q.paused = true;
+    for (const abort of q.active.values()) abort.abort("requeue");
+    syncQueueView(q);
+  };
+
+  const resumeQueue = () => {
+    const q = queueRef.current;
+    if (!q || !q.paused) return;
+    q.paused = false;
+    pumpQueue();
+  };
+
+  const cancelQueue = () => {
+    const q = queueRef.current;
+    if (!q) return;
+    q.paused = true;
+    for (const videoId of q.waiting) {
+      q.run.items.find((i) => i.videoId === videoId).status = "cancelled";
+      patchDownload(videoId, QUEUE_CANCELLED);
+    }
+    q.waiting = [];
+    q.held.clear();
+    for (const abort of q.active.values()) abort.abort("cancel");
+    persistBulkRun(q.run);
+    pumpQueue();
+  };
+
+  const changeConcurrency = (n) => {
+    setConcurrency(n);
+    concurrencyRef.current = n;
+    pumpQueue();
+  };
+
+  // ── Resume an unfinished bulk run ─────────────────────────────────────────
+  // Puts the run's videos back on screen as the current list, then re-runs
+  // everything not yet done. The settings modal opens first: the stored
+  // folder needs its permission granted again after a reload anyway.
+  const resumeBulkRun = async () => {
+    const run = resumableRun;
+    if (!run || isBusy) return;
+
+    const source = run.playlist;
+    const sourceUrl =
+      source.url ||
+      `https://www.youtube.com/playlist?list=${source.playlistId}`;
+    const dirHandle = await restoreDirPermission(run.settings?.dirHandle);
+
+    metaAbortRef.current?.abort();
+    setUrl(sourceUrl);
+    setUrlType(detectUrlType(sourceUrl));
+    setChannel(null);
+    setVideoInfo(null);
+    setVideoDownload(null);
+    setError(null);
+    setFilter("");
+    setPlaylist(
+      mergePlaylistPage(emptyPlaylist(source.playlistId, source), {
+        videos: run.items.map(({ status, ...video }) => video),
+        unavailableCount: 0,
+        page: 0,
+        hasMore: false,
+        totalCount: run.items.length,
+      }),
+    );
+    setSelected(new Set(run.items.map((i) => i.videoId)));
+    setFormat(run.format);
+    setQuality(run.quality);
+    setContainer(run.container || "mp4");
+    setAudioFormat(run.audioFormat || "mp3");
+    setTranscode(run.transcode || DEFAULT_TRANSCODE);
+    setSubtitleOptions(run.subtitles || DEFAULT_SUBTITLE_OPTIONS);
+    setEmbedSubtitles(!!run.embedSubtitles);
+    setSponsorBlock(run.sponsorBlock || DEFAULT_SPONSORBLOCK);
+    setLoudness(run.loudness || DEFAULT_LOUDNESS);
+    setDownloadSettings({ ...run.settings, dirHandle });
+
+    let settings;
+    try {
+      settings = await requestSettings(remainingItems(run).length);
+    } catch {
+      return; // keep the run stored; the banner stays up
+    }
+    await runBulk(run, settings);
+  };
+
+  const discardBulkRun = () => {
+    setResumableRun(null);
+    clearBulkRun().catch(() => {});
+  };
+
   // ── Bulk thumbnail download entry point (with settings modal) ─────────────
   const downloadSelectedThumbnails = async () => {
     if (!playlist || selected.size === 0 || bulkThumbDownloading) return;
@@ -1798,25 +7368,63 @@ export default function Home() {
       return;
     }
 
+    let bundle = null;
+    if (settings.zip) {
+      try {
+        bundle = await openZipBundle(
+          playlist.title,
+          settings.dirHandle || null,
+          settings.zip,
+        );
+      } catch (err) {
+        setError(`Couldn't create the ZIP: ${err.message}`);
+        return;
+      }
+    }
+
     setBulkThumbDownloading(true);
     const prevSortBy = sortBy;
     setSortBy("selected");
-    for (const video of playlist.videos.filter((v) =>
-      selected.has(v.videoId),
-    )) {
+    const inHistory = await loadHistoryKeys(settings);
+    const videos = playlist.videos.filter((v) => selected.has(v.videoId));
+    const statuses = new Map();
+    for (const video of videos) {
+      if (inHistory.has(historyKey(video.videoId, "thumbnail"))) {
+        statuses.set(video.videoId, "skipped");
+        setThumbDownloads((prev) => {
+          const n = new Map(prev);
+          n.set(video.videoId, "done");
+          return n;
+        });
+        continue;
+      }
       setThumbDownloads((prev) => {
         const n = new Map(prev);
         n.set(video.videoId, "downloading");
         return n;
       });
       try {
-        await downloadThumbnail(video.videoId, video.title, settings);
+        const result = await downloadThumbnail(video.videoId, video.title, {
+          ...settings,
+          ...(bundle && { dirHandle: bundle.forVideo(video.videoId) }),
+          thumbnails: video.thumbnails,
+          still: thumbOptions,
+        });
+        if (bundle) await addBundleExtras(bundle, video, "thumbnail", settings);
+        statuses.set(video.videoId, "done");
+        if (
+          await recordDownload(video, "thumbnail", null, result, {
+            still: thumbOptions,
+          })
+        )
+          setHistoryVersion((v) => v + 1);
         setThumbDownloads((prev) => {
           const n = new Map(prev);
           n.set(video.videoId, "done");
           return n;
         });
       } catch (_) {
+        statuses.set(video.videoId, "error");
         setThumbDownloads((prev) => {
           const n = new Map(prev);
           n.set(video.videoId, "error");
@@ -1825,6 +7433,25 @@ export default function Home() {
       }
       await new Promise((r) => setTimeout(r, 200));
     }
+    if (bundle) {
+      try {
+        await bundle.finish(
+          bundleMetadata(
+            bundle,
+            {
+              playlistId: playlist.playlistId,
+              url: playlist.url || null,
+              title: playlist.title,
+              author: playlist.author,
+            },
+            "thumbnail",
+            videos.map((v) => ({ ...v, status: statuses.get(v.videoId) })),
+          ),
+        );
+      } catch (err) {
+        setError(`Couldn't finish the ZIP: ${err.message}`);
+      }
+    }
     setBulkThumbDownloading(false);
     setTimeout(() => setThumbDownloads(new Map()), 3000);
     setSortBy(prevSortBy);
@@ -1846,30 +7473,75 @@ export default function Home() {
     bulkDownloading ||
     bulkThumbDownloading ||
     activeCount > 0 ||
-    videoDownload?.status === "downloading";
+    videoDownload?.status === "downloading" ||
+    historyDownload?.status === "downloading";
+
+  // Sizes the playlist's size and memory warnings for the worst case.
+  const longestSelectedSeconds = Math.max(
+    0,
+    ...(playlist?.videos || [])
+      .filter((v) => selected.has(v.videoId))
+      .map((v) => v.durationSeconds),
+  );
+
+  const switchChannelTab = (tab) => {
+    if (!channel || tab === channelTab || isBusy) return;
+    const tabData = channel.tabs[tab];
+    setChannelTab(tab);
+    setPlaylist(tabData);
+    setSelected(new Set(tabData.videos.map((v) => v.videoId)));
+    setDownloads(new Map());
+    setSortBy("default");
+    setFilter("");
+    setCompletedSummary(null);
+  };
+
+  const thumbSizes = useMemo(
+    () => thumbnailSizeOptions(playlist?.videos || []),
+    [playlist],
+  );
 
   const displayedVideos = useMemo(() => {
     if (!playlist) return [];
-    const sorted = sortVideos(playlist.videos, sortBy, selected);
+    let sorted = sortVideos(playlist.videos, sortBy, selected);
+    // During a bulk run, queued items float to the top in queue order.
+    if (queueView.order.length > 0) {
+      const pos = new Map(queueView.order.map((id, i) => [id, i]));
+      const rank = (v) => pos.get(v.videoId) ?? pos.size;
+      sorted = sorted.sort((a, b) => rank(a) - rank(b));
+    }
     if (!filter) return sorted;
     const q = filter.toLowerCase();
     return sorted.filter(
       (v) =>
         v.title.toLowerCase().includes(q) || v.author.toLowerCase().includes(q),
     );
-  }, [playlist, sortBy, filter, selected]);
+  }, [playlist, sortBy, filter, selected, queueView]);
 
   const typePill =
     urlType === "playlist"
       ? { label: "Playlist", icon: List }
-      : urlType === "video"
-        ? isShortsUrl(url)
-          ? { label: "Short", icon: Smartphone }
-          : { label: "Video", icon: Video }
-        : null;
+      : urlType === "channel"
+        ? { label: "Channel", icon: Tv }
+        : urlType === "video"
+          ? isShortsUrl(url)
+            ? { label: "Short", icon: Smartphone }
+            : { label: "Video", icon: Video }
+          : null;
 
   return (
     <div className="min-h-screen bg-background text-foreground flex flex-col">
+      {/* ── History Modal ── (before settings so "Download again" stacks under it) */}
+      <HistoryModal
+        open={historyOpen}
+        onClose={() => setHistoryOpen(false)}
+        version={historyVersion}
+        onRedownload={handleHistoryRedownload}
+        activeEntryId={historyDownload?.entryId}
+        activeDownload={historyDownload}
+        busy={isBusy}
+      />
+
       {/* ── Download Settings Modal ── */}
       <DownloadSettingsModal
         open={settingsModal.open}
@@ -1895,6 +7567,18 @@ export default function Home() {
             <span className="font-semibold text-lg">YT Labs</span>
           </div>
           <div className="flex items-center gap-1">
+            <Tooltip>
+              <TooltipTrigger asChild>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => setHistoryOpen(true)}
+                >
+                  <History className="w-4 h-4" />
+                </Button>
+              </TooltipTrigger>
+              <TooltipContent>Download history</TooltipContent>
+            </Tooltip>
             <Tooltip>
               <TooltipTrigger asChild>
                 <Button
@@ -1992,6 +7676,26 @@ export default function Home() {
             </Button>
           </div>
 
+          {loading && fetchProgress && (
+            <div className="flex flex-col gap-1.5">
+              {fetchProgress.total > 0 && (
+                <Progress
+                  value={Math.min(
+                    100,
+                    Math.round(
+                      (fetchProgress.fetched / fetchProgress.total) * 100,
+                    ),
+                  )}
+                  className="h-1"
+                />
+              )}
+              <p className="text-xs text-muted-foreground font-mono truncate">
+                {fetchProgress.message ||
+                  `Fetched ${fetchProgress.fetched}${fetchProgress.total ? `/${fetchProgress.total}` : ""} entries…`}
+              </p>
+            </div>
+          )}
+
           {error && (
             <p className="text-sm text-destructive flex items-center gap-1.5">
               <AlertCircle className="w-4 h-4 shrink-0" /> {error}
@@ -1999,12 +7703,55 @@ export default function Home() {
           )}
         </div>
 
+        {/* ── Unfinished bulk run ── */}
+        {resumableRun && !bulkDownloading && (
+          <div className="rounded-xl border bg-muted/30 p-4 flex flex-col sm:flex-row sm:items-center gap-3">
+            <div className="flex items-start gap-2.5 flex-1 min-w-0">
+              <RefreshCw className="w-4 h-4 text-primary shrink-0 mt-0.5" />
+              <div className="min-w-0">
+                <p className="text-sm font-medium">
+                  Resume {remainingItems(resumableRun).length} remaining{" "}
+                  {remainingItems(resumableRun).length === 1
+                    ? "download"
+                    : "downloads"}
+                </p>
+                <p className="text-xs text-muted-foreground truncate">
+                  {resumableRun.playlist.title} ·{" "}
+                  {resumableRun.format.toUpperCase()} ·{" "}
+                  {
+                    resumableRun.items.filter(
+                      (i) => i.status === "done" || i.status === "skipped",
+                    ).length
+                  }{" "}
+                  of {resumableRun.items.length} finished before the page closed
+                </p>
+              </div>
+            </div>
+            <div className="flex gap-2 shrink-0">
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={discardBulkRun}
+                disabled={isBusy}
+              >
+                Discard
+              </Button>
+              <Button size="sm" onClick={resumeBulkRun} disabled={isBusy}>
+                <Download className="w-3.5 h-3.5 mr-1.5" /> Resume
+              </Button>
+            </div>
+          </div>
+        )}
+
         {/* ── Single Video ── */}
         {videoInfo && !playlist && (
           <VideoCard
             video={videoInfo}
             download={videoDownload}
+            cookies={cookies}
+            linkStart={linkStart}
             globallyBusy={isBusy}
+            hasFolder={!!downloadSettings?.dirHandle}
             onDownload={handleSingleDownload}
           />
         )}
@@ -2014,6 +7761,37 @@ export default function Home() {
           <>
             <Separator />
 
+            {channel && (
+              <Tabs value={channelTab} onValueChange={switchChannelTab}>
+                <TabsList
+                  className={isBusy ? "opacity-50 pointer-events-none" : ""}
+                >
+                  {CHANNEL_TABS.map((t) => (
+                    <TabsTrigger
+                      key={t.value}
+                      value={t.value}
+                      disabled={isBusy}
+                      className="flex items-center gap-1.5"
+                    >
+                      <span>{t.label}</span>
+                      {channel.tabs[t.value]?.error ? (
+                        <AlertTriangle className="w-3.5 h-3.5 text-destructive" />
+                      ) : (
+                        <span className="text-xs text-muted-foreground font-mono">
+                          {channel.tabs[t.value]?.totalCount ??
+                            channel.tabs[t.value]?.videoCount ??
+                            0}
+                          {channel.tabs[t.value]?.hasMore &&
+                            channel.tabs[t.value]?.totalCount == null &&
+                            "+"}
+                        </span>
+                      )}
+                    </TabsTrigger>
+                  ))}
+                </TabsList>
+              </Tabs>
+            )}
+
             <div className="flex flex-col gap-0.5">
               <div className="flex items-center gap-2 flex-wrap">
                 <h2 className="text-lg sm:text-xl font-semibold leading-tight">
@@ -2022,7 +7800,10 @@ export default function Home() {
                 <Tooltip>
                   <TooltipTrigger asChild>
                     <a
-                      href={`https://youtube.com/playlist?list=${playlist.playlistId}`}
+                      href={
+                        playlist.url ||
+                        `https://youtube.com/playlist?list=${playlist.playlistId}`
+                      }
                       target="_blank"
                       rel="noopener noreferrer"
                       className="text-muted-foreground hover:text-foreground mt-0.5 shrink-0"
@@ -2046,20 +7827,27 @@ export default function Home() {
                     playlist.unavailableCount > 0
                       ? `${playlist.unavailableCount} unavailable`
                       : null,
+                  note: playlist.hasMore
+                    ? playlist.totalCount
+                      ? `of ${playlist.totalCount} loaded`
+                      : "more loading…"
+                    : null,
                 },
                 {
                   icon: Clock,
                   label: "Total",
                   value: playlist.totalDuration,
                   sub: null,
+                  note: playlist.hasMore ? "so far" : null,
                 },
                 {
                   icon: BarChart2,
                   label: "Avg",
                   value: playlist.averageDuration,
                   sub: null,
+                  note: playlist.hasMore ? "so far" : null,
                 },
-              ].map(({ icon: Icon, label, value, sub }) => (
+              ].map(({ icon: Icon, label, value, sub, note }) => (
                 <div
                   key={label}
                   className="rounded-lg border bg-card p-3 sm:p-4 flex flex-col gap-1"
@@ -2074,6 +7862,11 @@ export default function Home() {
                   <p className="text-xs text-muted-foreground sm:hidden">
                     {label}
                   </p>
+                  {note && (
+                    <p className="text-xs text-muted-foreground font-mono">
+                      {note}
+                    </p>
+                  )}
                   {sub && (
                     <p className="text-xs text-destructive font-mono">{sub}</p>
                   )}
@@ -2113,7 +7906,7 @@ export default function Home() {
                       className="flex items-center gap-1.5"
                     >
                       <Music className="w-3.5 h-3.5" />
-                      <span>MP3</span>
+                      <span>Audio</span>
                     </TabsTrigger>
                     <TabsTrigger
                       value="thumbnail"
@@ -2121,13 +7914,34 @@ export default function Home() {
                       className="flex items-center gap-1.5"
                     >
                       <ImageIcon className="w-3.5 h-3.5" />
-                      <span>JPG</span>
+                      <span>Image</span>
+                    </TabsTrigger>
+                    <TabsTrigger
+                      value="subtitles"
+                      disabled={isBusy}
+                      className="flex items-center gap-1.5"
+                    >
+                      <Captions className="w-3.5 h-3.5" />
+                      <span>Subtitles</span>
                     </TabsTrigger>
                   </TabsList>
                 </Tabs>
               </div>
 
-              {format !== "thumbnail" && (
+              {format === "mp3" && (
+                <AudioFormatSelect
+                  value={audioFormat}
+                  onChange={(v) => {
+                    setAudioFormat(v);
+                    setCompletedSummary(null);
+                  }}
+                  disabled={isBusy}
+                />
+              )}
+
+              {(format === "mp4" ||
+                (format === "mp3" &&
+                  audioFormatFor(audioFormat).qualities)) && (
                 <div className="flex flex-col gap-1.5 w-40 sm:w-45">
                   <Label>Quality</Label>
                   <Select
@@ -2143,13 +7957,118 @@ export default function Home() {
                     </SelectTrigger>
                     <SelectContent>
                       <SelectGroup>
-                        {(format === "mp4" ? MP4_QUALITIES : MP3_QUALITIES).map(
-                          (q) => (
-                            <SelectItem key={q.value} value={q.value}>
-                              {q.label}
-                            </SelectItem>
-                          ),
-                        )}
+                        {(format === "mp4"
+                          ? MP4_QUALITIES
+                          : audioFormatFor(audioFormat).qualities
+                        ).map((q) => (
+                          <SelectItem key={q.value} value={q.value}>
+                            {q.label}
+                          </SelectItem>
+                        ))}
+                      </SelectGroup>
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+
+              {format === "mp4" && transcode.preset === "original" && (
+                <ContainerSelect
+                  value={container}
+                  onChange={(v) => {
+                    setContainer(v);
+                    setCompletedSummary(null);
+                  }}
+                  disabled={isBusy}
+                />
+              )}
+
+              {format === "thumbnail" && (
+                <StillOptions
+                  value={thumbOptions}
+                  onChange={setThumbOptions}
+                  sizes={thumbSizes}
+                  thumbnailOnly
+                  disabled={isBusy}
+                />
+              )}
+
+              {format === "mp4" && (
+                <TranscodeOptions
+                  value={transcode}
+                  onChange={(v) => {
+                    setTranscode(v);
+                    setCompletedSummary(null);
+                  }}
+                  disabled={isBusy}
+                  idPrefix="playlist"
+                  seconds={longestSelectedSeconds}
+                />
+              )}
+
+              {(format === "subtitles" ||
+                (format === "mp4" && embedSubtitles)) && (
+                <SubtitleOptions
+                  value={subtitleOptions}
+                  onChange={setSubtitleOptions}
+                  languages={CAPTION_LANGUAGES}
+                  disabled={isBusy}
+                  showFormat={format === "subtitles"}
+                />
+              )}
+
+              {format === "mp4" && (
+                <div className="flex items-center gap-2 h-9">
+                  <Checkbox
+                    id="playlist-embed-subs"
+                    checked={embedSubtitles}
+                    onCheckedChange={(v) => setEmbedSubtitles(!!v)}
+                    disabled={isBusy}
+                  />
+                  <Label
+                    htmlFor="playlist-embed-subs"
+                    className="text-sm font-normal cursor-pointer"
+                  >
+                    Embed subtitles
+                  </Label>
+                </div>
+              )}
+
+              {(format === "mp4" || format === "mp3") && (
+                <SponsorBlockOptions
+                  value={sponsorBlock}
+                  onChange={setSponsorBlock}
+                  disabled={isBusy}
+                  idPrefix="playlist"
+                  seconds={longestSelectedSeconds}
+                />
+              )}
+
+              {(format === "mp4" || format === "mp3") && (
+                <LoudnessOptions
+                  value={loudness}
+                  onChange={setLoudness}
+                  disabled={isBusy}
+                  album
+                />
+              )}
+
+              {format !== "thumbnail" && (
+                <div className="flex flex-col gap-1.5 w-24">
+                  <Label>Parallel</Label>
+                  <Select
+                    value={String(concurrency)}
+                    onValueChange={(v) => changeConcurrency(Number(v))}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectGroup>
+                        {CONCURRENCY_OPTIONS.map((n) => (
+                          <SelectItem key={n} value={String(n)}>
+                            {n} at a time
+                          </SelectItem>
+                        ))}
                       </SelectGroup>
                     </SelectContent>
                   </Select>
@@ -2219,6 +8138,46 @@ export default function Home() {
                       )}
                     </div>
                   )}
+                {bulkDownloading && (
+                  <div className="flex items-center gap-1">
+                    <Tooltip>
+                      <TooltipTrigger asChild>
+                        <Button
+                          variant="outline"
+                          size="icon"
+                          className="sm:h-10 sm:w-10"
+                          onClick={queueView.paused ? resumeQueue : pauseQueue}
+                        >
+                          {queueView.paused ? (
+                            <Play className="w-4 h-4" />
+                          ) : (
+                            <Pause className="w-4 h-4" />
+                          )}
+                        </Button>
+                      </TooltipTrigger>
+                      <TooltipContent>
+                        {queueView.paused
+                          ? "Resume queue"
+                          : "Pause queue (in-progress items restart)"}
+                      </TooltipContent>
+                    </Tooltip>
+                    <Tooltip>
+                      <TooltipTrigger asChild>
+                        <Button
+                          variant="outline"
+                          size="icon"
+                          className="sm:h-10 sm:w-10"
+                          onClick={cancelQueue}
+                        >
+                          <X className="w-4 h-4" />
+                        </Button>
+                      </TooltipTrigger>
+                      <TooltipContent>
+                        Cancel remaining downloads
+                      </TooltipContent>
+                    </Tooltip>
+                  </div>
+                )}
                 <Button
                   onClick={
                     format === "thumbnail"
@@ -2239,15 +8198,32 @@ export default function Home() {
                     <Download className="w-4 h-4" />
                   )}
                   <span className="hidden sm:inline">
-                    {bulkDownloading || bulkThumbDownloading
-                      ? "Downloading..."
-                      : `Download (${selected.size})`}
+                    {bulkDownloading && queueView.paused
+                      ? "Paused"
+                      : bulkDownloading || bulkThumbDownloading
+                        ? "Downloading..."
+                        : `Download (${selected.size})`}
                   </span>
                   <span className="sm:hidden">{selected.size}</span>
                 </Button>
               </div>
             </div>
 
+            {format === "mp4" && !bulkDownloading && (
+              <LargeVideoWarning
+                quality={warningTier(quality)}
+                hasFolder={!!downloadSettings?.dirHandle}
+                subject="The longest selected video"
+                seconds={longestSelectedSeconds}
+              />
+            )}
+
+            {format === "mp4" &&
+              embedSubtitles &&
+              subtitleOptions.burn &&
+              canBurnIn(subtitleOptions.lang) &&
+              !bulkDownloading && <BurnInWarning subject="every video" />}
+
             <Separator />
 
             <div className="flex items-center justify-between gap-2 sm:gap-7 flex-wrap">
@@ -2315,9 +8291,19 @@ export default function Home() {
 
             <div className="rounded-lg border divide-y overflow-hidden">
               {displayedVideos.length === 0 ? (
-                <p className="text-center py-12 text-sm text-muted-foreground">
-                  No videos match your filter.
-                </p>
+                playlist.error ? (
+                  <p className="flex items-center justify-center gap-1.5 py-12 text-sm text-destructive">
+                    <AlertTriangle className="w-4 h-4 shrink-0" />
+                    Couldn&apos;t load {playlist.tabLabel.toLowerCase()}:{" "}
+                    {playlist.error}
+                  </p>
+                ) : (
+                  <p className="text-center py-12 text-sm text-muted-foreground">
+                    {playlist.tabLabel && playlist.videos.length === 0
+                      ? `This channel has no ${playlist.tabLabel.toLowerCase()} yet.`
+                      : "No videos match your filter."}
+                  </p>
+                )
               ) : (
                 displayedVideos.map((video) => {
                   const dl =
@@ -2333,19 +8319,41 @@ export default function Home() {
                   const status = dl?.status || "idle";
                   const phase = dl?.phase || "idle";
                   const isSelected = selected.has(video.videoId);
+                  const queued = queueView.order.includes(video.videoId);
+                  const waiting = queued && status !== "downloading";
+                  const held = queueView.held.has(video.videoId);
 
                   return (
                     <div
                       key={video.videoId}
+                      draggable={waiting}
+                      onDragStart={(e) => {
+                        dragQueueIdRef.current = video.videoId;
+                        e.dataTransfer.effectAllowed = "move";
+                      }}
+                      onDragOver={(e) => {
+                        if (waiting && dragQueueIdRef.current)
+                          e.preventDefault();
+                      }}
+                      onDrop={(e) => {
+                        e.preventDefault();
+                        moveQueueItem(dragQueueIdRef.current, video.videoId);
+                        dragQueueIdRef.current = null;
+                      }}
+                      onDragEnd={() => (dragQueueIdRef.current = null)}
                       onClick={() => toggleVideo(video.videoId)}
                       className={`flex items-center gap-2 sm:gap-3 px-3 sm:px-4 py-3 transition-all select-none ${isDownloadingActive ? "cursor-not-allowed" : "cursor-pointer"} ${isSelected ? "bg-background hover:bg-muted/40" : "opacity-40 grayscale hover:opacity-60"}`}
                     >
-                      <div onClick={(e) => e.stopPropagation()}>
-                        <Checkbox
-                          checked={isSelected}
-                          onCheckedChange={() => toggleVideo(video.videoId)}
-                        />
-                      </div>
+                      {waiting ? (
+                        <GripVertical className="w-4 h-4 text-muted-foreground shrink-0 cursor-grab" />
+                      ) : (
+                        <div onClick={(e) => e.stopPropagation()}>
+                          <Checkbox
+                            checked={isSelected}
+                            onCheckedChange={() => toggleVideo(video.videoId)}
+                          />
+                        </div>
+                      )}
                       <span className="w-4 sm:w-5 text-xs text-muted-foreground text-right shrink-0 font-mono hidden sm:block">
                         {video.index}
                       </span>
@@ -2394,6 +8402,11 @@ export default function Home() {
                             Skipped
                           </p>
                         )}
+                        {(status === "paused" || status === "cancelled") && (
+                          <p className="text-xs text-muted-foreground mt-0.5 truncate font-mono">
+                            {status === "paused" ? "Paused" : "Cancelled"}
+                          </p>
+                        )}
                         {status === "error" && (
                           <p className="text-xs text-destructive mt-0.5 truncate font-mono">
                             {dl.error}
@@ -2403,6 +8416,64 @@ export default function Home() {
                       <span className="shrink-0 text-xs text-muted-foreground font-mono hidden sm:block">
                         {video.duration}
                       </span>
+                      {queued && (
+                        <div
+                          className="shrink-0 flex items-center"
+                          onClick={(e) => e.stopPropagation()}
+                        >
+                          {waiting && !held && (
+                            <Tooltip>
+                              <TooltipTrigger asChild>
+                                <Button
+                                  variant="ghost"
+                                  size="icon"
+                                  className="h-6 w-6"
+                                  onClick={() => bumpQueueItem(video.videoId)}
+                                >
+                                  <ChevronsUp className="w-3.5 h-3.5" />
+                                </Button>
+                              </TooltipTrigger>
+                              <TooltipContent>Download next</TooltipContent>
+                            </Tooltip>
+                          )}
+                          <Tooltip>
+                            <TooltipTrigger asChild>
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                className="h-6 w-6"
+                                onClick={() =>
+                                  held
+                                    ? resumeQueueItem(video.videoId)
+                                    : pauseQueueItem(video.videoId)
+                                }
+                              >
+                                {held ? (
+                                  <Play className="w-3.5 h-3.5" />
+                                ) : (
+                                  <Pause className="w-3.5 h-3.5" />
+                                )}
+                              </Button>
+                            </TooltipTrigger>
+                            <TooltipContent>
+                              {held ? "Resume" : "Pause"}
+                            </TooltipContent>
+                          </Tooltip>
+                          <Tooltip>
+                            <TooltipTrigger asChild>
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                className="h-6 w-6"
+                                onClick={() => cancelQueueItem(video.videoId)}
+                              >
+                                <X className="w-3.5 h-3.5" />
+                              </Button>
+                            </TooltipTrigger>
+                            <TooltipContent>Cancel</TooltipContent>
+                          </Tooltip>
+                        </div>
+                      )}
                       <div
                         className="shrink-0 w-5 flex justify-center"
                         onClick={(e) => e.stopPropagation()}
@@ -2419,7 +8490,9 @@ export default function Home() {
                                 ? `Converting — ${dl.progress}%`
                                 : phase === "streaming"
                                   ? `Downloading — ${dl.progress}%`
-                                  : `Processing — ${dl.progress}%`}
+                                  : phase === "measuring"
+                                    ? `Measuring loudness — ${dl.progress}%`
+                                    : `Processing — ${dl.progress}%`}
                             </TooltipContent>
                           </Tooltip>
                         )}
@@ -2463,6 +8536,35 @@ export default function Home() {
                 })
               )}
             </div>
+
+            {playlist.hasMore && (
+              <div
+                ref={loadMoreRef}
+                className="flex items-center justify-center gap-2 py-2 text-xs text-muted-foreground"
+              >
+                {loadMoreError ? (
+                  <>
+                    <AlertTriangle className="w-3.5 h-3.5 text-destructive" />
+                    <span className="text-destructive">{loadMoreError}</span>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={loadMorePlaylist}
+                      disabled={loadingMore}
+                    >
+                      <RefreshCw className="w-3.5 h-3.5" /> Retry
+                    </Button>
+                  </>
+                ) : (
+                  <>
+                    <Loader2 className="w-3.5 h-3.5 animate-spin" />
+                    {loadingMore && fetchProgress?.fetched
+                      ? `Loading more videos… ${fetchProgress.fetched}${fetchProgress.total ? `/${fetchProgress.total}` : ""}`
+                      : "Loading more videos…"}
+                  </>
+                )}
+              </div>
+            )}
           </>
         )}
 
@@ -2478,14 +8580,15 @@ export default function Home() {
                 Download YouTube videos &amp; playlists
               </p>
               <p className="text-sm text-muted-foreground max-w-sm leading-relaxed">
-                Paste a video or playlist URL above. No API key, no sign-up.
+                Paste a video, playlist or channel URL above. No API key, no
+                sign-up.
               </p>
             </div>
 
             <div className="grid grid-cols-3 gap-2 w-full max-w-sm">
               {[
                 { icon: Video, label: "MP4", sub: "Up to 4K" },
-                { icon: Music, label: "MP3", sub: "Up to 320kbps" },
+                { icon: Music, label: "Audio", sub: "MP3, FLAC, Opus…" },
                 { icon: ImageIcon, label: "Thumbnail", sub: "Max resolution" },
               ].map(({ icon: Icon, label, sub }) => (
                 <div
@@ -2500,7 +8603,7 @@ export default function Home() {
             </div>
 
             <p className="text-xs text-muted-foreground">
-              Works with single videos, playlists, and shorts
+              Works with single videos, playlists, shorts, and channels
             </p>
           </div>
         )}
@@ -10,6 +10,8 @@ const eslintConfig = defineConfig([
     "out/**",
     "build/**",
     "next-env.d.ts",
+    // ffmpeg.wasm's prebuilt core, copied in by scripts/copy-ffmpeg-core.js.
+    "public/ffmpeg/**",
   ]),
 ]);
 
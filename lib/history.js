@@ -0,0 +1,76 @@
+// 📁 lib/history.js
+// Persistent download history, stored in this browser's IndexedDB (see
+// lib/idb.js). Nothing here ever leaves the browser — it's a local record
+// of what was saved, where, and as what, so it survives reloads where the
+// in-memory download state in Home doesn't.
+//
+// Record shape:
+//   { id, videoId, title, format, quality, durationSeconds,
+//     filename, size, folder, date, …options }
+//   folder        the chosen directory's name, or null for the browser's
+//                 default Downloads folder. For a file saved into a bulk
+//                 run's ZIP, the archive ("Music/Playlist.zip", or just
+//                 "Playlist.zip" without a folder), with `filename` the path
+//                 inside it
+//   date          epoch ms
+//   where         "server" for a file built by /api/download rather than on
+//                 the device
+//
+// Downloads made with extra options also carry what "Download again" needs
+// to repeat them:
+//   subtitles, embedSubtitles
+//   clip          { start, end } in seconds
+//   chapters      the chapter list that was split out; `filename` is then
+//                 the first file
+//   sponsorBlock  { mode, categories }, only when segments were found
+//   transcode     { preset, rate }, for a re-encoded MP4-tab download
+//   gif           { output, fps, width }, for the GIF tab
+//   still         { mode, at, grid, format, size }, for the Image tab: a
+//                 thumbnail's size and type, a frame grab or a contact sheet
+//   loudness      { mode, target }, plus `albumGain` in dB when it was part
+//                 of a playlist normalized as one album
+//   tags          what was written into the file (see defaultTags in
+//                 app/page.js)
+
+import { isIdbSupported, withStore } from "@/lib/idb";
+
+const STORE = "history";
+
+export async function addHistoryEntry(entry) {
+  if (!isIdbSupported()) return null;
+  return withStore(STORE, "readwrite", (store) =>
+    store.add({ ...entry, date: entry.date ?? Date.now() }),
+  );
+}
+
+/** Every entry, newest first. */
+export async function listHistory() {
+  if (!isIdbSupported()) return [];
+  const all = await withStore(STORE, "readonly", (store) => store.getAll());
+  return (all || []).sort((a, b) => b.date - a.date);
+}
+
+export async function deleteHistoryEntry(id) {
+  if (!isIdbSupported()) return;
+  await withStore(STORE, "readwrite", (store) => store.delete(id));
+}
+
+export async function clearHistory() {
+  if (!isIdbSupported()) return;
+  await withStore(STORE, "readwrite", (store) => store.clear());
+}
+
+/**
+ * The dedup key a bulk run checks against. Format matters (an MP3 of a
+ * video doesn't mean its MP4 was saved) but quality doesn't — re-saving the
+ * same video at a different bitrate is rarely what "skip duplicates" means.
+ */
+export function historyKey(videoId, format) {
+  return `${videoId}:${format}`;
+}
+
+/** Set of historyKey()s for everything in history. */
+export async function getHistoryKeys() {
+  const all = await listHistory();
+  return new Set(all.map((e) => historyKey(e.videoId, e.format)));
+}
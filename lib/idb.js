@@ -0,0 +1,70 @@
+// 📁 lib/idb.js
+// Minimal promise wrapper over the browser's IndexedDB — just enough for
+// the app's own small stores, without pulling in a dependency for it.
+// Client-only: every export touches `indexedDB`, so call these from event
+// handlers/effects, never during render or from a server route.
+//
+// Schema changes go through DB_VERSION + the upgrade switch below. Each
+// case falls through to the next so a browser several versions behind gets
+// every intermediate step applied in order.
+
+const DB_NAME = "ytlabs";
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+export function isIdbSupported() {
+  return typeof indexedDB !== "undefined";
+}
+
+export function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (event) => {
+      const db = req.result;
+      switch (event.oldVersion) {
+        case 0: {
+          const history = db.createObjectStore("history", {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          history.createIndex("videoId", "videoId");
+          history.createIndex("date", "date");
+        }
+        // falls through
+        case 1:
+          db.createObjectStore("queue", { keyPath: "id" });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      dbPromise = null; // let the next call try again
+      reject(req.error);
+    };
+    req.onblocked = () => {
+      dbPromise = null;
+      reject(new Error("Database upgrade blocked — close other YT Labs tabs."));
+    };
+  });
+  return dbPromise;
+}
+
+/**
+ * Runs `fn(store)` inside a transaction on one store and resolves with
+ * whatever fn's returned request resolves to, once the transaction has
+ * actually committed (not just once the request succeeded).
+ */
+export async function withStore(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const store = tx.objectStore(storeName);
+    let result;
+    const req = fn(store);
+    if (req) req.onsuccess = () => (result = req.result);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
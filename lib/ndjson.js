@@ -0,0 +1,55 @@
+// 📁 lib/ndjson.js
+// Newline-delimited JSON responses, used by the `?stream=1` variants of the
+// metadata routes. Each event is one JSON object on its own line, written
+// as soon as it's produced, so the browser can render a long playlist
+// entry by entry instead of staring at a spinner until yt-dlp is done.
+//
+// Every stream ends with exactly one terminal event — { type: "done", … }
+// or { type: "error", error } — so a client that reads to EOF without
+// seeing one knows the connection was cut rather than the fetch finishing.
+
+const NDJSON_HEADERS = {
+  "Content-Type": "application/x-ndjson; charset=utf-8",
+  "Cache-Control": "no-store",
+  // Stops nginx-style reverse proxies from buffering the whole body, which
+  // would defeat the point of streaming it.
+  "X-Accel-Buffering": "no",
+};
+
+/**
+ * Runs `producer(send)` and streams every `send(event)` to the client as
+ * one NDJSON line. If the producer throws, an { type: "error" } event is
+ * sent with the error's message — producers that want friendlier wording
+ * should catch and send their own error event instead.
+ */
+export function ndjsonResponse(producer) {
+  const encoder = new TextEncoder();
+  const stream = new ReadableStream({
+    async start(controller) {
+      let closed = false;
+      const send = (event) => {
+        if (closed) return;
+        try {
+          controller.enqueue(encoder.encode(JSON.stringify(event) + "\n"));
+        } catch {
+          // Client went away mid-stream — stop writing, let the producer
+          // finish (or be aborted via the request signal) on its own.
+          closed = true;
+        }
+      };
+
+      try {
+        await producer(send);
+      } catch (err) {
+        send({ type: "error", error: err?.message || "Stream failed" });
+      }
+
+      closed = true;
+      try {
+        controller.close();
+      } catch (_) {}
+    },
+  });
+
+  return new Response(stream, { headers: NDJSON_HEADERS });
+}
@@ -0,0 +1,61 @@
+// 📁 lib/opfs.js
+// Scratch files in the Origin Private File System — disk-backed storage the
+// browser gives each origin, invisible to the user. Device-mode downloads
+// stream proxy bytes into these instead of an in-memory array, then hand
+// the resulting File to ffmpeg.wasm through WORKERFS, which reads it lazily
+// from disk rather than copying it into MEMFS.
+//
+// Everything lives under one directory so crash leftovers can be swept on
+// the next visit (see sweepTempFiles).
+
+const TEMP_DIR = "ytlabs-tmp";
+// Anything older than this is a leftover from a tab that died mid-download.
+const STALE_AFTER_MS = 24 * 60 * 60 * 1000;
+
+export function isOpfsSupported() {
+  return (
+    typeof navigator !== "undefined" &&
+    typeof navigator.storage?.getDirectory === "function" &&
+    typeof FileSystemFileHandle !== "undefined" &&
+    "createWritable" in FileSystemFileHandle.prototype
+  );
+}
+
+async function tempDir() {
+  const root = await navigator.storage.getDirectory();
+  return root.getDirectoryHandle(TEMP_DIR, { create: true });
+}
+
+/** Creates (or truncates) a temp file and opens a writable stream on it. */
+export async function createTempFile(name) {
+  const dir = await tempDir();
+  const handle = await dir.getFileHandle(name, { create: true });
+  const writable = await handle.createWritable();
+  return { handle, writable };
+}
+
+export async function removeTempFile(name) {
+  try {
+    const dir = await tempDir();
+    await dir.removeEntry(name);
+  } catch (_) {}
+}
+
+/**
+ * Deletes temp files old enough that no live download can still own them.
+ * Files from a download running in another tab right now are left alone.
+ */
+export async function sweepTempFiles() {
+  if (!isOpfsSupported()) return;
+  try {
+    const dir = await tempDir();
+    const cutoff = Date.now() - STALE_AFTER_MS;
+    for await (const [name, handle] of dir.entries()) {
+      if (handle.kind !== "file") continue;
+      const file = await handle.getFile();
+      if (file.lastModified < cutoff) await dir.removeEntry(name);
+    }
+  } catch (err) {
+    console.warn("[opfs] failed to sweep temp files:", err);
+  }
+}
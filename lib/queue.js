@@ -0,0 +1,58 @@
+// 📁 lib/queue.js
+// The in-flight bulk download run, persisted to IndexedDB (see lib/idb.js)
+// so closing the tab, a reload or a crash mid-run doesn't lose it. Home
+// writes the run when it starts, updates an item's status as each one
+// finishes, and clears it when the loop completes — so a run still stored
+// on page load is one that never finished, and can be offered for resume.
+//
+// Run shape:
+//   { id, playlist: { playlistId, url, title, author },
+//     format, quality,
+//     settings: { dirHandle, conflictMode, skipHistory, where, zip },
+//     items: [{ videoId, title, author, durationSeconds, thumbnail, …,
+//               status }],
+//     startedAt, updatedAt }
+// Item status is "pending", "done", "skipped" or "error". An item that was
+// mid-download when the page died is still "pending". `dirHandle` is a
+// FileSystemDirectoryHandle — structured-cloneable, so IndexedDB keeps it,
+// but its write permission doesn't survive the reload and must be asked for
+// again before resuming. `zip` is null or the ZIP bundle options
+// ({ thumbnails, subtitles }); the archive itself can't outlive the page,
+// so a resumed run bundles only the items still left into a new one.
+//
+// A run normalizing loudness as one album (`loudness.mode === "album"`)
+// first measures every item, storing { integrated, duration } as the
+// item's `measuredLoudness`, then `loudness.albumGain` once all are in; a
+// resume only measures what's still missing.
+
+import { isIdbSupported, withStore } from "@/lib/idb";
+
+const STORE = "queue";
+// Only one bulk run exists at a time, so it always lives under one key.
+const RUN_ID = "current";
+
+export async function saveBulkRun(run) {
+  if (!isIdbSupported()) return;
+  await withStore(STORE, "readwrite", (store) =>
+    store.put({ ...run, id: RUN_ID, updatedAt: Date.now() }),
+  );
+}
+
+/** The unfinished run, or null if there isn't one. */
+export async function loadBulkRun() {
+  if (!isIdbSupported()) return null;
+  const run = await withStore(STORE, "readonly", (store) => store.get(RUN_ID));
+  return run || null;
+}
+
+export async function clearBulkRun() {
+  if (!isIdbSupported()) return;
+  await withStore(STORE, "readwrite", (store) => store.delete(RUN_ID));
+}
+
+/** Items a resume still has to download: never finished, or failed. */
+export function remainingItems(run) {
+  return (run?.items || []).filter(
+    (item) => item.status === "pending" || item.status === "error",
+  );
+}
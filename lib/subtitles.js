@@ -0,0 +1,99 @@
+// 📁 lib/subtitles.js
+// WebVTT parsing and conversion for /api/subtitles. YouTube serves every
+// caption track as VTT; SRT and plain text are derived from the parsed cues
+// here rather than asking yt-dlp to convert (which needs ffmpeg on the
+// server).
+//
+// Auto-generated tracks are "rolling": each cue repeats the line before it
+// plus the new one, with per-word timing tags. parseVtt({ rolling: true })
+// strips that back to one line per cue so the output reads like a normal
+// subtitle file.
+
+export const SUBTITLE_FORMATS = ["srt", "vtt", "txt"];
+
+const TIMING_RE =
+  /^((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})/;
+
+const ENTITIES = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&nbsp;": " ",
+  "&quot;": '"',
+  "&#39;": "'",
+};
+
+function cleanLine(line) {
+  return line
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(?:amp|lt|gt|nbsp|quot|#39);/g, (e) => ENTITIES[e])
+    .trim();
+}
+
+/** "01:02.345" or "1:01:02.345" → "00:01:02.345" / "01:01:02.345" */
+function normalizeTime(t) {
+  const parts = t.split(":");
+  while (parts.length < 3) parts.unshift("00");
+  return parts.map((p, i) => (i < 2 ? p.padStart(2, "0") : p)).join(":");
+}
+
+/** Parses VTT text into [{ start, end, lines }], times as "HH:MM:SS.mmm". */
+export function parseVtt(vtt, { rolling = false } = {}) {
+  const cues = [];
+  let prevLines = [];
+  for (const block of vtt.replace(/\r\n?/g, "\n").split(/\n{2,}/)) {
+    const rows = block.split("\n");
+    const timingIdx = rows.findIndex((r) => TIMING_RE.test(r));
+    if (timingIdx === -1) continue; // header, NOTE, STYLE blocks
+    const [, start, end] = rows[timingIdx].match(TIMING_RE);
+    let lines = rows
+      .slice(timingIdx + 1)
+      .map(cleanLine)
+      .filter(Boolean);
+    if (rolling) {
+      const seen = new Set(prevLines);
+      const fresh = lines.filter((l) => !seen.has(l));
+      prevLines = lines;
+      lines = fresh;
+    }
+    if (lines.length === 0) continue;
+    cues.push({ start: normalizeTime(start), end: normalizeTime(end), lines });
+  }
+  return cues;
+}
+
+export function cuesToVtt(cues) {
+  const body = cues
+    .map((c) => `${c.start} --> ${c.end}\n${c.lines.join("\n")}`)
+    .join("\n\n");
+  return `WEBVTT\n\n${body}\n`;
+}
+
+export function cuesToSrt(cues) {
+  return (
+    cues
+      .map(
+        (c, i) =>
+          `${i + 1}\n${c.start.replace(".", ",")} --> ${c.end.replace(".", ",")}\n${c.lines.join("\n")}`,
+      )
+      .join("\n\n") + "\n"
+  );
+}
+
+export function cuesToText(cues) {
+  const out = [];
+  for (const c of cues) {
+    for (const line of c.lines) {
+      if (out[out.length - 1] !== line) out.push(line);
+    }
+  }
+  return out.join("\n") + "\n";
+}
+
+/** Converts VTT text to `format` ("srt" | "vtt" | "txt"). */
+export function convertVtt(vtt, format, { rolling = false } = {}) {
+  const cues = parseVtt(vtt, { rolling });
+  if (format === "srt") return cuesToSrt(cues);
+  if (format === "txt") return cuesToText(cues);
+  return cuesToVtt(cues);
+}
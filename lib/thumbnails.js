@@ -0,0 +1,77 @@
+// 📁 lib/thumbnails.js
+// A video's thumbnail list, as /api/video and /api/playlist return it:
+//
+//   [{ id, url, width, height, format }]   largest first, JPG before WebP
+//
+// `format` is "jpg" | "webp" | "png" (from the URL). yt-dlp's full
+// extraction lists YouTube's fixed names (maxresdefault, sddefault, …) in
+// both JPG and WebP but mostly without sizes, and a flat playlist entry
+// only has a few small crops — so the fixed names are filled in for every
+// video, with their known sizes. maxresdefault and hq720 don't exist for
+// every upload; YouTube answers those with a 120×90 grey placeholder, which
+// the client treats as missing and moves on to the next candidate.
+//
+// Shared by the routes and app/page.js, so nothing here is server-only.
+
+const FIXED_SIZES = {
+  maxresdefault: [1280, 720],
+  hq720: [1280, 720],
+  sddefault: [640, 480],
+  hqdefault: [480, 360],
+  mqdefault: [320, 180],
+  default: [120, 90],
+};
+
+export const PLACEHOLDER_SIZE = FIXED_SIZES.default;
+
+function formatOf(url) {
+  const ext = url.split("?")[0].split(".").pop().toLowerCase();
+  if (ext === "jpeg") return "jpg";
+  return ["jpg", "webp", "png"].includes(ext) ? ext : null;
+}
+
+/** "maxresdefault" from ".../vi/<id>/maxresdefault.jpg" (query kept apart). */
+function nameOf(url) {
+  return url
+    .split("?")[0]
+    .split("/")
+    .pop()
+    .replace(/\.\w+$/, "");
+}
+
+function fixedThumbnails(videoId) {
+  return Object.keys(FIXED_SIZES).flatMap((name) => [
+    { id: `${name}-jpg`, url: `https://i.ytimg.com/vi/${videoId}/${name}.jpg` },
+    {
+      id: `${name}-webp`,
+      url: `https://i.ytimg.com/vi_webp/${videoId}/${name}.webp`,
+    },
+  ]);
+}
+
+/** yt-dlp's `thumbnails` for a video, plus the fixed names, normalized. */
+export function listThumbnails(thumbnails, videoId) {
+  const seen = new Set();
+  const list = [];
+  for (const t of [...(thumbnails || []), ...fixedThumbnails(videoId)]) {
+    const url = t.url || null;
+    const format = url && formatOf(url);
+    if (!format || seen.has(url)) continue;
+    seen.add(url);
+    const [fw, fh] = (!url.includes("?") && FIXED_SIZES[nameOf(url)]) || [];
+    const width = t.width || fw || null;
+    const height = t.height || fh || null;
+    if (!width || !height) continue;
+    list.push({ id: String(t.id ?? nameOf(url)), url, width, height, format });
+  }
+  return list.sort(
+    (a, b) =>
+      b.width * b.height - a.width * a.height ||
+      (a.format === "jpg" ? -1 : 0) - (b.format === "jpg" ? -1 : 0),
+  );
+}
+
+/** "1280x720" — the key the size pickers use. */
+export function thumbnailSize(t) {
+  return `${t.width}x${t.height}`;
+}
@@ -24,7 +24,7 @@
 // found" while working fine locally — that mismatch is the single most
 // likely way this app breaks again in the future.
 
-import { execFile } from "child_process";
+import { execFile, spawn } from "child_process";
 import { randomUUID } from "crypto";
 import fs from "fs";
 import os from "os";
@@ -134,9 +134,89 @@ async function runYtDlp(binaryPath, url, flags = {}) {
   }
 }
 
+/**
+ * Streaming counterpart to runYtDlp(), for --dump-json style invocations
+ * where yt-dlp prints one JSON object per line as each entry is extracted,
+ * instead of one document once everything is done. onJson is called with
+ * each parsed stdout line as it arrives, onStderr with each stderr line.
+ * Aborting `signal` (e.g. the request's own signal, when the browser goes
+ * away) kills the process. Resolves with the number of JSON lines seen;
+ * rejects with the same { stderr, stdout, code } shape as runYtDlp().
+ */
+function streamYtDlp(
+  binaryPath,
+  url,
+  flags = {},
+  { onJson, onStderr, signal } = {},
+) {
+  const args = [url, ...buildArgs(flags)];
+  return new Promise((resolve, reject) => {
+    const child = spawn(binaryPath, args, { windowsHide: true });
+    let stdoutBuf = "";
+    let stderrBuf = "";
+    let stderrAll = "";
+    let count = 0;
+
+    const onAbort = () => child.kill();
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    const flushLines = (buf, onLine) => {
+      const lines = buf.split("\n");
+      const rest = lines.pop();
+      for (const line of lines) if (line.trim()) onLine(line);
+      return rest;
+    };
+    const handleJsonLine = (line) => {
+      if (!isJSON(line)) return;
+      let parsed;
+      try {
+        parsed = JSON.parse(line);
+      } catch {
+        return;
+      }
+      count++;
+      onJson?.(parsed);
+    };
+
+    child.stdout.setEncoding("utf8");
+    child.stdout.on("data", (chunk) => {
+      stdoutBuf = flushLines(stdoutBuf + chunk, handleJsonLine);
+    });
+    child.stderr.setEncoding("utf8");
+    child.stderr.on("data", (chunk) => {
+      stderrAll += chunk;
+      stderrBuf = flushLines(stderrBuf + chunk, (line) => onStderr?.(line));
+    });
+
+    child.on("error", (err) => {
+      signal?.removeEventListener("abort", onAbort);
+      const wrapped = new Error(err.message || "yt-dlp failed");
+      wrapped.stderr = stderrAll;
+      wrapped.stdout = "";
+      wrapped.code = err.code;
+      reject(wrapped);
+    });
+    child.on("close", (code) => {
+      signal?.removeEventListener("abort", onAbort);
+      if (stdoutBuf.trim()) handleJsonLine(stdoutBuf);
+      if (stderrBuf.trim()) onStderr?.(stderrBuf);
+      if (code === 0) return resolve(count);
+      const wrapped = new Error(stderrAll || `yt-dlp exited with ${code}`);
+      wrapped.stderr = stderrAll;
+      wrapped.stdout = "";
+      wrapped.code = code;
+      wrapped.entries = count;
+      reject(wrapped);
+    });
+  });
+}
+
 export async function getYtDlp() {
   const binaryPath = resolveBinary();
-  return (url, flags = {}) => runYtDlp(binaryPath, url, flags);
+  const run = (url, flags = {}) => runYtDlp(binaryPath, url, flags);
+  run.stream = (url, flags = {}, handlers = {}) =>
+    streamYtDlp(binaryPath, url, flags, handlers);
+  return run;
 }
 
 // ── Cookies ──────────────────────────────────────────────────────────────
@@ -264,6 +344,51 @@ export function baseOpts(extra = {}, cookiesFilePath) {
   return opts;
 }
 
+// ── Paging ───────────────────────────────────────────────────────────────
+//
+// Paging maps straight onto yt-dlp's --playlist-start/--playlist-end, so a
+// page only costs the continuation requests needed to reach it instead of
+// the whole playlist. YouTube serves playlists 100 entries per continuation,
+// so a page size that's a multiple of 100 never fetches a continuation it
+// then throws half of away.
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Reads ?page=&pageSize= (1-based page) into the playlistStart/playlistEnd
+ * range for baseOpts. Returns null when neither is given, which keeps the
+ * original "whole playlist in one response" behavior — unless `always` is
+ * set, for routes that must never fetch a list whole.
+ */
+export function parsePaging(searchParams, { always = false } = {}) {
+  const rawPage = searchParams.get("page");
+  const rawSize = searchParams.get("pageSize");
+  if (!always && rawPage == null && rawSize == null) return null;
+  const page = Math.max(1, parseInt(rawPage, 10) || 1);
+  const pageSize = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, parseInt(rawSize, 10) || DEFAULT_PAGE_SIZE),
+  );
+  const start = (page - 1) * pageSize + 1;
+  return { page, pageSize, start, end: start + pageSize - 1 };
+}
+
+/**
+ * The paging fields of a response: which page this was and whether another
+ * follows. A short page means the list ran out, whatever the count says.
+ */
+export function pageInfo(paging, fetchedCount, totalCount = null) {
+  if (!paging) return { totalCount, hasMore: false };
+  return {
+    page: paging.page,
+    pageSize: paging.pageSize,
+    totalCount,
+    hasMore:
+      fetchedCount >= paging.pageSize &&
+      (totalCount == null || paging.end < totalCount),
+  };
+}
+
 // ── Retry ────────────────────────────────────────────────────────────────
 //
 // Only retries errors that have a real chance of being transient (rate
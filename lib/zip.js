@@ -0,0 +1,221 @@
+// 📁 lib/zip.js
+// A minimal ZIP writer that streams into a sink as files arrive, so a bulk
+// run can bundle a whole playlist without ever holding the archive in
+// memory. The sink is anything with write(Blob | Uint8Array) and close() —
+// a FileSystemWritableFileStream (a chosen folder, or an OPFS temp file
+// from lib/opfs.js) takes both.
+//
+// Entries are stored, not deflated: media, images and the rest are
+// already compressed, and storing means each Blob is handed to the sink
+// as-is — only read once beforehand for its CRC, a chunk at a time.
+// ZIP64 records are added where sizes or offsets pass 4 GB, or entries
+// pass 65,535, which a long playlist of full videos easily does.
+//
+//   const zip = createZipWriter(writable);
+//   await zip.add("video.mp4", blob);
+//   await zip.close(); // writes the central directory, closes the sink
+//
+// add() calls are queued, so parallel downloads can save into one archive
+// without interleaving their bytes.
+
+const MAX_32 = 0xffffffff;
+const MAX_16 = 0xffff;
+
+let crcTable = null;
+
+function makeCrcTable() {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+}
+
+async function crc32(blob) {
+  crcTable ??= makeCrcTable();
+  let crc = MAX_32;
+  const reader = blob.stream().getReader();
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    for (let i = 0; i < value.length; i++)
+      crc = crcTable[(crc ^ value[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ MAX_32) >>> 0;
+}
+
+/** MS-DOS time and date words, in local time as unzip tools expect. */
+function dosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/** A little-endian record built field by field: [bytes, value] pairs. */
+function record(fields) {
+  const size = fields.reduce(
+    (n, [bytes, value]) => n + (bytes || value.length),
+    0,
+  );
+  const out = new Uint8Array(size);
+  const view = new DataView(out.buffer);
+  let pos = 0;
+  for (const [bytes, value] of fields) {
+    if (bytes === 2) view.setUint16(pos, value, true);
+    else if (bytes === 4) view.setUint32(pos, value, true);
+    else if (bytes === 8) view.setBigUint64(pos, BigInt(value), true);
+    else out.set(value, pos);
+    pos += bytes || value.length;
+  }
+  return out;
+}
+
+/** The ZIP64 extra field carrying whichever of `values` didn't fit. */
+function zip64Extra(values) {
+  if (!values.length) return new Uint8Array(0);
+  return record([
+    [2, 0x0001],
+    [2, values.length * 8],
+    ...values.map((v) => [8, v]),
+  ]);
+}
+
+export function createZipWriter(sink) {
+  const entries = [];
+  let offset = 0;
+  let queue = Promise.resolve();
+
+  const write = async (data) => {
+    await sink.write(data);
+    offset += data.size ?? data.length;
+  };
+
+  const addEntry = async (name, blob, modified) => {
+    const nameBytes = new TextEncoder().encode(name);
+    const { time, date } = dosDateTime(modified);
+    const crc = await crc32(blob);
+    const size = blob.size;
+    const big = size >= MAX_32;
+    const entry = { nameBytes, time, date, crc, size, offset };
+    await write(
+      record([
+        [4, 0x04034b50],
+        [2, big ? 45 : 20], // version needed: 4.5 for ZIP64
+        [2, 0x0800], // names are UTF-8
+        [2, 0], // stored
+        [2, time],
+        [2, date],
+        [4, crc],
+        [4, big ? MAX_32 : size],
+        [4, big ? MAX_32 : size],
+        [2, nameBytes.length],
+        [2, big ? 20 : 0],
+        [0, nameBytes],
+        [0, big ? zip64Extra([size, size]) : new Uint8Array(0)],
+      ]),
+    );
+    await write(blob);
+    entries.push(entry);
+  };
+
+  const centralDirectory = () =>
+    entries.map((e) => {
+      const bigSize = e.size >= MAX_32;
+      const bigOffset = e.offset >= MAX_32;
+      const extra = zip64Extra([
+        ...(bigSize ? [e.size, e.size] : []),
+        ...(bigOffset ? [e.offset] : []),
+      ]);
+      const zip64 = bigSize || bigOffset;
+      return record([
+        [4, 0x02014b50],
+        [2, 45], // made by: 4.5
+        [2, zip64 ? 45 : 20],
+        [2, 0x0800],
+        [2, 0],
+        [2, e.time],
+        [2, e.date],
+        [4, e.crc],
+        [4, bigSize ? MAX_32 : e.size],
+        [4, bigSize ? MAX_32 : e.size],
+        [2, e.nameBytes.length],
+        [2, extra.length],
+        [2, 0], // comment length
+        [2, 0], // disk number
+        [2, 0], // internal attributes
+        [4, 0], // external attributes
+        [4, bigOffset ? MAX_32 : e.offset],
+        [0, e.nameBytes],
+        [0, extra],
+      ]);
+    });
+
+  const finish = async () => {
+    const cdStart = offset;
+    for (const header of centralDirectory()) await write(header);
+    const cdSize = offset - cdStart;
+    const zip64 =
+      entries.length >= MAX_16 || cdStart >= MAX_32 || cdSize >= MAX_32;
+    if (zip64) {
+      const recordStart = offset;
+      await write(
+        record([
+          [4, 0x06064b50],
+          [8, 44], // size of the rest of this record
+          [2, 45],
+          [2, 45],
+          [4, 0],
+          [4, 0],
+          [8, entries.length],
+          [8, entries.length],
+          [8, cdSize],
+          [8, cdStart],
+        ]),
+      );
+      await write(
+        record([
+          [4, 0x07064b50],
+          [4, 0],
+          [8, recordStart],
+          [4, 1],
+        ]),
+      );
+    }
+    await write(
+      record([
+        [4, 0x06054b50],
+        [2, 0],
+        [2, 0],
+        // Whichever of these overflowed is all ones, pointing at ZIP64.
+        [2, Math.min(entries.length, MAX_16)],
+        [2, Math.min(entries.length, MAX_16)],
+        [4, Math.min(cdSize, MAX_32)],
+        [4, Math.min(cdStart, MAX_32)],
+        [2, 0], // comment length
+      ]),
+    );
+    await sink.close();
+  };
+
+  const enqueue = (task) => {
+    const next = queue.then(task);
+    // One failed entry mustn't wedge the queue for the rest.
+    queue = next.catch(() => {});
+    return next;
+  };
+
+  return {
+    /** Appends `blob` as `name` (a path inside the archive). */
+    add: (name, blob, modified = new Date()) =>
+      enqueue(() => addEntry(name, blob, modified)),
+    /** Writes the central directory once every queued add() has landed. */
+    close: () => enqueue(finish),
+  };
+}
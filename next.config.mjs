@@ -9,6 +9,23 @@ const nextConfig = {
   outputFileTracingIncludes: {
     "/api/**": ["./bin/**"],
   },
+  // CROSS_ORIGIN_ISOLATION=1 makes every page cross-origin isolated, which
+  // is what lets ffmpeg.wasm run its multithreaded core (SharedArrayBuffer).
+  // Off by default: "credentialless" keeps YouTube's thumbnails loading,
+  // but only Chromium and Firefox support it — Safari refuses to isolate
+  // and keeps using the single-threaded core, which is fine.
+  async headers() {
+    if (process.env.CROSS_ORIGIN_ISOLATION !== "1") return [];
+    return [
+      {
+        source: "/:path*",
+        headers: [
+          { key: "Cross-Origin-Opener-Policy", value: "same-origin" },
+          { key: "Cross-Origin-Embedder-Policy", value: "credentialless" },
+        ],
+      },
+    ];
+  },
 };
 
 export default nextConfig;
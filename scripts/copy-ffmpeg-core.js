@@ -0,0 +1,74 @@
+// 📁 scripts/copy-ffmpeg-core.js
+// Copies ffmpeg.wasm's core into public/ffmpeg/ at install/build time, so
+// device mode loads it from the app's own origin instead of a public CDN —
+// it has to work on networks that can't reach unpkg, and a CDN serving
+// whatever it likes straight into the page is a supply-chain risk.
+//
+// Both builds come from npm (@ffmpeg/core, @ffmpeg/core-mt), pinned to
+// exact versions in package.json — a new core is a deliberate bump, not
+// whatever a caret range resolves to on the next install:
+//
+//   public/ffmpeg/st/  ffmpeg-core.js, ffmpeg-core.wasm
+//   public/ffmpeg/mt/  the same plus ffmpeg-core.worker.js (multithreaded,
+//                      needs cross-origin isolation)
+//   public/ffmpeg/manifest.json
+//     { versions: { st, mt }, files: { "st/ffmpeg-core.js": "sha384-…" } }
+//
+// The client checks every file against the manifest before running it,
+// which matters most when NEXT_PUBLIC_FFMPEG_CORE_URL points the files at
+// another server — the manifest itself is always read from this origin.
+// public/ffmpeg/ is gitignored, same as bin/, so every install regenerates
+// it. Device mode can't work without it, so a missing package fails the
+// install rather than a download later.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const BUILDS = {
+  st: {
+    pkg: "@ffmpeg/core",
+    files: ["ffmpeg-core.js", "ffmpeg-core.wasm"],
+  },
+  mt: {
+    pkg: "@ffmpeg/core-mt",
+    files: ["ffmpeg-core.js", "ffmpeg-core.wasm", "ffmpeg-core.worker.js"],
+  },
+};
+
+const destRoot = path.join(__dirname, "..", "public", "ffmpeg");
+const manifest = { versions: {}, files: {} };
+
+for (const [build, { pkg, files }] of Object.entries(BUILDS)) {
+  // The package's CommonJS entry is the UMD build — the one @ffmpeg/ffmpeg's
+  // worker loads with importScripts. (Its exports map hides package.json.)
+  let umdDir;
+  try {
+    umdDir = path.dirname(require.resolve(pkg));
+  } catch {
+    console.error(
+      `[ffmpeg-core] ${pkg} isn't installed — run \`npm install\` again.`,
+    );
+    process.exit(1);
+  }
+  const destDir = path.join(destRoot, build);
+  fs.mkdirSync(destDir, { recursive: true });
+
+  for (const file of files) {
+    const data = fs.readFileSync(path.join(umdDir, file));
+    fs.writeFileSync(path.join(destDir, file), data);
+    manifest.files[`${build}/${file}`] =
+      `sha384-${crypto.createHash("sha384").update(data).digest("base64")}`;
+  }
+  manifest.versions[build] = JSON.parse(
+    fs.readFileSync(path.join(umdDir, "..", "..", "package.json"), "utf8"),
+  ).version;
+}
+
+fs.writeFileSync(
+  path.join(destRoot, "manifest.json"),
+  JSON.stringify(manifest, null, 2),
+);
+console.log(
+  `[ffmpeg-core] copied core ${manifest.versions.st} and core-mt ${manifest.versions.mt} to ${destRoot}`,
+);
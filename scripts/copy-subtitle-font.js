@@ -0,0 +1,40 @@
+// 📁 scripts/copy-subtitle-font.js
+// Copies the font ffmpeg.wasm uses for burned-in subtitles into
+// public/fonts/ at install/build time.
+//
+// libass (behind ffmpeg's `subtitles` filter) has no system fonts to fall
+// back on inside the browser's wasm sandbox — without a font file in its
+// virtual FS it renders nothing at all. Next.js already ships Noto Sans
+// (OFL-licensed) for next/og, so that's the one we serve rather than
+// vendoring a binary into the repo. public/fonts/ is gitignored, same as
+// bin/, so every install regenerates it.
+//
+// It's the Latin subset, and only Latin-1 at that: CJK, Arabic, Cyrillic,
+// Devanagari and even Polish or Turkish captions would render as boxes.
+// The client only offers burn-in for languages it covers (canBurnIn in
+// app/page.js) and embeds the rest as a soft track.
+//
+// Failing here isn't fatal: only the burn-in option needs the font, and it
+// reports a clear error at download time if /fonts/ is missing.
+
+const fs = require("fs");
+const path = require("path");
+
+const FONT_NAME = "NotoSans-Regular.ttf";
+const destDir = path.join(__dirname, "..", "public", "fonts");
+const dest = path.join(destDir, FONT_NAME);
+
+let src;
+try {
+  src =
+    require.resolve("next/dist/compiled/@vercel/og/noto-sans-v27-latin-regular.ttf");
+} catch {
+  console.warn(
+    "[subtitle-font] Noto Sans not found in next's package — burned-in subtitles won't work.",
+  );
+  process.exit(0);
+}
+
+fs.mkdirSync(destDir, { recursive: true });
+fs.copyFileSync(src, dest);
+console.log(`[subtitle-font] copied to ${dest}`);